@@ -79,4 +79,358 @@ INSERT INTO users (email, password_hash, role)
 VALUES ('admin@coffeeapp.com', '$2b$10$8XJ9Zx3XJ9Zx3XJ9Zx3XJ9Zx3XJ9Zx3XJ9Zx3XJ9Zx3XJ9Zx3', 'admin');
 
 -- Insert sample categories
-INSERT INTO categories (name) VALUES ('Coffee'), ('Food'), ('Desserts');
\ No newline at end of file
+INSERT INTO categories (name) VALUES ('Coffee'), ('Food'), ('Desserts');
+
+-- Order status lifecycle: when each step was reached and who moved it last
+ALTER TABLE orders
+  ADD COLUMN preparing_at TIMESTAMP NULL,
+  ADD COLUMN ready_at TIMESTAMP NULL,
+  ADD COLUMN delivered_at TIMESTAMP NULL,
+  ADD COLUMN status_updated_by INT NULL,
+  ADD COLUMN status_updated_at TIMESTAMP NULL,
+  ADD FOREIGN KEY (status_updated_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Order cancellation and rejection
+ALTER TABLE orders
+  MODIFY COLUMN status ENUM('received', 'preparing', 'ready', 'delivered', 'cancelled', 'rejected') DEFAULT 'received',
+  ADD COLUMN cancellation_reason ENUM('out_of_stock', 'customer_left', 'duplicate', 'other') NULL,
+  ADD COLUMN cancellation_note VARCHAR(255) NULL,
+  ADD COLUMN cancelled_at TIMESTAMP NULL,
+  ADD COLUMN cancelled_by INT NULL,
+  ADD FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Idempotency store for POST /orders, keyed by the client's request_id
+CREATE TABLE order_requests (
+  request_id CHAR(36) PRIMARY KEY,
+  request_hash CHAR(64) NOT NULL,
+  order_id INT NOT NULL,
+  response_body JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  INDEX idx_expires_at (expires_at)
+);
+
+-- Kitchen display stations and their tickets
+CREATE TABLE stations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  is_default BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE categories
+  ADD COLUMN station_id INT NULL,
+  ADD FOREIGN KEY (station_id) REFERENCES stations(id) ON DELETE SET NULL;
+
+ALTER TABLE breakfasts
+  ADD COLUMN station_id INT NULL,
+  ADD FOREIGN KEY (station_id) REFERENCES stations(id) ON DELETE SET NULL;
+
+CREATE TABLE kds_tickets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  station_id INT NOT NULL,
+  status ENUM('open', 'bumped') DEFAULT 'open',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  bumped_at TIMESTAMP NULL,
+  bumped_by INT NULL,
+  recalled_at TIMESTAMP NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (station_id) REFERENCES stations(id) ON DELETE CASCADE,
+  FOREIGN KEY (bumped_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_station_status (station_id, status)
+);
+
+CREATE TABLE kds_ticket_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  ticket_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  status ENUM('pending', 'preparing', 'done') DEFAULT 'pending',
+  updated_at TIMESTAMP NULL,
+  FOREIGN KEY (ticket_id) REFERENCES kds_tickets(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+);
+
+-- Payments ledger
+ALTER TABLE orders
+  ADD COLUMN payment_status ENUM('unpaid', 'partially_paid', 'paid') DEFAULT 'unpaid',
+  ADD COLUMN amount_paid DECIMAL(10,2) DEFAULT 0.00,
+  ADD INDEX idx_payment_status (payment_status);
+
+CREATE TABLE payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  method ENUM('cash', 'card') NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  amount_tendered DECIMAL(10,2) NULL,
+  change_given DECIMAL(10,2) DEFAULT 0.00,
+  reference VARCHAR(100) NULL,
+  status ENUM('completed', 'voided') DEFAULT 'completed',
+  recorded_by INT NULL,
+  voided_by INT NULL,
+  voided_at TIMESTAMP NULL,
+  void_reason VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_order_status (order_id, status)
+);
+
+-- Split bills: a table's unpaid orders split into separately payable sub-bills
+CREATE TABLE bills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  table_id INT NOT NULL,
+  split_mode ENUM('even', 'lines', 'custom') NOT NULL,
+  total DECIMAL(10,2) NOT NULL,
+  status ENUM('open', 'settled', 'cancelled') DEFAULT 'open',
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  settled_at TIMESTAMP NULL,
+  FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_table_status (table_id, status)
+);
+
+CREATE TABLE bill_orders (
+  bill_id INT NOT NULL,
+  order_id INT NOT NULL,
+  PRIMARY KEY (bill_id, order_id),
+  FOREIGN KEY (bill_id) REFERENCES bills(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+CREATE TABLE sub_bills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bill_id INT NOT NULL,
+  label VARCHAR(50) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  amount_paid DECIMAL(10,2) DEFAULT 0.00,
+  payment_status ENUM('unpaid', 'partially_paid', 'paid') DEFAULT 'unpaid',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (bill_id) REFERENCES bills(id) ON DELETE CASCADE
+);
+
+CREATE TABLE sub_bill_lines (
+  sub_bill_id INT NOT NULL,
+  order_item_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  PRIMARY KEY (sub_bill_id, order_item_id),
+  FOREIGN KEY (sub_bill_id) REFERENCES sub_bills(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+);
+
+ALTER TABLE payments
+  ADD COLUMN sub_bill_id INT NULL AFTER order_id,
+  ADD FOREIGN KEY (sub_bill_id) REFERENCES sub_bills(id) ON DELETE SET NULL;
+
+-- Tips and service charges, stored apart from total_price (the goods)
+ALTER TABLE orders
+  ADD COLUMN service_charge DECIMAL(10,2) DEFAULT 0.00,
+  ADD COLUMN service_charge_rate DECIMAL(5,2) NULL,
+  ADD COLUMN tip_amount DECIMAL(10,2) DEFAULT 0.00,
+  ADD COLUMN party_size INT NULL;
+
+ALTER TABLE payments
+  ADD COLUMN tip_amount DECIMAL(10,2) DEFAULT 0.00 AFTER amount;
+
+-- Tax rates, assigned per category, breakfast or supplement, with a per-line breakdown on orders
+CREATE TABLE tax_rates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  rate DECIMAL(5,2) NOT NULL,
+  is_default BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE categories
+  ADD COLUMN tax_rate_id INT NULL,
+  ADD FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+ALTER TABLE breakfasts
+  ADD COLUMN tax_rate_id INT NULL,
+  ADD FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+ALTER TABLE supplements
+  ADD COLUMN tax_rate_id INT NULL,
+  ADD FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL;
+
+ALTER TABLE orders
+  ADD COLUMN net_total DECIMAL(10,2) NULL,
+  ADD COLUMN tax_total DECIMAL(10,2) NULL;
+
+ALTER TABLE order_items
+  ADD COLUMN net_amount DECIMAL(10,2) NULL,
+  ADD COLUMN tax_amount DECIMAL(10,2) NULL;
+
+CREATE TABLE order_item_taxes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_item_id INT NOT NULL,
+  tax_rate_id INT NULL,
+  rate DECIMAL(5,2) NOT NULL,
+  net_amount DECIMAL(10,2) NOT NULL,
+  tax_amount DECIMAL(10,2) NOT NULL,
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+  FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL,
+  INDEX idx_order_item (order_item_id)
+);
+
+-- Promotion discount kept with the order so receipts can show it
+ALTER TABLE orders
+  ADD COLUMN discount_amount DECIMAL(10,2) NULL AFTER total_price;
+
+-- Network receipt and kitchen printers (ESC/POS over raw TCP) and their print queue
+CREATE TABLE printers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  host VARCHAR(255) NOT NULL,
+  port INT NOT NULL DEFAULT 9100,
+  role ENUM('kitchen', 'receipt') NOT NULL,
+  station_id INT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (station_id) REFERENCES stations(id) ON DELETE SET NULL
+);
+
+CREATE TABLE print_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  printer_id INT NOT NULL,
+  order_id INT NULL,
+  job_type ENUM('kitchen', 'receipt', 'test') NOT NULL,
+  payload MEDIUMBLOB NOT NULL,
+  status ENUM('queued', 'printing', 'printed', 'failed') DEFAULT 'queued',
+  attempts INT DEFAULT 0,
+  last_error VARCHAR(255) NULL,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  printed_at TIMESTAMP NULL,
+  reprint_of INT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (printer_id) REFERENCES printers(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (reprint_of) REFERENCES print_jobs(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_status_next_attempt (status, next_attempt_at)
+);
+
+-- Scheduled pre-orders, hidden from staff until released ahead of their pickup time
+ALTER TABLE orders
+  ADD COLUMN scheduled_for DATETIME NULL,
+  ADD COLUMN released_at TIMESTAMP NULL,
+  ADD INDEX idx_scheduled_release (scheduled_for, released_at);
+
+-- Takeaway orders: collected at the counter by name or phone, called by a daily pickup number
+ALTER TABLE orders
+  MODIFY COLUMN order_type ENUM('local', 'delivery', 'takeaway') NOT NULL,
+  ADD COLUMN customer_name VARCHAR(100) NULL,
+  ADD COLUMN customer_phone VARCHAR(30) NULL,
+  ADD COLUMN pickup_number INT NULL;
+
+CREATE TABLE pickup_counters (
+  counter_date DATE PRIMARY KEY,
+  last_number INT NOT NULL
+);
+
+-- Delivery zones by postcode list or lat/lng polygon, with the fee and delivery time kept on each order
+CREATE TABLE delivery_zones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  postcodes JSON NULL,
+  polygon JSON NULL,
+  delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  min_order_value DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  estimated_minutes INT NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE orders
+  ADD COLUMN delivery_zone_id INT NULL,
+  ADD COLUMN delivery_fee DECIMAL(10,2) DEFAULT 0.00,
+  ADD COLUMN delivery_minutes INT NULL,
+  ADD COLUMN delivery_postcode VARCHAR(20) NULL,
+  ADD COLUMN delivery_lat DECIMAL(10,7) NULL,
+  ADD COLUMN delivery_lng DECIMAL(10,7) NULL,
+  ADD FOREIGN KEY (delivery_zone_id) REFERENCES delivery_zones(id) ON DELETE SET NULL;
+
+-- Delivery drivers: dispatch of ready delivery orders and location pings while on the road
+ALTER TABLE users
+  MODIFY COLUMN role ENUM('admin', 'server', 'driver') NOT NULL;
+
+CREATE TABLE deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL UNIQUE,
+  driver_id INT NOT NULL,
+  status ENUM('assigned', 'picked_up', 'delivered') NOT NULL DEFAULT 'assigned',
+  assigned_by INT NULL,
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  picked_up_at TIMESTAMP NULL,
+  delivered_at TIMESTAMP NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (driver_id) REFERENCES users(id),
+  FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_driver_status (driver_id, status)
+);
+
+CREATE TABLE driver_locations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  driver_id INT NOT NULL,
+  lat DECIMAL(10,7) NOT NULL,
+  lng DECIMAL(10,7) NOT NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (driver_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_driver_recorded (driver_id, recorded_at)
+);
+
+-- Special instructions from the customer, per line and per order
+ALTER TABLE order_items
+  ADD COLUMN note VARCHAR(140) NULL;
+
+ALTER TABLE orders
+  ADD COLUMN note VARCHAR(280) NULL;
+
+-- Table tabs: the orders of one seating, closed by staff once served and paid
+CREATE TABLE tabs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  table_id INT NOT NULL,
+  status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP NULL,
+  closed_by INT NULL,
+  FOREIGN KEY (table_id) REFERENCES tables(id) ON DELETE CASCADE,
+  FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_table_status (table_id, status)
+);
+
+ALTER TABLE orders
+  ADD COLUMN tab_id INT NULL,
+  ADD FOREIGN KEY (tab_id) REFERENCES tabs(id) ON DELETE SET NULL;
+
+-- Preparation times for the kitchen load model; NULL falls back to ORDER_PREP_MINUTES
+ALTER TABLE menu_items
+  ADD COLUMN prep_minutes INT NULL;
+
+ALTER TABLE breakfasts
+  ADD COLUMN prep_minutes INT NULL;
+
+-- Single row locked while a new order is checked against kitchen capacity, so concurrent orders take their place in the queue one at a time
+CREATE TABLE kitchen_queue_lock (
+  id TINYINT PRIMARY KEY
+);
+
+INSERT INTO kitchen_queue_lock (id) VALUES (1);
+
+-- Order audit trail, read back as GET /orders/:id/timeline
+CREATE TABLE order_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  event_type ENUM('created', 'released', 'approved', 'status_changed', 'edited', 'driver_assigned', 'picked_up',
+                  'payment_recorded', 'payment_voided', 'cancelled', 'rejected') NOT NULL,
+  user_id INT NULL,
+  details JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_order_created (order_id, created_at)
+);
@@ -1,6 +1,16 @@
 const { body, validationResult, param, query } = require('express-validator');
 const logger = require('../logger');
 const db = require('../config/db');
+const { ORDER_STATUSES, ALL_ORDER_STATUSES, CANCELLATION_REASONS } = require('../utils/orderStatus');
+const { ORDER_PAYLOAD_VERSIONS } = require('../utils/orderPayload');
+const { TIP_TYPES } = require('../utils/orderPricing');
+const { RECEIPT_FORMATS } = require('../utils/receipts');
+const { PAYMENT_METHODS, PAYMENT_STATUSES } = require('../utils/payments');
+const { BILL_SPLIT_MODES, BILL_MAX_SPLITS } = require('../utils/bills');
+const { PRINTER_ROLES, PRINT_JOB_STATUSES } = require('../utils/printing');
+const { ORDER_TYPES, CUSTOMER_PHONE_PATTERN } = require('../utils/orderTypes');
+const { DELIVERY_STATUSES } = require('../utils/deliveries');
+const { LINE_NOTE_MAX_LENGTH, ORDER_NOTE_MAX_LENGTH } = require('../utils/orderNotes');
 
 const validate = (req, res, next) => {
   const validations = [];
@@ -48,6 +58,13 @@ const validate = (req, res, next) => {
           .customSanitizer(value => value ? parseInt(value) : undefined)
           .isInt({ min: 1 })
           .withMessage('Invalid category ID'),
+        body('prep_minutes')
+          .optional()
+          .isString()
+          .trim()
+          .customSanitizer(value => value ? parseInt(value) : undefined)
+          .isInt({ min: 1 })
+          .withMessage('Prep minutes must be a positive integer'),
         body('availability')
           .optional()
           .isString()
@@ -82,7 +99,78 @@ const validate = (req, res, next) => {
             .withMessage('Valid item ID is required')
         );
       }
-    } else if (req.path.includes('/orders') && req.method === 'POST') {
+    } else if (req.path === '/orders/quote' && req.method === 'POST') {
+      validations.push(
+        body('items').optional().isArray().withMessage('Items must be an array'),
+        body('items.*.item_id')
+          .isInt({ min: 1 })
+          .withMessage('Valid item ID is required'),
+        body('items.*.quantity')
+          .isInt({ min: 1 })
+          .withMessage('Quantity must be at least 1'),
+        body('items.*.supplement_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid supplement ID is required'),
+        body('breakfastItems').optional().isArray().withMessage('Breakfast items must be an array'),
+        body('breakfastItems.*.breakfast_id')
+          .isInt({ min: 1 })
+          .withMessage('Valid breakfast ID is required'),
+        body('breakfastItems.*.quantity')
+          .isInt({ min: 1 })
+          .withMessage('Quantity must be at least 1'),
+        body('breakfastItems.*.option_ids')
+          .optional()
+          .isArray()
+          .withMessage('Option IDs must be an array'),
+        body('breakfastItems.*.option_ids.*')
+          .isInt({ min: 1 })
+          .withMessage('Valid option ID is required'),
+        body(['items.*.note', 'breakfastItems.*.note'])
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: LINE_NOTE_MAX_LENGTH })
+          .withMessage(`Line notes must be strings of at most ${LINE_NOTE_MAX_LENGTH} characters`),
+        body('promotion_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid promotion ID is required'),
+        body('order_type')
+          .optional()
+          .isIn(ORDER_TYPES)
+          .withMessage(`Order type must be one of: ${ORDER_TYPES.join(', ')}`),
+        body('party_size')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Party size must be a positive integer'),
+        body('tip')
+          .optional({ values: 'null' })
+          .isObject()
+          .withMessage('Tip must be an object'),
+        body('tip.type')
+          .if(body('tip').exists({ values: 'null' }))
+          .isIn(TIP_TYPES)
+          .withMessage(`Tip type must be one of: ${TIP_TYPES.join(', ')}`),
+        body('tip.value')
+          .if(body('tip').exists({ values: 'null' }))
+          .isFloat({ min: 0 })
+          .withMessage('Tip value must be a non-negative number'),
+        body('delivery_postcode')
+          .optional({ values: 'null' })
+          .isString()
+          .trim()
+          .isLength({ min: 1, max: 20 })
+          .withMessage('Delivery postcode must be at most 20 characters'),
+        body('delivery_location.lat')
+          .if(body('delivery_location').exists({ values: 'null' }))
+          .isFloat({ min: -90, max: 90 })
+          .withMessage('Delivery location latitude must be between -90 and 90'),
+        body('delivery_location.lng')
+          .if(body('delivery_location').exists({ values: 'null' }))
+          .isFloat({ min: -180, max: 180 })
+          .withMessage('Delivery location longitude must be between -180 and 180')
+      );
+    } else if (req.path.match(/^\/orders\/?$/) && req.method === 'POST') {
       validations.push(
         body('items').optional().isArray().withMessage('Items must be an array'),
         body('items.*.item_id')
@@ -144,12 +232,22 @@ const validate = (req, res, next) => {
             return true;
           })
           .withMessage('Must select exactly one option from each option group'),
+        body(['items.*.note', 'breakfastItems.*.note'])
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: LINE_NOTE_MAX_LENGTH })
+          .withMessage(`Line notes must be strings of at most ${LINE_NOTE_MAX_LENGTH} characters`),
+        body('note')
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: ORDER_NOTE_MAX_LENGTH })
+          .withMessage(`Order note must be a string of at most ${ORDER_NOTE_MAX_LENGTH} characters`),
         body('total_price')
           .isFloat({ min: 0.01 })
           .withMessage('Total price must be a positive number'),
         body('order_type')
-          .isIn(['delivery', 'local'])
-          .withMessage('Order type must be delivery or local'),
+          .isIn(ORDER_TYPES)
+          .withMessage(`Order type must be one of: ${ORDER_TYPES.join(', ')}`),
         body('delivery_address')
           .if(body('order_type').equals('delivery'))
           .notEmpty()
@@ -164,12 +262,412 @@ const validate = (req, res, next) => {
           .notEmpty()
           .isInt({ min: 1 })
           .withMessage('Table ID is required for local orders'),
+        body('customer_name')
+          .optional({ values: 'null' })
+          .isString()
+          .trim()
+          .isLength({ max: 100 })
+          .withMessage('Customer name must be a string of at most 100 characters'),
+        body('customer_phone')
+          .optional({ values: 'null' })
+          .isString()
+          .trim()
+          .matches(CUSTOMER_PHONE_PATTERN)
+          .withMessage('Customer phone must be a valid phone number'),
+        body()
+          .custom(value => value.order_type !== 'takeaway' || Boolean(value.customer_name?.trim() || value.customer_phone?.trim()))
+          .withMessage('Customer name or phone required for takeaway orders'),
+        body('party_size')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Party size must be a positive integer'),
+        body('tip')
+          .optional({ values: 'null' })
+          .isObject()
+          .withMessage('Tip must be an object'),
+        body('tip.type')
+          .if(body('tip').exists({ values: 'null' }))
+          .isIn(TIP_TYPES)
+          .withMessage(`Tip type must be one of: ${TIP_TYPES.join(', ')}`),
+        body('tip.value')
+          .if(body('tip').exists({ values: 'null' }))
+          .isFloat({ min: 0 })
+          .withMessage('Tip value must be a non-negative number'),
+        body('delivery_postcode')
+          .optional({ values: 'null' })
+          .isString()
+          .trim()
+          .isLength({ min: 1, max: 20 })
+          .withMessage('Delivery postcode must be at most 20 characters'),
+        body('delivery_location.lat')
+          .if(body('delivery_location').exists({ values: 'null' }))
+          .isFloat({ min: -90, max: 90 })
+          .withMessage('Delivery location latitude must be between -90 and 90'),
+        body('delivery_location.lng')
+          .if(body('delivery_location').exists({ values: 'null' }))
+          .isFloat({ min: -180, max: 180 })
+          .withMessage('Delivery location longitude must be between -180 and 180'),
+        body('scheduled_for')
+          .optional({ values: 'null' })
+          .isISO8601()
+          .withMessage('scheduled_for must be a valid ISO8601 date and time'),
         body('request_id')
           .notEmpty()
           .isString()
           .matches(/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/)
           .withMessage('Valid UUID v4 request ID is required')
       );
+    } else if (req.path.match(/^\/orders\/\d+$/) && req.method === 'PUT') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required'),
+        body('status')
+          .isIn(ORDER_STATUSES)
+          .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`)
+      );
+    } else if (req.path.match(/^\/orders\/\d+\/(cancel|reject)$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required'),
+        body('reason')
+          .isIn(CANCELLATION_REASONS)
+          .withMessage(`Reason must be one of: ${CANCELLATION_REASONS.join(', ')}`),
+        body('note')
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: 255 })
+          .withMessage('Note must be a string of at most 255 characters')
+      );
+    } else if (req.path.match(/^\/orders\/bulk\/(approve|status|cancel)$/) && req.method === 'POST') {
+      validations.push(
+        body('order_ids')
+          .isArray({ min: 1 })
+          .withMessage('order_ids must be a non-empty array'),
+        body('order_ids.*')
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required')
+      );
+      if (req.path.endsWith('/status')) {
+        validations.push(
+          body('status')
+            .isIn(ORDER_STATUSES)
+            .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`)
+        );
+      } else if (req.path.endsWith('/cancel')) {
+        validations.push(
+          body('reason')
+            .isIn(CANCELLATION_REASONS)
+            .withMessage(`Reason must be one of: ${CANCELLATION_REASONS.join(', ')}`),
+          body('note')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 255 })
+            .withMessage('Note must be a string of at most 255 characters')
+        );
+      }
+    } else if (req.path.match(/^\/orders\/\d+\/reorder$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required'),
+        body('request_id')
+          .optional()
+          .isString()
+          .matches(/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/)
+          .withMessage('Valid UUID v4 request ID is required'),
+        body('total_price')
+          .optional()
+          .isFloat({ min: 0.01 })
+          .withMessage('Total price must be a positive number'),
+        body('order_type')
+          .optional()
+          .isIn(ORDER_TYPES)
+          .withMessage(`Order type must be one of: ${ORDER_TYPES.join(', ')}`),
+        body('table_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid table ID is required'),
+        body('promotion_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid promotion ID is required'),
+        body('note')
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: ORDER_NOTE_MAX_LENGTH })
+          .withMessage(`Order note must be a string of at most ${ORDER_NOTE_MAX_LENGTH} characters`),
+        body('scheduled_for')
+          .optional({ values: 'null' })
+          .isISO8601()
+          .withMessage('scheduled_for must be a valid ISO8601 date and time')
+      );
+    } else if (req.path.match(/^\/orders\/\d+\/payments$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required'),
+        body('method')
+          .isIn(PAYMENT_METHODS)
+          .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+        body('amount')
+          .optional({ values: 'null' })
+          .isFloat({ gt: 0 })
+          .withMessage('Amount must be a positive number'),
+        body('amount_tendered')
+          .optional({ values: 'null' })
+          .isFloat({ gt: 0 })
+          .withMessage('Amount tendered must be a positive number'),
+        body('tip_amount')
+          .optional({ values: 'null' })
+          .isFloat({ min: 0 })
+          .withMessage('Tip amount must be a non-negative number'),
+        body('reference')
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: 100 })
+          .withMessage('Reference must be a string of at most 100 characters')
+      );
+    } else if (req.path.match(/^\/payments\/\d+\/void$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid payment ID is required'),
+        body('reason')
+          .isString()
+          .trim()
+          .isLength({ min: 1, max: 255 })
+          .withMessage('Reason must be a string of at most 255 characters')
+      );
+    } else if (req.path.match(/^\/tables\/\d+\/bills$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid table ID is required'),
+        body('mode')
+          .isIn(BILL_SPLIT_MODES)
+          .withMessage(`Mode must be one of: ${BILL_SPLIT_MODES.join(', ')}`),
+        body('ways')
+          .if(body('mode').equals('even'))
+          .isInt({ min: 2, max: BILL_MAX_SPLITS })
+          .withMessage(`Ways must be between 2 and ${BILL_MAX_SPLITS}`),
+        body('splits')
+          .if(body('mode').isIn(['lines', 'custom']))
+          .isArray({ min: 2, max: BILL_MAX_SPLITS })
+          .withMessage(`Splits must be an array of 2 to ${BILL_MAX_SPLITS} entries`),
+        body('splits.*.label')
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: 50 })
+          .withMessage('Split labels must be strings of at most 50 characters'),
+        body('splits.*.amount')
+          .if(body('mode').equals('custom'))
+          .isFloat({ gt: 0 })
+          .withMessage('Each split amount must be a positive number'),
+        body('splits.*.order_item_ids')
+          .if(body('mode').equals('lines'))
+          .isArray({ min: 1 })
+          .withMessage('Each split must list at least one order line')
+      );
+    } else if (req.path.match(/^\/sub-bills\/\d+\/payments$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid sub-bill ID is required'),
+        body('method')
+          .isIn(PAYMENT_METHODS)
+          .withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+        body('amount')
+          .optional({ values: 'null' })
+          .isFloat({ gt: 0 })
+          .withMessage('Amount must be a positive number'),
+        body('amount_tendered')
+          .optional({ values: 'null' })
+          .isFloat({ gt: 0 })
+          .withMessage('Amount tendered must be a positive number'),
+        body('tip_amount')
+          .optional({ values: 'null' })
+          .isFloat({ min: 0 })
+          .withMessage('Tip amount must be a non-negative number'),
+        body('reference')
+          .optional({ values: 'null' })
+          .isString()
+          .isLength({ max: 100 })
+          .withMessage('Reference must be a string of at most 100 characters')
+      );
+    } else if (req.path.match(/^\/orders\/\d+\/print$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required'),
+        body('type')
+          .isIn(['kitchen', 'receipt'])
+          .withMessage('Type must be one of: kitchen, receipt'),
+        body('printer_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid printer ID is required')
+      );
+    } else if (req.path.match(/^\/print-jobs\/\d+\/reprint$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid print job ID is required'),
+        body('printer_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid printer ID is required')
+      );
+    } else if (req.path.match(/^\/printers\/\d+\/test$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid printer ID is required')
+      );
+    } else if (req.path.match(/^\/printers(\/\d+)?$/)) {
+      validations.push(
+        body('name')
+          .isString()
+          .trim()
+          .notEmpty()
+          .isLength({ max: 100 })
+          .withMessage('Name is required'),
+        body('host')
+          .isString()
+          .trim()
+          .matches(/^[a-zA-Z0-9.-]{1,255}$/)
+          .withMessage('Host must be a hostname or IP address'),
+        body('port')
+          .optional({ values: 'null' })
+          .isInt({ min: 1, max: 65535 })
+          .withMessage('Port must be between 1 and 65535'),
+        body('role')
+          .isIn(PRINTER_ROLES)
+          .withMessage(`Role must be one of: ${PRINTER_ROLES.join(', ')}`),
+        body('station_id')
+          .optional({ values: 'null' })
+          .isInt({ min: 1 })
+          .withMessage('Valid station ID is required'),
+        body('is_active')
+          .optional()
+          .isBoolean()
+          .withMessage('is_active must be a boolean')
+      );
+    } else if (req.path.match(/^\/orders\/\d+\/assign-driver$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid order ID is required'),
+        body('driver_id')
+          .isInt({ min: 1 })
+          .withMessage('Valid driver ID is required')
+      );
+    } else if (req.path.match(/^\/deliveries\/\d+\/(pickup|deliver)$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid delivery ID is required')
+      );
+    } else if (req.path === '/drivers/location' && req.method === 'POST') {
+      validations.push(
+        body('lat')
+          .isFloat({ min: -90, max: 90 })
+          .withMessage('lat must be between -90 and 90'),
+        body('lng')
+          .isFloat({ min: -180, max: 180 })
+          .withMessage('lng must be between -180 and 180')
+      );
+    } else if (req.path.match(/^\/tables\/\d+\/release$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid table ID is required')
+      );
+    } else if (req.path.match(/^\/tabs\/\d+\/close$/) && req.method === 'POST') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid tab ID is required')
+      );
+    } else if (req.path.match(/^\/delivery-zones(\/\d+)?$/)) {
+      validations.push(
+        body('name')
+          .isString()
+          .trim()
+          .notEmpty()
+          .isLength({ max: 100 })
+          .withMessage('Name is required'),
+        body('postcodes')
+          .optional({ values: 'null' })
+          .isArray({ min: 1 })
+          .withMessage('Postcodes must be a non-empty array'),
+        body('postcodes.*')
+          .isString()
+          .trim()
+          .matches(/^[A-Za-z0-9 ]{1,20}\*?$/)
+          .withMessage('Each postcode must be letters, digits and spaces, optionally ending in *'),
+        body('polygon')
+          .optional({ values: 'null' })
+          .isArray({ min: 3 })
+          .withMessage('Polygon must be an array of at least 3 [lat, lng] points'),
+        body('delivery_fee')
+          .isFloat({ min: 0 })
+          .withMessage('Delivery fee must be a non-negative number'),
+        body('min_order_value')
+          .optional({ values: 'null' })
+          .isFloat({ min: 0 })
+          .withMessage('Minimum order value must be a non-negative number'),
+        body('estimated_minutes')
+          .isInt({ min: 1 })
+          .withMessage('Estimated minutes must be a positive integer'),
+        body('is_active')
+          .optional()
+          .isBoolean()
+          .withMessage('is_active must be a boolean')
+      );
     } else if (req.path.match(/^\/orders\/\d+\/approve$/) && req.method === 'POST') {
       validations.push(
         param('id')
@@ -179,6 +677,38 @@ const validate = (req, res, next) => {
           .isInt({ min: 1 })
           .withMessage('Valid order ID is required')
       );
+    } else if (req.path.match(/^\/tax-rates\/\d+\/assignments$/) && req.method === 'PUT') {
+      validations.push(
+        param('id')
+          .isString()
+          .trim()
+          .customSanitizer(value => parseInt(value))
+          .isInt({ min: 1 })
+          .withMessage('Valid tax rate ID is required'),
+        body(['category_ids', 'breakfast_ids', 'supplement_ids'])
+          .optional()
+          .isArray()
+          .withMessage('Assignments must be arrays of IDs'),
+        body(['category_ids.*', 'breakfast_ids.*', 'supplement_ids.*'])
+          .isInt({ min: 1 })
+          .withMessage('Valid ID is required')
+      );
+    } else if (req.path.match(/^\/tax-rates(\/\d+)?$/)) {
+      validations.push(
+        body('name')
+          .isString()
+          .trim()
+          .notEmpty()
+          .isLength({ max: 100 })
+          .withMessage('Name is required'),
+        body('rate')
+          .isFloat({ min: 0, max: 100 })
+          .withMessage('Rate must be a percentage between 0 and 100'),
+        body('is_default')
+          .optional()
+          .isBoolean()
+          .withMessage('is_default must be a boolean')
+      );
     } else if (req.path.includes('/categories') && !req.path.includes('/supplements')) {
       validations.push(
         body('user_id')
@@ -260,8 +790,8 @@ const validate = (req, res, next) => {
           .withMessage('Valid user ID is required'),
         body('email').isEmail().withMessage('Valid email is required'),
         body('role')
-          .isIn(['server', 'admin'])
-          .withMessage('Role must be server or admin')
+          .isIn(['server', 'admin', 'driver'])
+          .withMessage('Role must be server, admin or driver')
       );
       if (req.path.includes('/staff')) {
         validations.push(
@@ -618,7 +1148,14 @@ const validate = (req, res, next) => {
           .trim()
           .customSanitizer(value => value ? parseInt(value) : undefined)
           .isInt({ min: 1 })
-          .withMessage('Invalid category ID')
+          .withMessage('Invalid category ID'),
+        body('prep_minutes')
+          .optional()
+          .isString()
+          .trim()
+          .customSanitizer(value => value ? parseInt(value) : undefined)
+          .isInt({ min: 1 })
+          .withMessage('Prep minutes must be a positive integer')
       );
       if (req.method === 'PUT') {
         validations.push(
@@ -698,7 +1235,120 @@ const validate = (req, res, next) => {
         query('approved')
           .optional()
           .isIn(['0', '1'])
-          .withMessage('Approved must be 0 or 1')
+          .withMessage('Approved must be 0 or 1'),
+        query('version')
+          .optional()
+          .isIn(ORDER_PAYLOAD_VERSIONS.map(String))
+          .withMessage(`Version must be one of: ${ORDER_PAYLOAD_VERSIONS.join(', ')}`),
+        query('page')
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage('Page must be a positive integer'),
+        query('limit')
+          .optional()
+          .isInt({ min: 1, max: 200 })
+          .withMessage('Limit must be between 1 and 200'),
+        query('start_date')
+          .optional()
+          .isISO8601()
+          .withMessage('start_date must be a valid ISO8601 date'),
+        query('end_date')
+          .optional()
+          .isISO8601()
+          .withMessage('end_date must be a valid ISO8601 date'),
+        query('table_id')
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage('Valid table ID is required'),
+        query('order_type')
+          .optional()
+          .isIn(ORDER_TYPES)
+          .withMessage(`Order type must be one of: ${ORDER_TYPES.join(', ')}`),
+        query('status')
+          .optional()
+          .custom(value => String(value).split(',').every(status => ALL_ORDER_STATUSES.includes(status)))
+          .withMessage('Invalid order status'),
+        query('scheduled')
+          .optional()
+          .isIn(['upcoming', 'all'])
+          .withMessage('Scheduled must be upcoming or all'),
+        query('payment_status')
+          .optional()
+          .custom(value => String(value).split(',').every(status => PAYMENT_STATUSES.includes(status)))
+          .withMessage('Invalid payment status'),
+        query('promotion_id')
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage('Valid promotion ID is required'),
+        query('min_total')
+          .optional()
+          .isFloat({ min: 0 })
+          .withMessage('min_total must be a non-negative number'),
+        query('max_total')
+          .optional()
+          .isFloat({ min: 0 })
+          .withMessage('max_total must be a non-negative number'),
+        query('search')
+          .optional()
+          .isString()
+          .isLength({ max: 100 })
+          .withMessage('Search must be at most 100 characters'),
+        query('sort')
+          .optional()
+          .isIn(['created_at', 'total_price', 'id', 'status', 'table'])
+          .withMessage('Invalid sort column'),
+        query('order')
+          .optional()
+          .isIn(['asc', 'desc'])
+          .withMessage('Order must be asc or desc')
+      );
+    }
+    if (req.path === '/print-jobs') {
+      validations.push(
+        query('status')
+          .optional()
+          .isIn(PRINT_JOB_STATUSES)
+          .withMessage(`Status must be one of: ${PRINT_JOB_STATUSES.join(', ')}`),
+        query(['order_id', 'printer_id'])
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage('Valid ID is required')
+      );
+    }
+    if (req.path === '/tabs') {
+      validations.push(
+        query('status')
+          .optional()
+          .isIn(['open', 'closed'])
+          .withMessage('Status must be open or closed')
+      );
+    }
+    if (req.path === '/deliveries') {
+      validations.push(
+        query('status')
+          .optional()
+          .isIn(DELIVERY_STATUSES)
+          .withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+        query('driver_id')
+          .optional()
+          .isInt({ min: 1 })
+          .withMessage('Valid driver ID is required')
+      );
+    }
+    if (req.path === '/orders/mine') {
+      validations.push(
+        query('active')
+          .optional()
+          .isIn(['0', '1'])
+          .withMessage('Active must be 0 or 1')
+      );
+    }
+    if (req.path.match(/^\/orders\/\d+\/receipt$/)) {
+      validations.push(
+        query('format')
+          .optional()
+          .isIn(RECEIPT_FORMATS)
+          .withMessage(`Format must be one of: ${RECEIPT_FORMATS.join(', ')}`)
       );
     }
     if (req.path.match(/^\/orders\/\d+$/)) {
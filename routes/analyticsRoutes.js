@@ -3,6 +3,8 @@ const router = express.Router();
 const db = require('../config/db');
 const logger = require('../logger');
 const { query, validationResult } = require('express-validator');
+const { ORDER_TYPES } = require('../utils/orderTypes');
+const { ORDER_AMOUNT_DUE_SQL } = require('../utils/payments');
 
 const checkAdmin = async (userId) => {
   if (!userId) return false;
@@ -10,14 +12,21 @@ const checkAdmin = async (userId) => {
   return rows.length > 0 && rows[0].role === 'admin';
 };
 
+// Revenue is either the total of approved orders or the sum of settled (completed) payments
+const REVENUE_BASES = ['approved', 'payments'];
+
 // Validation middleware for query parameters
 const validateQueryParams = [
   query('start_date').optional().isISO8601().withMessage('start_date must be a valid ISO8601 date'),
   query('end_date').optional().isISO8601().withMessage('end_date must be a valid ISO8601 date'),
   query('category_id').optional().isInt({ min: 1 }).withMessage('category_id must be a positive integer'),
-  query('order_type').optional().isIn(['local', 'delivery']).withMessage('order_type must be "local" or "delivery"'),
+  query('order_type').optional().isIn(ORDER_TYPES).withMessage(`order_type must be one of: ${ORDER_TYPES.join(', ')}`),
+  query('revenue_basis').optional().isIn(REVENUE_BASES).withMessage(`revenue_basis must be one of: ${REVENUE_BASES.join(', ')}`),
 ];
 
+// Cancelled and rejected orders never count towards revenue
+const REVENUE_STATUS_FILTER = "o.status NOT IN ('cancelled', 'rejected')";
+
 // Helper function to build dynamic WHERE clauses for time filtering
 const buildTimeFilter = (startDate, endDate, tableAlias) => {
   const conditions = [];
@@ -64,6 +73,30 @@ const buildTimeFilter = (startDate, endDate, tableAlias) => {
   return { conditions, params };
 };
 
+// Share of a payment that paid for the order's goods. An order's amount due also covers its tip,
+// service charge and delivery fee, which are reported apart from revenue, so each payment only
+// counts in the proportion total_price bears to the amount due.
+const PAYMENT_GOODS_SHARE_SQL = `p.amount * o.total_price / NULLIF(${ORDER_AMOUNT_DUE_SQL}, 0)`;
+
+// Sums an expression over the completed payments taken in the period, by payment time rather than order time
+const sumSettledPayments = async (startDate, endDate, orderType, amountSql = PAYMENT_GOODS_SHARE_SQL) => {
+  const paymentTimeFilter = buildTimeFilter(startDate, endDate, 'p');
+  const conditions = ["p.status = 'completed'", REVENUE_STATUS_FILTER, ...paymentTimeFilter.conditions];
+  const params = [...paymentTimeFilter.params];
+  if (orderType) {
+    conditions.push('o.order_type = ?');
+    params.push(orderType);
+  }
+  const [rows] = await db.query(
+    `SELECT SUM(${amountSql}) as total
+     FROM payments p
+     JOIN orders o ON p.order_id = o.id
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  return rows[0].total;
+};
+
 // Fetch enhanced analytics overview
 router.get('/analytics-overview', validateQueryParams, async (req, res) => {
   const errors = validationResult(req);
@@ -73,6 +106,7 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
   }
 
   const { start_date, end_date, category_id, order_type } = req.query;
+  const revenueBasis = req.query.revenue_basis || 'approved';
 
   try {
     if (!req.session.user || !await checkAdmin(req.session.user.id)) {
@@ -128,33 +162,96 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
       ? ((totalOrdersCount - prevTotalOrdersCount) / prevTotalOrdersCount * 100).toFixed(2)
       : null;
 
-    // Total Revenue (only for approved orders)
-    let revenueWhereClause = orderWhereClause ? `${orderWhereClause} AND o.approved = 1` : `WHERE o.approved = 1`;
-    let revenueParams = [...orderParams];
-    let prevRevenueWhereClause = prevOrderWhereClause ? `${prevOrderWhereClause} AND o.approved = 1` : `WHERE o.approved = 1`;
-    let prevRevenueParams = [...prevOrderParams];
-    logger.debug('Querying total revenue:', { query: `SELECT SUM(total_price) as revenue FROM orders o ${revenueWhereClause}`, params: revenueParams });
-    const [totalRevenue] = await db.query(`SELECT SUM(total_price) as revenue FROM orders o ${revenueWhereClause}`, revenueParams);
-    logger.debug('Querying previous total revenue:', { query: `SELECT SUM(total_price) as revenue FROM orders o ${prevRevenueWhereClause}`, params: prevRevenueParams });
-    const [prevTotalRevenue] = await db.query(`SELECT SUM(total_price) as revenue FROM orders o ${prevRevenueWhereClause}`, prevRevenueParams);
-    const revenue = parseFloat(totalRevenue[0].revenue || 0).toFixed(2);
-    const prevRevenue = parseFloat(prevTotalRevenue[0].revenue || 0).toFixed(2);
+    // Total Revenue (approved orders that were not cancelled, or completed payments when revenue_basis=payments)
+    let revenueTotal;
+    let prevRevenueTotal;
+    if (revenueBasis === 'payments') {
+      revenueTotal = await sumSettledPayments(start_date, end_date, order_type);
+      prevRevenueTotal = await sumSettledPayments(previousStartDate, previousEndDate, order_type);
+    } else {
+      let revenueWhereClause = orderWhereClause ? `${orderWhereClause} AND o.approved = 1 AND ${REVENUE_STATUS_FILTER}` : `WHERE o.approved = 1 AND ${REVENUE_STATUS_FILTER}`;
+      let revenueParams = [...orderParams];
+      let prevRevenueWhereClause = prevOrderWhereClause ? `${prevOrderWhereClause} AND o.approved = 1 AND ${REVENUE_STATUS_FILTER}` : `WHERE o.approved = 1 AND ${REVENUE_STATUS_FILTER}`;
+      let prevRevenueParams = [...prevOrderParams];
+      logger.debug('Querying total revenue:', { query: `SELECT SUM(total_price) as revenue FROM orders o ${revenueWhereClause}`, params: revenueParams });
+      const [totalRevenue] = await db.query(`SELECT SUM(total_price) as revenue FROM orders o ${revenueWhereClause}`, revenueParams);
+      logger.debug('Querying previous total revenue:', { query: `SELECT SUM(total_price) as revenue FROM orders o ${prevRevenueWhereClause}`, params: prevRevenueParams });
+      const [prevTotalRevenue] = await db.query(`SELECT SUM(total_price) as revenue FROM orders o ${prevRevenueWhereClause}`, prevRevenueParams);
+      revenueTotal = totalRevenue[0].revenue;
+      prevRevenueTotal = prevTotalRevenue[0].revenue;
+    }
+    const revenue = parseFloat(revenueTotal || 0).toFixed(2);
+    const prevRevenue = parseFloat(prevRevenueTotal || 0).toFixed(2);
     const revenueChange = prevRevenue > 0
       ? ((revenue - prevRevenue) / prevRevenue * 100).toFixed(2)
       : null;
 
+    // Tips, service charges and delivery fees, kept apart from revenue. Tips are those added when ordering plus those left at payment.
+    const chargesWhereClause = orderWhereClause ? `${orderWhereClause} AND ${REVENUE_STATUS_FILTER}` : `WHERE ${REVENUE_STATUS_FILTER}`;
+    logger.debug('Querying tips and service charges:', { query: `SELECT SUM(o.tip_amount) as order_tips, SUM(o.service_charge) as service_charges, SUM(o.delivery_fee) as delivery_fees FROM orders o ${chargesWhereClause}`, params: orderParams });
+    const [orderCharges] = await db.query(
+      `SELECT SUM(o.tip_amount) as order_tips, SUM(o.service_charge) as service_charges, SUM(o.delivery_fee) as delivery_fees FROM orders o ${chargesWhereClause}`,
+      orderParams
+    );
+    const paymentTips = await sumSettledPayments(start_date, end_date, order_type, 'p.tip_amount');
+    const orderTips = parseFloat(orderCharges[0].order_tips || 0);
+    const tipsAndCharges = {
+      order_tips: orderTips.toFixed(2),
+      payment_tips: parseFloat(paymentTips || 0).toFixed(2),
+      total_tips: (orderTips + parseFloat(paymentTips || 0)).toFixed(2),
+      service_charges: parseFloat(orderCharges[0].service_charges || 0).toFixed(2),
+      delivery_fees: parseFloat(orderCharges[0].delivery_fees || 0).toFixed(2),
+    };
+
+    // Net, tax and gross for revenue orders priced with a tax breakdown, in total and per rate
+    const taxWhereClause = orderWhereClause
+      ? `${orderWhereClause} AND o.approved = 1 AND ${REVENUE_STATUS_FILTER} AND o.net_total IS NOT NULL`
+      : `WHERE o.approved = 1 AND ${REVENUE_STATUS_FILTER} AND o.net_total IS NOT NULL`;
+    logger.debug('Querying tax summary:', { query: `SELECT SUM(o.net_total) as net, SUM(o.tax_total) as tax, SUM(o.total_price) as gross FROM orders o ${taxWhereClause}`, params: orderParams });
+    const [taxTotals] = await db.query(
+      `SELECT SUM(o.net_total) as net, SUM(o.tax_total) as tax, SUM(o.total_price) as gross FROM orders o ${taxWhereClause}`,
+      orderParams
+    );
+    const [taxByRate] = await db.query(
+      `SELECT oit.rate, tr.name, SUM(oit.net_amount) as net, SUM(oit.tax_amount) as tax
+       FROM order_item_taxes oit
+       JOIN order_items oi ON oit.order_item_id = oi.id
+       JOIN orders o ON oi.order_id = o.id
+       LEFT JOIN tax_rates tr ON oit.tax_rate_id = tr.id
+       ${taxWhereClause}
+       GROUP BY oit.rate, tr.name
+       ORDER BY oit.rate`,
+      orderParams
+    );
+    const taxSummary = {
+      net: parseFloat(taxTotals[0].net || 0).toFixed(2),
+      tax: parseFloat(taxTotals[0].tax || 0).toFixed(2),
+      gross: parseFloat(taxTotals[0].gross || 0).toFixed(2),
+      byRate: taxByRate.map(row => ({
+        rate: parseFloat(row.rate),
+        name: row.name,
+        net: parseFloat(row.net || 0).toFixed(2),
+        tax: parseFloat(row.tax || 0).toFixed(2),
+      })),
+    };
+
     // Order Type Breakdown
     logger.debug('Querying order type breakdown:', { query: `SELECT o.order_type, COUNT(*) as count FROM orders o ${orderWhereClause} GROUP BY o.order_type`, params: orderParams });
-    const [orderTypeBreakdown] = await db.query(
+    const [orderTypeCounts] = await db.query(
       `SELECT o.order_type, COUNT(*) as count FROM orders o ${orderWhereClause} GROUP BY o.order_type`,
       orderParams
     );
+    // Every order type is listed, with a zero count when it had no orders
+    const orderTypeBreakdown = ORDER_TYPES.map(orderType => ({
+      order_type: orderType,
+      count: orderTypeCounts.find(row => row.order_type === orderType)?.count || 0,
+    }));
 
     // Top Selling Items (include revenue)
-    let topItemsWhereClause = orderTimeFilter.conditions.length > 0 ? `WHERE ${orderTimeFilter.conditions.join(' AND ')}` : '';
+    let topItemsWhereClause = `WHERE ${[...orderTimeFilter.conditions, REVENUE_STATUS_FILTER].join(' AND ')}`;
     let topItemsParams = [...orderTimeFilter.params];
     if (category_id) {
-      topItemsWhereClause = topItemsWhereClause ? `${topItemsWhereClause} AND mi.category_id = ?` : `WHERE mi.category_id = ?`;
+      topItemsWhereClause = `${topItemsWhereClause} AND mi.category_id = ?`;
       topItemsParams.push(category_id);
     }
     logger.debug('Querying top selling items:', { query: `SELECT mi.id, mi.name, SUM(oi.quantity) as total_quantity, SUM(oi.quantity * oi.unit_price) as total_revenue FROM order_items oi JOIN menu_items mi ON oi.item_id = mi.id JOIN orders o ON oi.order_id = o.id ${topItemsWhereClause} GROUP BY oi.item_id ORDER BY total_quantity DESC LIMIT 5`, params: topItemsParams });
@@ -184,11 +281,12 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
         groupByClause = 'DATE_FORMAT(o.created_at, "%Y-%m")';
       }
     }
-    logger.debug('Querying sales trend:', { query: `SELECT ${groupByClause} as time_period, SUM(o.total_price) as total_revenue, COUNT(*) as total_orders FROM orders o ${orderWhereClause} GROUP BY ${groupByClause} ORDER BY time_period ASC`, params: orderParams });
+    const salesTrendWhereClause = orderWhereClause ? `${orderWhereClause} AND ${REVENUE_STATUS_FILTER}` : `WHERE ${REVENUE_STATUS_FILTER}`;
+    logger.debug('Querying sales trend:', { query: `SELECT ${groupByClause} as time_period, SUM(o.total_price) as total_revenue, COUNT(*) as total_orders FROM orders o ${salesTrendWhereClause} GROUP BY ${groupByClause} ORDER BY time_period ASC`, params: orderParams });
     const [salesTrend] = await db.query(
       `SELECT ${groupByClause} as time_period, SUM(o.total_price) as total_revenue, COUNT(*) as total_orders
        FROM orders o
-       ${orderWhereClause}
+       ${salesTrendWhereClause}
        GROUP BY ${groupByClause}
        ORDER BY time_period ASC`,
       orderParams
@@ -247,10 +345,10 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
     }));
 
     // Category Sales Distribution
-    let categorySalesWhereClause = orderTimeFilter.conditions.length > 0 ? `WHERE ${orderTimeFilter.conditions.join(' AND ')}` : '';
+    let categorySalesWhereClause = `WHERE ${[...orderTimeFilter.conditions, REVENUE_STATUS_FILTER].join(' AND ')}`;
     let categorySalesParams = [...orderTimeFilter.params];
     if (category_id) {
-      categorySalesWhereClause = categorySalesWhereClause ? `${categorySalesWhereClause} AND mi.category_id = ?` : `WHERE mi.category_id = ?`;
+      categorySalesWhereClause = `${categorySalesWhereClause} AND mi.category_id = ?`;
       categorySalesParams.push(category_id);
     }
     logger.debug('Querying category sales:', { query: `SELECT c.id, c.name, SUM(oi.quantity * oi.unit_price) as total_revenue FROM order_items oi JOIN menu_items mi ON oi.item_id = mi.id JOIN categories c ON mi.category_id = c.id JOIN orders o ON oi.order_id = o.id ${categorySalesWhereClause} GROUP BY c.id ORDER BY total_revenue DESC`, params: categorySalesParams });
@@ -311,8 +409,11 @@ router.get('/analytics-overview', validateQueryParams, async (req, res) => {
       },
       totalRevenue: {
         revenue,
+        basis: revenueBasis,
         change: revenueChange ? parseFloat(revenueChange) : null,
       },
+      tipsAndCharges,
+      taxSummary,
       orderTypeBreakdown,
       topSellingItems: sanitizedTopSellingItems,
       salesTrend: sanitizedSalesTrend,
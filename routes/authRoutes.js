@@ -73,14 +73,14 @@ router.post('/staff', async (req, res) => {
       logger.warn('Unauthorized attempt to add staff', { user_id, sessionUser: req.session.user });
       return res.status(403).json({ error: 'Admin access required' });
     }
-    if (role !== 'server') {
+    if (role !== 'server' && role !== 'driver') {
       logger.warn('Invalid role', { role });
       return res.status(400).json({ error: 'Invalid role' });
     }
     const password_hash = await bcrypt.hash(password, 10);
     const [result] = await db.query('INSERT INTO users (email, password_hash, role) VALUES (?, ?, ?)', [email, password_hash, role]);
-    logger.info('Server added', { id: result.insertId, email });
-    res.status(201).json({ message: 'Server added', id: result.insertId });
+    logger.info('Staff added', { id: result.insertId, email, role });
+    res.status(201).json({ message: 'Staff added', id: result.insertId });
   } catch (error) {
     logger.error('Error adding staff', { error: error.message });
     res.status(500).json({ error: 'Failed to add staff' });
@@ -100,7 +100,7 @@ router.put('/users/:id', async (req, res) => {
       logger.warn('Invalid user ID', { id });
       return res.status(400).json({ error: 'Valid user ID is required' });
     }
-    if (role !== 'server' && role !== 'admin') {
+    if (!['server', 'admin', 'driver'].includes(role)) {
       logger.warn('Invalid role', { role });
       return res.status(400).json({ error: 'Invalid role' });
     }
@@ -0,0 +1,512 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { roundMoney } = require('../utils/money');
+const { PAYMENT_METHODS, ORDER_AMOUNT_DUE_SQL, refreshOrderPaymentStatus, emitPaymentUpdate } = require('../utils/payments');
+const {
+  BILL_SPLIT_MODES,
+  BILL_MAX_SPLITS,
+  fetchBillableOrders,
+  splitEvenly,
+  priceBillLines,
+  refreshSubBillPaymentStatus,
+  fetchBill,
+  emitBillUpdate,
+} = require('../utils/bills');
+const { releaseTableIfSettled } = require('../utils/tables');
+const { RECEIPT_FORMATS, buildSubBillReceipt, renderText, renderHtml, renderPdf } = require('../utils/receipts');
+const { recordOrderEvent } = require('../utils/orderEvents');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+const isLabel = (label) => label === undefined || label === null || (typeof label === 'string' && label.length <= 50);
+
+module.exports = (io) => {
+  // Split a table's unpaid orders into sub-bills
+  router.post('/tables/:id/bills', async (req, res) => {
+    const { id } = req.params;
+    const { mode, ways, splits } = req.body;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to split bill', { sessionUser: req.session.user, tableId: id, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID for bill', { id, timestamp });
+        return res.status(400).json({ error: 'Valid table ID required' });
+      }
+      if (!BILL_SPLIT_MODES.includes(mode)) {
+        logger.warn('Invalid bill split mode', { tableId, mode, timestamp });
+        return res.status(400).json({ error: `Mode must be one of: ${BILL_SPLIT_MODES.join(', ')}` });
+      }
+      const parsedWays = parseInt(ways);
+      if (mode === 'even' && (isNaN(parsedWays) || parsedWays < 2 || parsedWays > BILL_MAX_SPLITS)) {
+        logger.warn('Invalid number of ways for even split', { tableId, ways, timestamp });
+        return res.status(400).json({ error: `Ways must be between 2 and ${BILL_MAX_SPLITS}` });
+      }
+      if (mode !== 'even' && (!Array.isArray(splits) || splits.length < 2 || splits.length > BILL_MAX_SPLITS)) {
+        logger.warn('Invalid splits', { tableId, mode, timestamp });
+        return res.status(400).json({ error: `Splits must be an array of 2 to ${BILL_MAX_SPLITS} entries` });
+      }
+      if (mode !== 'even' && !splits.every(split => split && isLabel(split.label))) {
+        logger.warn('Invalid split label', { tableId, timestamp });
+        return res.status(400).json({ error: 'Split labels must be strings of at most 50 characters' });
+      }
+
+      const connection = await db.getConnection();
+      let billId;
+      try {
+        await connection.beginTransaction();
+        const [tableRows] = await connection.query('SELECT id FROM tables WHERE id = ?', [tableId]);
+        if (tableRows.length === 0) {
+          await connection.rollback();
+          logger.warn('Table not found for bill', { tableId, timestamp });
+          return res.status(404).json({ error: 'Table not found' });
+        }
+        const orders = await fetchBillableOrders(connection, tableId);
+        const total = roundMoney(orders.reduce((sum, order) => sum + order.outstanding, 0));
+        if (orders.length === 0 || total <= 0) {
+          await connection.rollback();
+          logger.warn('No unpaid orders to split', { tableId, timestamp });
+          return res.status(400).json({ error: 'Table has no unpaid orders to split' });
+        }
+
+        // Each entry: { label, amount, lines } where lines only exist for line splits
+        let subBills;
+        if (mode === 'even') {
+          subBills = splitEvenly(total, parsedWays).map((amount, index) => ({ label: `Guest ${index + 1}`, amount, lines: [] }));
+        } else if (mode === 'custom') {
+          const amounts = splits.map(split => parseFloat(split.amount));
+          if (amounts.some(amount => isNaN(amount) || amount <= 0)) {
+            await connection.rollback();
+            logger.warn('Invalid custom split amount', { tableId, timestamp });
+            return res.status(400).json({ error: 'Each split amount must be a positive number' });
+          }
+          const splitTotal = roundMoney(amounts.reduce((sum, amount) => sum + amount, 0));
+          if (splitTotal !== total) {
+            await connection.rollback();
+            logger.warn('Custom split does not match bill total', { tableId, splitTotal, total, timestamp });
+            return res.status(400).json({ error: `Split amounts add up to ${splitTotal.toFixed(2)}, but the table owes ${total.toFixed(2)}` });
+          }
+          subBills = splits.map((split, index) => ({ label: split.label || `Guest ${index + 1}`, amount: roundMoney(amounts[index]), lines: [] }));
+        } else {
+          const pricedLines = await priceBillLines(connection, orders);
+          const linesById = new Map(pricedLines.map(line => [line.order_item_id, line]));
+          const assigned = new Set();
+          subBills = [];
+          for (const [index, split] of splits.entries()) {
+            const itemIds = Array.isArray(split.order_item_ids) ? split.order_item_ids.map(itemId => parseInt(itemId)) : [];
+            if (itemIds.length === 0) {
+              await connection.rollback();
+              logger.warn('Empty line split', { tableId, index, timestamp });
+              return res.status(400).json({ error: `Split ${index + 1} must list at least one order line` });
+            }
+            for (const itemId of itemIds) {
+              if (!linesById.has(itemId) || assigned.has(itemId)) {
+                await connection.rollback();
+                logger.warn('Invalid or repeated order line in split', { tableId, itemId, timestamp });
+                return res.status(400).json({ error: `Order line ${itemId} is not on this bill or is assigned twice` });
+              }
+              assigned.add(itemId);
+            }
+            const lines = itemIds.map(itemId => linesById.get(itemId));
+            subBills.push({
+              label: split.label || `Guest ${index + 1}`,
+              amount: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+              lines,
+            });
+          }
+          if (assigned.size !== pricedLines.length) {
+            await connection.rollback();
+            logger.warn('Unassigned order lines in split', { tableId, assigned: assigned.size, lines: pricedLines.length, timestamp });
+            return res.status(400).json({ error: 'Every order line must be assigned to a split' });
+          }
+        }
+
+        const [billResult] = await connection.query(
+          'INSERT INTO bills (table_id, split_mode, total, created_by) VALUES (?, ?, ?, ?)',
+          [tableId, mode, total, req.session.user.id]
+        );
+        billId = billResult.insertId;
+        await connection.query(
+          'INSERT INTO bill_orders (bill_id, order_id) VALUES ?',
+          [orders.map(order => [billId, order.id])]
+        );
+        for (const subBill of subBills) {
+          const [subBillResult] = await connection.query(
+            'INSERT INTO sub_bills (bill_id, label, amount) VALUES (?, ?, ?)',
+            [billId, subBill.label, subBill.amount]
+          );
+          if (subBill.lines.length > 0) {
+            await connection.query(
+              'INSERT INTO sub_bill_lines (sub_bill_id, order_item_id, amount) VALUES ?',
+              [subBill.lines.map(line => [subBillResult.insertId, line.order_item_id, line.amount])]
+            );
+          }
+        }
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      const bill = await fetchBill(db, billId);
+      emitBillUpdate(io, bill);
+
+      logger.info('Bill split', { billId, tableId, mode, subBills: bill.sub_bills.length, total: bill.total, userId: req.session.user.id, timestamp });
+      res.status(201).json({ message: 'Bill split', bill });
+    } catch (error) {
+      logger.error('Error splitting bill', { error: error.message, tableId: id, timestamp });
+      res.status(500).json({ error: 'Failed to split bill' });
+    }
+  });
+
+  // Fetch a table's bills
+  router.get('/tables/:id/bills', async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.query;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch bills', { sessionUser: req.session.user, tableId: id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID for bills', { id });
+        return res.status(400).json({ error: 'Valid table ID required' });
+      }
+      const [rows] = status
+        ? await db.query('SELECT id FROM bills WHERE table_id = ? AND status = ? ORDER BY created_at DESC LIMIT 50', [tableId, status])
+        : await db.query('SELECT id FROM bills WHERE table_id = ? ORDER BY created_at DESC LIMIT 50', [tableId]);
+      const bills = [];
+      for (const row of rows) {
+        bills.push(await fetchBill(db, row.id));
+      }
+      res.json({ data: bills });
+    } catch (error) {
+      logger.error('Error fetching bills', { error: error.message, tableId: id });
+      res.status(500).json({ error: 'Failed to fetch bills' });
+    }
+  });
+
+  // Fetch a bill
+  router.get('/bills/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch bill', { sessionUser: req.session.user, billId: id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const billId = parseInt(id);
+      if (isNaN(billId) || billId <= 0) {
+        logger.warn('Invalid bill ID', { id });
+        return res.status(400).json({ error: 'Valid bill ID required' });
+      }
+      const bill = await fetchBill(db, billId);
+      if (!bill) {
+        logger.warn('Bill not found', { billId });
+        return res.status(404).json({ error: 'Bill not found' });
+      }
+      res.json(bill);
+    } catch (error) {
+      logger.error('Error fetching bill', { error: error.message, billId: id });
+      res.status(500).json({ error: 'Failed to fetch bill' });
+    }
+  });
+
+  // Cancel a split before anything was paid against it, so the table can be split again
+  router.post('/bills/:id/cancel', async (req, res) => {
+    const { id } = req.params;
+    const timestamp = new Date().toISOString();
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to cancel bill', { sessionUser: req.session.user, billId: id, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const billId = parseInt(id);
+      if (isNaN(billId) || billId <= 0) {
+        logger.warn('Invalid bill ID', { id, timestamp });
+        return res.status(400).json({ error: 'Valid bill ID required' });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const [billRows] = await connection.query('SELECT status FROM bills WHERE id = ? FOR UPDATE', [billId]);
+        if (billRows.length === 0) {
+          await connection.rollback();
+          logger.warn('Bill not found', { billId, timestamp });
+          return res.status(404).json({ error: 'Bill not found' });
+        }
+        if (billRows[0].status !== 'open') {
+          await connection.rollback();
+          logger.warn('Bill not open', { billId, status: billRows[0].status, timestamp });
+          return res.status(400).json({ error: `Bill is already ${billRows[0].status}` });
+        }
+        const [paid] = await connection.query(
+          "SELECT COUNT(*) AS count FROM payments p JOIN sub_bills sb ON p.sub_bill_id = sb.id WHERE sb.bill_id = ? AND p.status = 'completed'",
+          [billId]
+        );
+        if (paid[0].count > 0) {
+          await connection.rollback();
+          logger.warn('Cannot cancel bill with payments', { billId, timestamp });
+          return res.status(400).json({ error: 'Bill has payments; void them before cancelling the split' });
+        }
+        await connection.query("UPDATE bills SET status = 'cancelled' WHERE id = ?", [billId]);
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      const bill = await fetchBill(db, billId);
+      emitBillUpdate(io, bill);
+
+      logger.info('Bill cancelled', { billId, userId: req.session.user.id, timestamp });
+      res.json({ message: 'Bill cancelled', bill });
+    } catch (error) {
+      logger.error('Error cancelling bill', { error: error.message, billId: id, timestamp });
+      res.status(500).json({ error: 'Failed to cancel bill' });
+    }
+  });
+
+  // Record a payment against a sub-bill. The amount is allocated to the bill's orders, oldest first.
+  router.post('/sub-bills/:id/payments', async (req, res) => {
+    const { id } = req.params;
+    const { method, amount, amount_tendered, tip_amount, reference } = req.body;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to pay sub-bill', { sessionUser: req.session.user, subBillId: id, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const subBillId = parseInt(id);
+      if (isNaN(subBillId) || subBillId <= 0) {
+        logger.warn('Invalid sub-bill ID', { id, timestamp });
+        return res.status(400).json({ error: 'Valid sub-bill ID required' });
+      }
+      if (!PAYMENT_METHODS.includes(method)) {
+        logger.warn('Invalid payment method', { subBillId, method, timestamp });
+        return res.status(400).json({ error: `Method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+      }
+      const parsedAmount = amount !== undefined && amount !== null ? parseFloat(amount) : null;
+      if (parsedAmount !== null && (isNaN(parsedAmount) || parsedAmount <= 0)) {
+        logger.warn('Invalid payment amount', { subBillId, amount, timestamp });
+        return res.status(400).json({ error: 'Amount must be a positive number' });
+      }
+      const parsedTendered = amount_tendered !== undefined && amount_tendered !== null ? parseFloat(amount_tendered) : null;
+      if (parsedTendered !== null && (method !== 'cash' || isNaN(parsedTendered) || parsedTendered <= 0)) {
+        logger.warn('Invalid amount tendered', { subBillId, method, amount_tendered, timestamp });
+        return res.status(400).json({ error: 'Amount tendered must be a positive number and only applies to cash payments' });
+      }
+      const tipAmount = tip_amount !== undefined && tip_amount !== null ? roundMoney(parseFloat(tip_amount)) : 0;
+      if (isNaN(tipAmount) || tipAmount < 0) {
+        logger.warn('Invalid tip amount', { subBillId, tip_amount, timestamp });
+        return res.status(400).json({ error: 'Tip amount must be a non-negative number' });
+      }
+      if (reference !== undefined && reference !== null && (typeof reference !== 'string' || reference.length > 100)) {
+        logger.warn('Invalid payment reference', { subBillId, timestamp });
+        return res.status(400).json({ error: 'Reference must be a string of at most 100 characters' });
+      }
+
+      const connection = await db.getConnection();
+      let billId;
+      let changeGiven;
+      let tableId;
+      let tableReleased = false;
+      const summaries = [];
+      try {
+        await connection.beginTransaction();
+        const [subBillRows] = await connection.query(
+          `SELECT sb.id, sb.bill_id, sb.amount, sb.amount_paid, b.status AS bill_status, b.split_mode, b.table_id
+           FROM sub_bills sb JOIN bills b ON sb.bill_id = b.id
+           WHERE sb.id = ? FOR UPDATE`,
+          [subBillId]
+        );
+        if (subBillRows.length === 0) {
+          await connection.rollback();
+          logger.warn('Sub-bill not found', { subBillId, timestamp });
+          return res.status(404).json({ error: 'Sub-bill not found' });
+        }
+        if (subBillRows[0].bill_status === 'cancelled') {
+          await connection.rollback();
+          logger.warn('Payment for cancelled bill', { subBillId, timestamp });
+          return res.status(400).json({ error: 'Bill was cancelled' });
+        }
+        billId = subBillRows[0].bill_id;
+        tableId = subBillRows[0].table_id;
+
+        const outstanding = roundMoney(parseFloat(subBillRows[0].amount) - parseFloat(subBillRows[0].amount_paid));
+        if (outstanding <= 0) {
+          await connection.rollback();
+          logger.warn('Sub-bill already paid', { subBillId, timestamp });
+          return res.status(400).json({ error: 'Sub-bill is already paid' });
+        }
+        const appliedAmount = roundMoney(parsedAmount !== null ? parsedAmount : Math.min(parsedTendered !== null ? parsedTendered - tipAmount : outstanding, outstanding));
+        if (appliedAmount <= 0) {
+          await connection.rollback();
+          logger.warn('Amount tendered does not cover the tip', { subBillId, parsedTendered, tipAmount, timestamp });
+          return res.status(400).json({ error: 'Amount tendered does not cover the tip' });
+        }
+        if (appliedAmount > outstanding) {
+          await connection.rollback();
+          logger.warn('Payment exceeds sub-bill outstanding amount', { subBillId, appliedAmount, outstanding, timestamp });
+          return res.status(400).json({ error: `Amount exceeds the outstanding ${outstanding.toFixed(2)}` });
+        }
+        if (parsedTendered !== null && parsedTendered < roundMoney(appliedAmount + tipAmount)) {
+          await connection.rollback();
+          logger.warn('Amount tendered below payment amount', { subBillId, appliedAmount, parsedTendered, timestamp });
+          return res.status(400).json({ error: 'Amount tendered is less than the payment amount and tip' });
+        }
+        changeGiven = parsedTendered !== null ? roundMoney(parsedTendered - appliedAmount - tipAmount) : 0;
+
+        const [orders] = await connection.query(
+          `SELECT o.id, ${ORDER_AMOUNT_DUE_SQL} AS amount_due, o.amount_paid
+           FROM bill_orders bo JOIN orders o ON bo.order_id = o.id
+           WHERE bo.bill_id = ? AND o.status NOT IN ('cancelled', 'rejected') AND o.payment_status != 'paid'
+           ORDER BY o.id
+           FOR UPDATE`,
+          [billId]
+        );
+        // A line split's sub-bill only pays for the orders its lines belong to, up to what its
+        // lines on each order come to less what it has already paid towards that order
+        let lineShares = null;
+        if (subBillRows[0].split_mode === 'lines') {
+          const [lineTotals] = await connection.query(
+            `SELECT oi.order_id, SUM(sbl.amount) AS amount,
+                    (SELECT COALESCE(SUM(p.amount), 0) FROM payments p
+                     WHERE p.sub_bill_id = sbl.sub_bill_id AND p.order_id = oi.order_id AND p.status = 'completed') AS amount_paid
+             FROM sub_bill_lines sbl JOIN order_items oi ON sbl.order_item_id = oi.id
+             WHERE sbl.sub_bill_id = ?
+             GROUP BY oi.order_id, sbl.sub_bill_id`,
+            [subBillId]
+          );
+          lineShares = new Map(lineTotals.map(row => [row.order_id, roundMoney(parseFloat(row.amount) - parseFloat(row.amount_paid))]));
+        }
+        const allocations = [];
+        let remaining = appliedAmount;
+        for (const order of orders) {
+          if (remaining <= 0) break;
+          if (lineShares && !lineShares.has(order.id)) continue;
+          const orderOutstanding = roundMoney(parseFloat(order.amount_due) - parseFloat(order.amount_paid));
+          const share = Math.min(lineShares ? Math.min(orderOutstanding, lineShares.get(order.id)) : orderOutstanding, remaining);
+          if (share <= 0) continue;
+          allocations.push({ orderId: order.id, amount: share });
+          remaining = roundMoney(remaining - share);
+        }
+        if (remaining > 0) {
+          await connection.rollback();
+          logger.warn('Sub-bill payment exceeds what the orders owe', { subBillId, remaining, timestamp });
+          return res.status(409).json({ error: 'The bill\'s orders owe less than this payment' });
+        }
+
+        // Tip, cash handed over and change are recorded on the last allocation, so tendered - change still adds up
+        for (const [index, allocation] of allocations.entries()) {
+          const isLast = index === allocations.length - 1;
+          const [paymentResult] = await connection.query(
+            'INSERT INTO payments (order_id, sub_bill_id, method, amount, tip_amount, amount_tendered, change_given, reference, recorded_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [
+              allocation.orderId,
+              subBillId,
+              method,
+              allocation.amount,
+              isLast ? tipAmount : 0,
+              parsedTendered !== null && isLast ? roundMoney(allocation.amount + tipAmount + changeGiven) : null,
+              isLast ? changeGiven : 0,
+              reference || null,
+              req.session.user.id,
+            ]
+          );
+          await recordOrderEvent(connection, allocation.orderId, 'payment_recorded', {
+            userId: req.session.user.id,
+            details: { payment_id: paymentResult.insertId, sub_bill_id: subBillId, method, amount: allocation.amount, tip_amount: isLast ? tipAmount : 0 },
+          });
+          summaries.push(await refreshOrderPaymentStatus(connection, allocation.orderId));
+        }
+        await refreshSubBillPaymentStatus(connection, subBillId);
+        tableReleased = await releaseTableIfSettled(connection, tableId);
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      const bill = await fetchBill(db, billId);
+      summaries.forEach(summary => emitPaymentUpdate(io, summary));
+      emitBillUpdate(io, bill);
+      if (tableReleased) {
+        io.emit('tableStatusUpdate', { table_id: tableId, status: 'available' });
+      }
+
+      logger.info('Sub-bill payment recorded', { subBillId, billId, method, orders: summaries.map(summary => summary.orderId), tableReleased, userId: req.session.user.id, timestamp });
+      res.status(201).json({
+        message: 'Payment recorded',
+        change_given: changeGiven,
+        tip_amount: tipAmount,
+        sub_bill: bill.sub_bills.find(subBill => subBill.id === subBillId),
+        bill,
+      });
+    } catch (error) {
+      logger.error('Error recording sub-bill payment', { error: error.message, subBillId: id, timestamp });
+      res.status(500).json({ error: 'Failed to record payment' });
+    }
+  });
+
+  // Fetch a sub-bill's receipt
+  // A printable receipt for one sub-bill, in the same formats as an order receipt
+  router.get('/sub-bills/:id/receipt', async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'html';
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch sub-bill receipt', { sessionUser: req.session.user, subBillId: id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const subBillId = parseInt(id);
+      if (isNaN(subBillId) || subBillId <= 0) {
+        logger.warn('Invalid sub-bill ID', { id });
+        return res.status(400).json({ error: 'Valid sub-bill ID required' });
+      }
+      if (!RECEIPT_FORMATS.includes(format)) {
+        logger.warn('Invalid receipt format', { subBillId, format });
+        return res.status(400).json({ error: `Format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+      }
+      const receipt = await buildSubBillReceipt(db, subBillId);
+      if (!receipt) {
+        logger.warn('Sub-bill not found', { subBillId });
+        return res.status(404).json({ error: 'Sub-bill not found' });
+      }
+
+      logger.info('Sub-bill receipt generated', { subBillId, billId: receipt.bill_id, format });
+      if (format === 'txt') {
+        res.type('text/plain').send(renderText(receipt));
+      } else if (format === 'pdf') {
+        const pdf = await renderPdf(receipt);
+        res.set('Content-Disposition', `inline; filename="receipt-bill-${receipt.bill_id}-${subBillId}.pdf"`);
+        res.type('application/pdf').send(pdf);
+      } else {
+        res.type('text/html').send(renderHtml(receipt));
+      }
+    } catch (error) {
+      logger.error('Error fetching sub-bill receipt', { error: error.message, subBillId: id });
+      res.status(500).json({ error: 'Failed to fetch receipt' });
+    }
+  });
+
+  return router;
+};
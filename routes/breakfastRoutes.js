@@ -44,7 +44,7 @@ const logFormData = (req, res, next) => {
 
 // Create breakfast
 router.post('/breakfasts', logFormData, upload, async (req, res) => {
-  const { user_id, name, description, price, availability, category_id } = req.body;
+  const { user_id, name, description, price, availability, category_id, prep_minutes } = req.body;
   const image = req.file;
   logger.info('Parsed breakfast creation request', {
     body: req.body,
@@ -58,6 +58,7 @@ router.post('/breakfasts', logFormData, upload, async (req, res) => {
     const parsedPrice = parseFloat(price);
     const parsedAvailability = availability === 'true' || availability === true;
     const parsedCategoryId = category_id ? parseInt(category_id) : null;
+    const parsedPrepMinutes = prep_minutes ? parseInt(prep_minutes) : null;
     if (!name || !name.trim()) {
       logger.warn('Missing name', { user_id });
       return res.status(400).json({ error: 'Name is required' });
@@ -70,10 +71,14 @@ router.post('/breakfasts', logFormData, upload, async (req, res) => {
       logger.warn('Invalid category ID', { category_id });
       return res.status(400).json({ error: 'Valid category ID is required' });
     }
+    if (parsedPrepMinutes !== null && (isNaN(parsedPrepMinutes) || parsedPrepMinutes <= 0)) {
+      logger.warn('Invalid prep minutes', { prep_minutes });
+      return res.status(400).json({ error: 'Prep minutes must be a positive integer' });
+    }
     const image_url = image ? `/Uploads/${image.filename}` : null;
     const [result] = await db.query(
-      'INSERT INTO breakfasts (name, description, price, image_url, availability, category_id) VALUES (?, ?, ?, ?, ?, ?)',
-      [name.trim(), description || null, parsedPrice, image_url, parsedAvailability, parsedCategoryId]
+      'INSERT INTO breakfasts (name, description, price, image_url, availability, category_id, prep_minutes) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [name.trim(), description || null, parsedPrice, image_url, parsedAvailability, parsedCategoryId, parsedPrepMinutes]
     );
     logger.info('Breakfast created', { id: result.insertId, name, image_url, category_id: parsedCategoryId });
     res.status(201).json({ message: 'Breakfast created', id: result.insertId });
@@ -85,7 +90,7 @@ router.post('/breakfasts', logFormData, upload, async (req, res) => {
 
 // Update breakfast
 router.put('/breakfasts/:id', logFormData, upload, async (req, res) => {
-  const { user_id, name, description, price, availability, category_id } = req.body;
+  const { user_id, name, description, price, availability, category_id, prep_minutes } = req.body;
   const image = req.file;
   const { id } = req.params;
   logger.info('Parsed breakfast update request', {
@@ -102,6 +107,7 @@ router.put('/breakfasts/:id', logFormData, upload, async (req, res) => {
     const parsedPrice = parseFloat(price);
     const parsedAvailability = availability === 'true' || availability === true;
     const parsedCategoryId = category_id ? parseInt(category_id) : null;
+    const parsedPrepMinutes = prep_minutes ? parseInt(prep_minutes) : null;
     if (isNaN(breakfastId) || breakfastId <= 0) {
       logger.warn('Invalid breakfast ID', { id });
       return res.status(400).json({ error: 'Valid breakfast ID is required' });
@@ -118,9 +124,13 @@ router.put('/breakfasts/:id', logFormData, upload, async (req, res) => {
       logger.warn('Invalid category ID', { category_id });
       return res.status(400).json({ error: 'Valid category ID is required' });
     }
+    if (parsedPrepMinutes !== null && (isNaN(parsedPrepMinutes) || parsedPrepMinutes <= 0)) {
+      logger.warn('Invalid prep minutes', { prep_minutes });
+      return res.status(400).json({ error: 'Prep minutes must be a positive integer' });
+    }
     const image_url = image ? `/Uploads/${image.filename}` : null;
-    const updateFields = [name.trim(), description || null, parsedPrice, parsedAvailability, parsedCategoryId];
-    let query = 'UPDATE breakfasts SET name = ?, description = ?, price = ?, availability = ?, category_id = ?';
+    const updateFields = [name.trim(), description || null, parsedPrice, parsedAvailability, parsedCategoryId, parsedPrepMinutes];
+    let query = 'UPDATE breakfasts SET name = ?, description = ?, price = ?, availability = ?, category_id = ?, prep_minutes = ?';
     if (image_url) {
       query += ', image_url = ?';
       updateFields.push(image_url);
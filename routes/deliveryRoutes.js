@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { emitOrderStatusUpdate } = require('../utils/orderStatus');
+const { isLocation } = require('../utils/deliveryZones');
+const {
+  DELIVERY_STATUSES,
+  ACTIVE_DELIVERY_STATUSES,
+  fetchDelivery,
+  fetchDeliveries,
+  assignDriver,
+  advanceDelivery,
+  recordDriverLocation,
+  latestDriverLocation,
+  customerDeliveryPayload,
+  emitDeliveryUpdate,
+} = require('../utils/deliveries');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+module.exports = (io) => {
+  // Fetch drivers with how many deliveries each is working on
+  router.get('/drivers', async (req, res) => {
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch drivers', { sessionUser: req.session.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const [rows] = await db.query(
+        `SELECT u.id, u.email,
+                (SELECT COUNT(*) FROM deliveries d WHERE d.driver_id = u.id AND d.status IN (?)) AS active_deliveries
+         FROM users u
+         WHERE u.role = 'driver'
+         ORDER BY u.email`,
+        [ACTIVE_DELIVERY_STATUSES]
+      );
+      res.json({ data: rows });
+    } catch (error) {
+      logger.error('Error fetching drivers', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch drivers' });
+    }
+  });
+
+  // Fetch deliveries: staff see everyone's, a driver only their own
+  router.get('/deliveries', async (req, res) => {
+    const { status, driver_id } = req.query;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server', 'driver'])) {
+        logger.warn('Unauthorized attempt to fetch deliveries', { sessionUser: req.session.user });
+        return res.status(403).json({ error: 'Admin, server or driver access required' });
+      }
+      if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        logger.warn('Invalid delivery status filter', { status });
+        return res.status(400).json({ error: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      let driverId = driver_id !== undefined ? parseInt(driver_id) : null;
+      if (driverId !== null && (isNaN(driverId) || driverId <= 0)) {
+        logger.warn('Invalid driver ID filter', { driver_id });
+        return res.status(400).json({ error: 'Valid driver ID is required' });
+      }
+      if (await checkRole(req.session.user.id, ['driver'])) {
+        driverId = req.session.user.id;
+      }
+      const rows = await fetchDeliveries(db, { driverId, statuses: status ? [status] : ACTIVE_DELIVERY_STATUSES });
+      res.json({ data: rows.map(row => ({ ...row, session_id: undefined })) });
+    } catch (error) {
+      logger.error('Error fetching deliveries', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+  });
+
+  // Hand a ready delivery order to a driver, or to another driver before pickup
+  router.post('/orders/:id/assign-driver', async (req, res) => {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to assign driver', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID', { id });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      const driverId = parseInt(driver_id);
+      if (isNaN(driverId) || driverId <= 0) {
+        logger.warn('Invalid driver ID', { orderId, driver_id });
+        return res.status(400).json({ error: 'Valid driver ID is required' });
+      }
+
+      const connection = await db.getConnection();
+      let result;
+      try {
+        await connection.beginTransaction();
+        result = await assignDriver(connection, orderId, driverId, req.session.user.id);
+        if (result.error) {
+          await connection.rollback();
+        } else {
+          await connection.commit();
+        }
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      if (result.error) {
+        logger.warn('Driver assignment refused', { orderId, driverId, reason: result.error });
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitDeliveryUpdate(io, result.delivery, { previousDriverId: result.previousDriverId });
+
+      logger.info('Driver assigned', {
+        orderId,
+        deliveryId: result.delivery.id,
+        driverId,
+        previousDriverId: result.previousDriverId,
+        userId: req.session.user.id,
+      });
+      res.json({ message: 'Driver assigned', delivery: { ...result.delivery, session_id: undefined } });
+    } catch (error) {
+      logger.error('Error assigning driver', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to assign driver' });
+    }
+  });
+
+  const advanceDeliveryHandler = (nextStatus) => async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['driver'])) {
+        logger.warn(`Unauthorized attempt to mark delivery ${nextStatus}`, { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Driver access required' });
+      }
+      const deliveryId = parseInt(id);
+      if (isNaN(deliveryId) || deliveryId <= 0) {
+        logger.warn('Invalid delivery ID', { id });
+        return res.status(400).json({ error: 'Valid delivery ID is required' });
+      }
+
+      const connection = await db.getConnection();
+      let result;
+      try {
+        await connection.beginTransaction();
+        result = await advanceDelivery(connection, deliveryId, nextStatus, req.session.user.id);
+        if (result.error) {
+          await connection.rollback();
+        } else {
+          await connection.commit();
+        }
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      if (result.error) {
+        logger.warn(`Delivery ${nextStatus} refused`, { deliveryId, driverId: req.session.user.id, reason: result.error });
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitDeliveryUpdate(io, result.delivery);
+      if (result.order) {
+        emitOrderStatusUpdate(io, result.order, 'ready');
+      }
+
+      logger.info('Delivery status updated', {
+        deliveryId,
+        orderId: result.delivery.order_id,
+        from: result.previousStatus,
+        to: nextStatus,
+        driverId: req.session.user.id,
+      });
+      res.json({ message: 'Delivery status updated', delivery: { ...result.delivery, session_id: undefined } });
+    } catch (error) {
+      logger.error(`Error marking delivery ${nextStatus}`, { error: error.message, id });
+      res.status(500).json({ error: 'Failed to update delivery' });
+    }
+  };
+
+  // Driver collected the order from the shop
+  router.post('/deliveries/:id/pickup', advanceDeliveryHandler('picked_up'));
+
+  // Driver handed the order to the customer; completes the order
+  router.post('/deliveries/:id/deliver', advanceDeliveryHandler('delivered'));
+
+  // Driver location ping, passed on to the customers whose orders they are carrying
+  router.post('/drivers/location', async (req, res) => {
+    const { lat, lng } = req.body;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['driver'])) {
+        logger.warn('Unauthorized attempt to post driver location', { sessionUser: req.session.user });
+        return res.status(403).json({ error: 'Driver access required' });
+      }
+      if (!isLocation({ lat, lng })) {
+        logger.warn('Invalid driver location', { driverId: req.session.user.id, lat, lng });
+        return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+      }
+      const location = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      const driverId = req.session.user.id;
+      const { recordedAt, carrying } = await recordDriverLocation(db, driverId, location);
+
+      for (const delivery of carrying) {
+        if (delivery.session_id) {
+          io.to(delivery.session_id).emit('driverLocation', {
+            orderId: delivery.order_id.toString(),
+            delivery_id: delivery.id,
+            ...location,
+            recorded_at: recordedAt,
+          });
+        }
+      }
+      io.to('staff-notifications').emit('driverLocation', {
+        driver_id: driverId,
+        delivery_ids: carrying.map(delivery => delivery.id),
+        ...location,
+        recorded_at: recordedAt,
+      });
+
+      logger.debug('Driver location recorded', { driverId, deliveries: carrying.length });
+      res.status(201).json({ message: 'Location recorded', recorded_at: recordedAt });
+    } catch (error) {
+      logger.error('Error recording driver location', { error: error.message, sessionUser: req.session.user?.id });
+      res.status(500).json({ error: 'Failed to record location' });
+    }
+  });
+
+  // Delivery progress of an order, for the customer who placed it or staff
+  router.get('/orders/:id/delivery', async (req, res) => {
+    const { id } = req.params;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    try {
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID', { id, sessionID });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      const [orders] = await db.query('SELECT id, session_id, order_type FROM orders WHERE id = ?', [orderId]);
+      if (orders.length === 0) {
+        logger.warn('Order not found', { orderId, sessionID });
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (orders[0].session_id !== sessionID && (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server']))) {
+        logger.warn('Unauthorized attempt to fetch order delivery', { orderId, sessionUser: req.session.user?.id, sessionID });
+        return res.status(403).json({ error: 'Access to this order is not allowed' });
+      }
+      if (orders[0].order_type !== 'delivery') {
+        logger.warn('Delivery requested for non-delivery order', { orderId, sessionID });
+        return res.status(400).json({ error: 'Order is not a delivery order' });
+      }
+
+      const [deliveries] = await db.query('SELECT id FROM deliveries WHERE order_id = ?', [orderId]);
+      if (deliveries.length === 0) {
+        return res.json({ orderId: orderId.toString(), status: 'awaiting_driver', driver_location: null });
+      }
+      const delivery = await fetchDelivery(db, deliveries[0].id);
+      res.json({ ...customerDeliveryPayload(delivery), driver_location: await latestDriverLocation(db, delivery) });
+    } catch (error) {
+      logger.error('Error fetching order delivery', { error: error.message, id, sessionID });
+      res.status(500).json({ error: 'Failed to fetch delivery' });
+    }
+  });
+
+  return router;
+};
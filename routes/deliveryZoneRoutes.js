@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { isLocation, formatZone, parseDeliveryZone, findDeliveryZone } = require('../utils/deliveryZones');
+
+const checkAdmin = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].role === 'admin';
+};
+
+// Fetch all delivery zones
+router.get('/delivery-zones', async (req, res) => {
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to fetch delivery zones', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const [rows] = await db.query('SELECT * FROM delivery_zones ORDER BY name');
+    res.json({ data: rows.map(formatZone) });
+  } catch (error) {
+    logger.error('Error fetching delivery zones', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch delivery zones' });
+  }
+});
+
+// Tell a customer whether we deliver to a postcode or lat/lng, and on what terms
+router.get('/delivery-zones/lookup', async (req, res) => {
+  const { postcode, lat, lng } = req.query;
+  try {
+    const location = lat !== undefined && lng !== undefined ? { lat, lng } : null;
+    if (!postcode && !location) {
+      logger.warn('Missing delivery zone lookup address', { query: req.query });
+      return res.status(400).json({ error: 'postcode or lat and lng are required' });
+    }
+    if (location && !isLocation(location)) {
+      logger.warn('Invalid delivery zone lookup location', { lat, lng });
+      return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+    }
+    const { configured, zone } = await findDeliveryZone(db, { postcode, location });
+    if (configured && !zone) {
+      logger.info('Address outside delivery zones', { postcode, lat, lng });
+      return res.status(404).json({ error: 'Delivery address is outside our delivery zones' });
+    }
+    res.json({
+      zone: zone ? {
+        id: zone.id,
+        name: zone.name,
+        delivery_fee: zone.delivery_fee,
+        min_order_value: zone.min_order_value,
+        estimated_minutes: zone.estimated_minutes,
+      } : null,
+    });
+  } catch (error) {
+    logger.error('Error looking up delivery zone', { error: error.message, postcode, lat, lng });
+    res.status(500).json({ error: 'Failed to look up delivery zone' });
+  }
+});
+
+// Create delivery zone
+router.post('/delivery-zones', async (req, res) => {
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to add delivery zone', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const zone = parseDeliveryZone(req.body);
+    if (zone.error) {
+      logger.warn('Invalid delivery zone', { body: req.body, error: zone.error });
+      return res.status(400).json({ error: zone.error });
+    }
+    const [existing] = await db.query('SELECT id FROM delivery_zones WHERE name = ?', [zone.name]);
+    if (existing.length > 0) {
+      logger.warn('Delivery zone name already exists', { name: zone.name });
+      return res.status(400).json({ error: 'Delivery zone name already exists' });
+    }
+    const [result] = await db.query(
+      `INSERT INTO delivery_zones (name, postcodes, polygon, delivery_fee, min_order_value, estimated_minutes, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [zone.name, zone.postcodes, zone.polygon, zone.delivery_fee, zone.min_order_value, zone.estimated_minutes, zone.is_active]
+    );
+    logger.info('Delivery zone created', { id: result.insertId, name: zone.name, delivery_fee: zone.delivery_fee });
+    res.status(201).json({ message: 'Delivery zone created', id: result.insertId });
+  } catch (error) {
+    logger.error('Error creating delivery zone', { error: error.message });
+    res.status(500).json({ error: 'Failed to create delivery zone' });
+  }
+});
+
+// Update delivery zone. Orders keep the fee they were placed with.
+router.put('/delivery-zones/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to update delivery zone', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const zoneId = parseInt(id);
+    if (isNaN(zoneId) || zoneId <= 0) {
+      logger.warn('Invalid delivery zone ID', { id });
+      return res.status(400).json({ error: 'Valid delivery zone ID is required' });
+    }
+    const zone = parseDeliveryZone(req.body);
+    if (zone.error) {
+      logger.warn('Invalid delivery zone', { id: zoneId, body: req.body, error: zone.error });
+      return res.status(400).json({ error: zone.error });
+    }
+    const [existing] = await db.query('SELECT id FROM delivery_zones WHERE name = ? AND id != ?', [zone.name, zoneId]);
+    if (existing.length > 0) {
+      logger.warn('Delivery zone name already exists', { name: zone.name });
+      return res.status(400).json({ error: 'Delivery zone name already exists' });
+    }
+    const [result] = await db.query(
+      `UPDATE delivery_zones
+       SET name = ?, postcodes = ?, polygon = ?, delivery_fee = ?, min_order_value = ?, estimated_minutes = ?, is_active = ?
+       WHERE id = ?`,
+      [zone.name, zone.postcodes, zone.polygon, zone.delivery_fee, zone.min_order_value, zone.estimated_minutes, zone.is_active, zoneId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Delivery zone not found', { id: zoneId });
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    logger.info('Delivery zone updated', { id: zoneId, name: zone.name, delivery_fee: zone.delivery_fee });
+    res.json({ message: 'Delivery zone updated' });
+  } catch (error) {
+    logger.error('Error updating delivery zone', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update delivery zone' });
+  }
+});
+
+// Delete delivery zone
+router.delete('/delivery-zones/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to delete delivery zone', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const zoneId = parseInt(id);
+    if (isNaN(zoneId) || zoneId <= 0) {
+      logger.warn('Invalid delivery zone ID', { id });
+      return res.status(400).json({ error: 'Valid delivery zone ID is required' });
+    }
+    const [result] = await db.query('DELETE FROM delivery_zones WHERE id = ?', [zoneId]);
+    if (result.affectedRows === 0) {
+      logger.warn('Delivery zone not found', { id: zoneId });
+      return res.status(404).json({ error: 'Delivery zone not found' });
+    }
+    logger.info('Delivery zone deleted', { id: zoneId });
+    res.json({ message: 'Delivery zone deleted' });
+  } catch (error) {
+    logger.error('Error deleting delivery zone', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to delete delivery zone' });
+  }
+});
+
+module.exports = router;
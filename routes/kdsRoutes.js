@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { fetchStationTickets, emitStationTickets } = require('../utils/kds');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+const TICKET_LINE_STATUSES = ['pending', 'preparing', 'done'];
+
+module.exports = (io) => {
+  // Fetch all stations
+  router.get('/stations', async (req, res) => {
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch stations', { sessionUser: req.session.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const [rows] = await db.query(`
+        SELECT s.id, s.name, s.is_default, s.created_at,
+               (SELECT COUNT(*) FROM kds_tickets kt WHERE kt.station_id = s.id AND kt.status = 'open') AS open_tickets
+        FROM stations s
+        ORDER BY s.name
+      `);
+      res.json(rows.map(row => ({ ...row, is_default: Number(row.is_default) })));
+    } catch (error) {
+      logger.error('Error fetching stations', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch stations' });
+    }
+  });
+
+  // Create station
+  router.post('/stations', async (req, res) => {
+    const { name, is_default } = req.body;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+        logger.warn('Unauthorized attempt to add station', { sessionUser: req.session.user });
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        logger.warn('Missing station name');
+        return res.status(400).json({ error: 'Name is required' });
+      }
+      const [existing] = await db.query('SELECT id FROM stations WHERE name = ?', [name.trim()]);
+      if (existing.length > 0) {
+        logger.warn('Station name already exists', { name });
+        return res.status(400).json({ error: 'Station name already exists' });
+      }
+      const isDefault = is_default === true || is_default === 'true';
+      if (isDefault) {
+        await db.query('UPDATE stations SET is_default = FALSE');
+      }
+      const [result] = await db.query('INSERT INTO stations (name, is_default) VALUES (?, ?)', [name.trim(), isDefault]);
+      logger.info('Station created', { id: result.insertId, name, isDefault });
+      res.status(201).json({ message: 'Station created', id: result.insertId });
+    } catch (error) {
+      logger.error('Error creating station', { error: error.message, name });
+      res.status(500).json({ error: 'Failed to create station' });
+    }
+  });
+
+  // Update station
+  router.put('/stations/:id', async (req, res) => {
+    const { name, is_default } = req.body;
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+        logger.warn('Unauthorized attempt to update station', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      const stationId = parseInt(id);
+      if (isNaN(stationId) || stationId <= 0) {
+        logger.warn('Invalid station ID', { id });
+        return res.status(400).json({ error: 'Valid station ID is required' });
+      }
+      if (!name || typeof name !== 'string' || !name.trim()) {
+        logger.warn('Missing station name', { id: stationId });
+        return res.status(400).json({ error: 'Name is required' });
+      }
+      const [existing] = await db.query('SELECT id FROM stations WHERE name = ? AND id != ?', [name.trim(), stationId]);
+      if (existing.length > 0) {
+        logger.warn('Station name already exists', { name });
+        return res.status(400).json({ error: 'Station name already exists' });
+      }
+      const isDefault = is_default === true || is_default === 'true';
+      if (isDefault) {
+        await db.query('UPDATE stations SET is_default = FALSE WHERE id != ?', [stationId]);
+      }
+      const [result] = await db.query('UPDATE stations SET name = ?, is_default = ? WHERE id = ?', [name.trim(), isDefault, stationId]);
+      if (result.affectedRows === 0) {
+        logger.warn('Station not found', { id: stationId });
+        return res.status(404).json({ error: 'Station not found' });
+      }
+      logger.info('Station updated', { id: stationId, name, isDefault });
+      res.json({ message: 'Station updated' });
+    } catch (error) {
+      logger.error('Error updating station', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to update station' });
+    }
+  });
+
+  // Delete station
+  router.delete('/stations/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+        logger.warn('Unauthorized attempt to delete station', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      const stationId = parseInt(id);
+      if (isNaN(stationId) || stationId <= 0) {
+        logger.warn('Invalid station ID', { id });
+        return res.status(400).json({ error: 'Valid station ID is required' });
+      }
+      const [result] = await db.query('DELETE FROM stations WHERE id = ?', [stationId]);
+      if (result.affectedRows === 0) {
+        logger.warn('Station not found', { id: stationId });
+        return res.status(404).json({ error: 'Station not found' });
+      }
+      logger.info('Station deleted', { id: stationId });
+      res.json({ message: 'Station deleted' });
+    } catch (error) {
+      logger.error('Error deleting station', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to delete station' });
+    }
+  });
+
+  // Route categories and breakfasts to a station
+  router.put('/stations/:id/routing', async (req, res) => {
+    const { category_ids = [], breakfast_ids = [] } = req.body;
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+        logger.warn('Unauthorized attempt to update station routing', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      const stationId = parseInt(id);
+      if (isNaN(stationId) || stationId <= 0) {
+        logger.warn('Invalid station ID', { id });
+        return res.status(400).json({ error: 'Valid station ID is required' });
+      }
+      if (!Array.isArray(category_ids) || !Array.isArray(breakfast_ids)
+        || [...category_ids, ...breakfast_ids].some(value => isNaN(parseInt(value)) || parseInt(value) <= 0)) {
+        logger.warn('Invalid station routing', { id: stationId, category_ids, breakfast_ids });
+        return res.status(400).json({ error: 'category_ids and breakfast_ids must be arrays of valid IDs' });
+      }
+      const [station] = await db.query('SELECT id FROM stations WHERE id = ?', [stationId]);
+      if (station.length === 0) {
+        logger.warn('Station not found', { id: stationId });
+        return res.status(404).json({ error: 'Station not found' });
+      }
+
+      // The lists replace the station's routing: anything no longer listed falls back to the default station
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        await connection.query('UPDATE categories SET station_id = NULL WHERE station_id = ?', [stationId]);
+        await connection.query('UPDATE breakfasts SET station_id = NULL WHERE station_id = ?', [stationId]);
+        if (category_ids.length > 0) {
+          await connection.query('UPDATE categories SET station_id = ? WHERE id IN (?)', [stationId, category_ids.map(Number)]);
+        }
+        if (breakfast_ids.length > 0) {
+          await connection.query('UPDATE breakfasts SET station_id = ? WHERE id IN (?)', [stationId, breakfast_ids.map(Number)]);
+        }
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      logger.info('Station routing updated', { id: stationId, category_ids, breakfast_ids });
+      res.json({ message: 'Station routing updated' });
+    } catch (error) {
+      logger.error('Error updating station routing', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to update station routing' });
+    }
+  });
+
+  // Fetch a station's tickets
+  router.get('/stations/:id/tickets', async (req, res) => {
+    const { id } = req.params;
+    const { status = 'open' } = req.query;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch station tickets', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const stationId = parseInt(id);
+      if (isNaN(stationId) || stationId <= 0) {
+        logger.warn('Invalid station ID', { id });
+        return res.status(400).json({ error: 'Valid station ID is required' });
+      }
+      if (!['open', 'bumped'].includes(status)) {
+        logger.warn('Invalid ticket status filter', { status });
+        return res.status(400).json({ error: 'Status must be open or bumped' });
+      }
+      const tickets = await fetchStationTickets(db, { stationId, status, limit: status === 'bumped' ? 20 : 100 });
+      res.json(tickets);
+    } catch (error) {
+      logger.error('Error fetching station tickets', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to fetch station tickets' });
+    }
+  });
+
+  // Bump a ticket off the station screen, or recall it back
+  const setTicketStatus = (status) => async (req, res) => {
+    const { id } = req.params;
+    const action = status === 'bumped' ? 'bump' : 'recall';
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn(`Unauthorized attempt to ${action} ticket`, { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const ticketId = parseInt(id);
+      if (isNaN(ticketId) || ticketId <= 0) {
+        logger.warn('Invalid ticket ID', { id });
+        return res.status(400).json({ error: 'Valid ticket ID is required' });
+      }
+      const [ticket] = await db.query('SELECT id, order_id, status FROM kds_tickets WHERE id = ?', [ticketId]);
+      if (ticket.length === 0) {
+        logger.warn('Ticket not found', { id: ticketId });
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+      if (ticket[0].status === status) {
+        logger.warn(`Ticket already ${status}`, { id: ticketId });
+        return res.status(400).json({ error: `Ticket already ${status}` });
+      }
+
+      if (status === 'bumped') {
+        await db.query('UPDATE kds_tickets SET status = ?, bumped_at = NOW(), bumped_by = ? WHERE id = ?', [status, req.session.user.id, ticketId]);
+        await db.query('UPDATE kds_ticket_lines SET status = ?, updated_at = NOW() WHERE ticket_id = ?', ['done', ticketId]);
+      } else {
+        await db.query('UPDATE kds_tickets SET status = ?, recalled_at = NOW() WHERE id = ?', [status, ticketId]);
+      }
+
+      const tickets = await fetchStationTickets(db, { ticketIds: [ticketId] });
+      emitStationTickets(io, status === 'bumped' ? 'kdsTicketBumped' : 'kdsTicketRecalled', tickets);
+
+      if (status === 'bumped') {
+        const [openTickets] = await db.query(
+          'SELECT COUNT(*) AS count FROM kds_tickets WHERE order_id = ? AND status = ?',
+          [ticket[0].order_id, 'open']
+        );
+        if (openTickets[0].count === 0) {
+          io.to('staff-notifications').emit('kdsOrderComplete', { orderId: ticket[0].order_id.toString() });
+        }
+      }
+
+      logger.info(`Ticket ${status}`, { id: ticketId, orderId: ticket[0].order_id, userId: req.session.user.id });
+      res.json(tickets[0]);
+    } catch (error) {
+      logger.error(`Error trying to ${action} ticket`, { error: error.message, id });
+      res.status(500).json({ error: `Failed to ${action} ticket` });
+    }
+  };
+
+  router.post('/kds/tickets/:id/bump', setTicketStatus('bumped'));
+
+  router.post('/kds/tickets/:id/recall', setTicketStatus('open'));
+
+  // Update the prep status of a single ticket line
+  router.put('/kds/ticket-lines/:id', async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to update ticket line', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const lineId = parseInt(id);
+      if (isNaN(lineId) || lineId <= 0) {
+        logger.warn('Invalid ticket line ID', { id });
+        return res.status(400).json({ error: 'Valid ticket line ID is required' });
+      }
+      if (!TICKET_LINE_STATUSES.includes(status)) {
+        logger.warn('Invalid ticket line status', { id: lineId, status });
+        return res.status(400).json({ error: `Status must be one of: ${TICKET_LINE_STATUSES.join(', ')}` });
+      }
+      const [line] = await db.query('SELECT ticket_id FROM kds_ticket_lines WHERE id = ?', [lineId]);
+      if (line.length === 0) {
+        logger.warn('Ticket line not found', { id: lineId });
+        return res.status(404).json({ error: 'Ticket line not found' });
+      }
+      await db.query('UPDATE kds_ticket_lines SET status = ?, updated_at = NOW() WHERE id = ?', [status, lineId]);
+
+      const tickets = await fetchStationTickets(db, { ticketIds: [line[0].ticket_id] });
+      emitStationTickets(io, 'kdsTicketUpdate', tickets);
+
+      logger.info('Ticket line updated', { id: lineId, ticketId: line[0].ticket_id, status });
+      res.json(tickets[0]);
+    } catch (error) {
+      logger.error('Error updating ticket line', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to update ticket line' });
+    }
+  });
+
+  return router;
+};
@@ -188,7 +188,7 @@ router.get('/categories/:id', async (req, res) => {
 
 // Menu item creation
 router.post('/menu-items', logFormData, upload, async (req, res) => {
-  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags } = req.body;
+  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags, prep_minutes } = req.body;
   const image = req.file;
   logger.info('Parsed menu item creation request', {
     body: req.body,
@@ -203,6 +203,7 @@ router.post('/menu-items', logFormData, upload, async (req, res) => {
     const parsedSalePrice = sale_price ? parseFloat(sale_price) : null;
     const parsedCategoryId = category_id ? parseInt(category_id) : null;
     const parsedAvailability = availability === 'true' || availability === true;
+    const parsedPrepMinutes = prep_minutes ? parseInt(prep_minutes) : null;
     let parsedDietaryTags = [];
     if (dietary_tags) {
       try {
@@ -228,10 +229,14 @@ router.post('/menu-items', logFormData, upload, async (req, res) => {
       logger.warn('Invalid sale price', { sale_price });
       return res.status(400).json({ error: 'Sale price must be a non-negative number' });
     }
+    if (parsedPrepMinutes !== null && (isNaN(parsedPrepMinutes) || parsedPrepMinutes <= 0)) {
+      logger.warn('Invalid prep minutes', { prep_minutes });
+      return res.status(400).json({ error: 'Prep minutes must be a positive integer' });
+    }
     const image_url = image ? `/Uploads/${image.filename}` : null;
     const [result] = await db.query(
-      'INSERT INTO menu_items (name, description, regular_price, sale_price, category_id, image_url, availability, dietary_tags) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [name.trim(), description || null, parsedRegularPrice, parsedSalePrice, parsedCategoryId, image_url, parsedAvailability, JSON.stringify(parsedDietaryTags)]
+      'INSERT INTO menu_items (name, description, regular_price, sale_price, category_id, image_url, availability, dietary_tags, prep_minutes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [name.trim(), description || null, parsedRegularPrice, parsedSalePrice, parsedCategoryId, image_url, parsedAvailability, JSON.stringify(parsedDietaryTags), parsedPrepMinutes]
     );
     logger.info('Menu item created', { id: result.insertId, name, image_url });
     res.status(201).json({ message: 'Menu item created', id: result.insertId });
@@ -244,7 +249,7 @@ router.post('/menu-items', logFormData, upload, async (req, res) => {
 // Menu item update
 router.put('/menu-items/:id', logFormData, upload, async (req, res) => {
   const { id } = req.params;
-  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags } = req.body;
+  const { user_id, name, description, regular_price, sale_price, category_id, availability, dietary_tags, prep_minutes } = req.body;
   const image = req.file;
   logger.info('Parsed menu item update request', {
     params: { id },
@@ -261,6 +266,7 @@ router.put('/menu-items/:id', logFormData, upload, async (req, res) => {
     const parsedSalePrice = sale_price ? parseFloat(sale_price) : null;
     const parsedCategoryId = category_id ? parseInt(category_id) : null;
     const parsedAvailability = availability === 'true' || availability === true;
+    const parsedPrepMinutes = prep_minutes ? parseInt(prep_minutes) : null;
     let parsedDietaryTags = [];
     if (dietary_tags) {
       try {
@@ -290,6 +296,10 @@ router.put('/menu-items/:id', logFormData, upload, async (req, res) => {
       logger.warn('Invalid sale price', { sale_price });
       return res.status(400).json({ error: 'Sale price must be a non-negative number' });
     }
+    if (parsedPrepMinutes !== null && (isNaN(parsedPrepMinutes) || parsedPrepMinutes <= 0)) {
+      logger.warn('Invalid prep minutes', { prep_minutes });
+      return res.status(400).json({ error: 'Prep minutes must be a positive integer' });
+    }
     const image_url = image ? `/Uploads/${image.filename}` : null;
     const [existing] = await db.query('SELECT id FROM menu_items WHERE id = ?', [itemId]);
     if (existing.length === 0) {
@@ -304,8 +314,9 @@ router.put('/menu-items/:id', logFormData, upload, async (req, res) => {
       parsedCategoryId,
       parsedAvailability,
       JSON.stringify(parsedDietaryTags),
+      parsedPrepMinutes,
     ];
-    let query = 'UPDATE menu_items SET name = ?, description = ?, regular_price = ?, sale_price = ?, category_id = ?, availability = ?, dietary_tags = ?';
+    let query = 'UPDATE menu_items SET name = ?, description = ?, regular_price = ?, sale_price = ?, category_id = ?, availability = ?, dietary_tags = ?, prep_minutes = ?';
     if (image_url) {
       query += ', image_url = ?';
       updateFields.push(image_url);
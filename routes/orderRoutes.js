@@ -4,8 +4,34 @@ const db = require('../config/db');
 const logger = require('../logger');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-
-const recentRequests = new Map();
+const {
+  ORDER_STATUSES,
+  CANCELLABLE_STATUSES,
+  CANCELLATION_REASONS,
+  transitionOrderStatus,
+  closeOrder,
+  emitOrderStatusUpdate,
+  emitOrderStatusUpdates,
+} = require('../utils/orderStatus');
+const { releaseTableIfSettled } = require('../utils/tables');
+const { priceOrder } = require('../utils/orderPricing');
+const { sumTaxes, taxTotals } = require('../utils/taxes');
+const { resolveOrderPayloadVersion, fetchOrderPayloads, fetchOrderPayload } = require('../utils/orderPayload');
+const { createStationTickets, fetchStationTickets, emitStationTickets } = require('../utils/kds');
+const { RECEIPT_FORMATS, buildReceipt, renderText, renderHtml, renderPdf } = require('../utils/receipts');
+const { queueKitchenTickets } = require('../utils/printing');
+const { RELEASED_ORDER_SQL, validateScheduledFor } = require('../utils/scheduling');
+const { ORDER_TYPES, CUSTOMER_PHONE_PATTERN, nextPickupNumber } = require('../utils/orderTypes');
+const { normalizePostcode } = require('../utils/deliveryZones');
+const { withdrawDelivery, emitDeliveryUpdate } = require('../utils/deliveries');
+const { ORDER_NOTE_MAX_LENGTH, parseNote } = require('../utils/orderNotes');
+const { joinOrOpenTab, fetchTab, emitTabUpdate } = require('../utils/tabs');
+const { orderPrepMinutes, estimateEtas, estimateNewOrder, broadcastEtas } = require('../utils/kitchenLoad');
+const { rebuildOrder } = require('../utils/reorder');
+const { recordOrderEvent, fetchOrderTimeline } = require('../utils/orderEvents');
+
+// How long a request_id keeps answering with the order it created
+const ORDER_REQUEST_TTL_HOURS = parseInt(process.env.ORDER_REQUEST_TTL_HOURS) || 24;
 
 const checkAdminOrServer = async (userId) => {
   if (!userId) return false;
@@ -13,14 +39,350 @@ const checkAdminOrServer = async (userId) => {
   return rows.length > 0 && ['admin', 'server'].includes(rows[0].role);
 };
 
+const ORDER_PAGE_SIZE = 50;
+const ORDER_PAGE_SIZE_MAX = 200;
+
+// Columns GET /orders can sort by, mapped to SQL
+const ORDER_SORT_COLUMNS = {
+  created_at: 'o.created_at',
+  total_price: 'o.total_price',
+  id: 'o.id',
+  status: 'o.status',
+  table: 'o.table_id',
+};
+
+// When the order should be ready: the kitchen load model's estimate while it is queued (see
+// utils/kitchenLoad.js), its ready time once ready, and nothing once it is closed.
+const estimateReadyAt = (order, etas) => {
+  if (order.status === 'ready') return order.ready_at;
+  if (!CANCELLABLE_STATUSES.includes(order.status)) return null;
+  return etas.get(order.id) || (order.scheduled_for ? new Date(order.scheduled_for) : null);
+};
+
+const approvalStatus = (order) => {
+  if (order.status === 'rejected') return 'rejected';
+  return Number(order.approved) ? 'approved' : 'pending';
+};
+
+// Adds what a customer needs to follow their order: where approval stands and the ETA,
+// plus for delivery orders when it should arrive, from their zone's delivery time.
+const withTracking = (order, etas) => {
+  const eta = estimateReadyAt(order, etas);
+  return {
+    ...order,
+    approval_status: approvalStatus(order),
+    eta,
+    delivery_eta: eta && order.delivery_minutes
+      ? new Date(new Date(eta).getTime() + order.delivery_minutes * 60 * 1000)
+      : null,
+  };
+};
+
+const findOrderRequest = async (requestId) => {
+  const [rows] = await db.query(
+    'SELECT order_id, request_hash, response_body FROM order_requests WHERE request_id = ? AND expires_at > NOW()',
+    [requestId]
+  );
+  return rows[0] || null;
+};
+
+// Answers a retried POST /orders with the response its request_id got the first time, or refuses
+// when the same request_id comes back with a different order body.
+const replayOrderRequest = (res, existing, requestHash) => {
+  if (existing.request_hash !== requestHash) {
+    return res.status(409).json({ error: 'request_id was already used for a different order' });
+  }
+  res.set('Idempotent-Replayed', 'true');
+  const body = typeof existing.response_body === 'string' ? JSON.parse(existing.response_body) : existing.response_body;
+  return res.status(201).json(body);
+};
+
+// Stores a line's per-rate tax breakdown
+const insertOrderItemTaxes = async (conn, orderItemId, taxes) => {
+  if (taxes.length === 0) return;
+  await conn.query(
+    'INSERT INTO order_item_taxes (order_item_id, tax_rate_id, rate, net_amount, tax_amount) VALUES ?',
+    [taxes.map(entry => [orderItemId, entry.tax_rate_id, entry.rate, entry.net, entry.tax])]
+  );
+};
+
+// Most orders a bulk action takes in one request
+const BULK_ORDER_MAX = parseInt(process.env.BULK_ORDER_MAX) || 50;
+
+// The distinct order ids of a bulk request, or null when they are missing or invalid
+const parseBulkOrderIds = (orderIds) => {
+  if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.length > BULK_ORDER_MAX) return null;
+  const ids = orderIds.map(id => parseInt(id));
+  if (ids.some(id => isNaN(id) || id <= 0)) return null;
+  return [...new Set(ids)];
+};
+
+// Approves an order and sends it to the kitchen: station tickets and printed tickets. The
+// approval and the station tickets are committed together, so an approved order always reaches
+// the KDS. Resolves to { sessionId, ticketIds, printJobIds } or { status, error }.
+const approveOrder = async (orderId, userId) => {
+  const connection = await db.getConnection();
+  let orderRows;
+  let ticketIds;
+  try {
+    await connection.beginTransaction();
+    [orderRows] = await connection.query('SELECT session_id, status, approved, scheduled_for, released_at FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+    if (orderRows.length === 0) {
+      await connection.rollback();
+      return { status: 404, error: 'Order not found' };
+    }
+    if (orderRows[0].approved) {
+      await connection.rollback();
+      return { status: 400, error: 'Order already approved' };
+    }
+    // Cancelled and rejected orders are never approved, so they stay away from the kitchen
+    if (orderRows[0].status !== 'received') {
+      await connection.rollback();
+      return { status: 400, error: `Cannot approve an order that is ${orderRows[0].status}` };
+    }
+    if (orderRows[0].scheduled_for && !orderRows[0].released_at) {
+      await connection.rollback();
+      return { status: 400, error: 'Scheduled order is not released to the kitchen yet' };
+    }
+    const [result] = await connection.query("UPDATE orders SET approved = 1 WHERE id = ? AND approved = 0 AND status = 'received'", [orderId]);
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return { status: 409, error: 'Order was approved or closed by another request' };
+    }
+    await recordOrderEvent(connection, orderId, 'approved', { userId });
+    ticketIds = await createStationTickets(connection, orderId);
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+
+  // The order is approved either way: a ticket that cannot be queued is reprinted from POST /orders/:id/print
+  let printJobIds = [];
+  try {
+    printJobIds = await queueKitchenTickets(db, orderId, { userId });
+  } catch (err) {
+    logger.error('Failed to queue kitchen tickets', { error: err.message, orderId });
+  }
+  return { sessionId: orderRows[0].session_id, ticketIds, printJobIds };
+};
+
+// Moves an order one step through its lifecycle; serving the last open order of a paid-up
+// table ends the seating. Resolves to { order, previousStatus, tableReleased } or { status, error }.
+const changeOrderStatus = async (orderId, status, userId) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await transitionOrderStatus(connection, orderId, status, userId);
+    if (result.error) {
+      await connection.rollback();
+      return result;
+    }
+    const tableReleased = status === 'delivered' && await releaseTableIfSettled(connection, result.order.table_id);
+    await connection.commit();
+    return { ...result, tableReleased };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+// Order details staff can correct after the order is placed with PUT /orders/:id. Lines and
+// prices are fixed once ordered.
+const ORDER_EDITABLE_FIELDS = ['note', 'customer_name', 'customer_phone', 'party_size'];
+
+// Reads the editable details present in a PUT /orders/:id body. Returns { changes } with the
+// new column values, or { error }.
+const parseOrderEdits = (body) => {
+  const changes = {};
+  if (body.note !== undefined) {
+    const orderNote = parseNote(body.note, ORDER_NOTE_MAX_LENGTH, 'Order note');
+    if (orderNote.error) return { error: orderNote.error };
+    changes.note = orderNote.note;
+  }
+  if (body.customer_name !== undefined) {
+    if (body.customer_name !== null && (typeof body.customer_name !== 'string' || body.customer_name.trim().length > 100)) {
+      return { error: 'Customer name must be a string of at most 100 characters' };
+    }
+    changes.customer_name = body.customer_name?.trim() || null;
+  }
+  if (body.customer_phone !== undefined) {
+    if (body.customer_phone !== null && (typeof body.customer_phone !== 'string' || !CUSTOMER_PHONE_PATTERN.test(body.customer_phone.trim()))) {
+      return { error: 'Customer phone must be a valid phone number' };
+    }
+    changes.customer_phone = body.customer_phone?.trim() || null;
+  }
+  if (body.party_size !== undefined) {
+    if (body.party_size !== null && (!Number.isInteger(Number(body.party_size)) || Number(body.party_size) <= 0)) {
+      return { error: 'Party size must be a positive integer' };
+    }
+    changes.party_size = body.party_size === null ? null : Number(body.party_size);
+  }
+  return { changes };
+};
+
+// Applies edits from parseOrderEdits to an open order and records them as an 'edited' event
+// with each changed field's old and new value. Resolves to { changes } (empty when nothing
+// differed) or { status, error }.
+const editOrderDetails = async (orderId, edits, userId) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query(
+      'SELECT id, status, order_type, note, customer_name, customer_phone, party_size FROM orders WHERE id = ? FOR UPDATE',
+      [orderId]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { status: 404, error: 'Order not found' };
+    }
+    const current = rows[0];
+    if (!CANCELLABLE_STATUSES.includes(current.status)) {
+      await connection.rollback();
+      return { status: 400, error: `Cannot edit an order that is ${current.status}` };
+    }
+    const updated = { ...current, ...edits };
+    if (current.order_type === 'takeaway' && !updated.customer_name && !updated.customer_phone) {
+      await connection.rollback();
+      return { status: 400, error: 'Customer name or phone required for takeaway orders' };
+    }
+
+    const changes = {};
+    for (const field of ORDER_EDITABLE_FIELDS) {
+      if (field in edits && edits[field] !== current[field]) {
+        changes[field] = { from: current[field], to: edits[field] };
+      }
+    }
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      await connection.rollback();
+      return { changes };
+    }
+    await connection.query(
+      `UPDATE orders SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => edits[field]), orderId]
+    );
+    await recordOrderEvent(connection, orderId, 'edited', { userId, details: { changes } });
+    await connection.commit();
+    return { changes };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+// Cancels or rejects an order and withdraws what was under way for it: its open station tickets
+// and its delivery. Frees the table once it is settled. Resolves to { order, tableReleased,
+// withdrawnTickets, withdrawnDelivery } or { status, error }.
+const withdrawOrder = async (orderId, outcome, { reason, note, userId }) => {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await closeOrder(connection, orderId, outcome, { reason, note, userId });
+    if (result.error) {
+      await connection.rollback();
+      return result;
+    }
+    const tableReleased = await releaseTableIfSettled(connection, result.order.table_id);
+    const [withdrawnTickets] = await connection.query('SELECT id, order_id, station_id FROM kds_tickets WHERE order_id = ? AND status = ?', [orderId, 'open']);
+    await connection.query('DELETE FROM kds_tickets WHERE order_id = ? AND status = ?', [orderId, 'open']);
+    const withdrawnDelivery = await withdrawDelivery(connection, orderId);
+    await connection.commit();
+    return { order: result.order, tableReleased, withdrawnTickets, withdrawnDelivery };
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+// Announces approvals from approveOrder, by order id. Each customer hears about their own order;
+// staff get orderApproved for a single approval, or one ordersApproved batch from a bulk
+// approval. The details carry customer contact data, so they never go to every socket. Order
+// details and station tickets are loaded in one go either way.
+const emitOrdersApproved = async (io, approved, { batch = false } = {}) => {
+  if (approved.size === 0) return;
+  const orderIds = [...approved.keys()];
+  const details = await fetchOrderPayloads(db, orderIds);
+  const ticketIds = [...approved.values()].flatMap(result => result.ticketIds);
+  emitStationTickets(io, 'kdsTicket', await fetchStationTickets(db, { ticketIds, limit: Math.max(ticketIds.length, 1) }));
+
+  const payloads = details.map(orderDetails => ({ orderId: orderDetails.id.toString(), orderDetails }));
+  for (const payload of payloads) {
+    const { sessionId } = approved.get(payload.orderDetails.id);
+    if (sessionId) {
+      io.to(sessionId).emit('order-approved', payload);
+    }
+  }
+  if (batch) {
+    io.to('staff-notifications').emit('ordersApproved', { orders: payloads });
+  } else {
+    for (const payload of payloads) {
+      io.to('staff-notifications').emit('orderApproved', payload);
+    }
+  }
+};
+
+// Announces orders closed by withdrawOrder, as for emitOrdersApproved: the customer's own
+// order-cancelled / order-rejected event, then orderCancelled / orderRejected per order or one
+// ordersCancelled / ordersRejected batch, plus table, station ticket and delivery updates.
+const emitOrdersClosed = (io, outcome, closed, { batch = false } = {}) => {
+  if (closed.length === 0) return;
+  const payloads = closed.map(({ order }) => {
+    const payload = {
+      orderId: order.id.toString(),
+      status: order.status,
+      reason: order.cancellation_reason,
+      note: order.cancellation_note,
+      cancelled_at: order.cancelled_at,
+      cancelled_by: order.cancelled_by,
+    };
+    if (order.session_id) {
+      io.to(order.session_id).emit(`order-${outcome}`, payload);
+    }
+    return payload;
+  });
+  const [event, batchEvent] = outcome === 'rejected' ? ['orderRejected', 'ordersRejected'] : ['orderCancelled', 'ordersCancelled'];
+  if (batch) {
+    io.emit(batchEvent, { orders: payloads });
+  } else {
+    for (const payload of payloads) {
+      io.emit(event, payload);
+    }
+  }
+  for (const { order, tableReleased } of closed) {
+    if (tableReleased) {
+      io.emit('tableStatusUpdate', { table_id: order.table_id, status: 'available' });
+    }
+  }
+  emitStationTickets(io, 'kdsTicketWithdrawn', closed.flatMap(result => result.withdrawnTickets));
+  for (const { withdrawnDelivery } of closed) {
+    if (withdrawnDelivery) {
+      emitDeliveryUpdate(io, { ...withdrawnDelivery, status: 'cancelled' });
+    }
+  }
+};
+
 module.exports = (io) => {
-  router.post('/orders', async (req, res) => {
-    const { items, breakfastItems, total_price, order_type, delivery_address, promotion_id, table_id, request_id } = req.body;
+  // Places an order from a POST /orders payload. Reorders (POST /orders/:id/reorder) go through
+  // here too; extraResponse is added to the answer for a newly created order.
+  const placeOrder = async (req, res, orderRequest, extraResponse = {}) => {
+    const {
+      items, breakfastItems, total_price, order_type, delivery_address, promotion_id, table_id, request_id, party_size, tip,
+      scheduled_for, customer_name, customer_phone, delivery_postcode, delivery_location, note,
+    } = orderRequest;
     const sessionID = req.headers['x-session-id'] || req.sessionID;
     const timestamp = new Date().toISOString();
 
     logger.info('Received order request', {
-      raw_body: req.body,
+      raw_body: orderRequest,
       items: items?.length || 0,
       breakfastItems: breakfastItems?.length || 0,
       request_id,
@@ -36,22 +398,24 @@ module.exports = (io) => {
         return res.status(400).json({ error: 'Valid request_id is required' });
       }
 
-      const orderHash = crypto
+      const requestHash = crypto
         .createHash('sha256')
-        .update(JSON.stringify({ items, breakfastItems, table_id, order_type, total_price, request_id }))
+        .update(JSON.stringify({
+          items, breakfastItems, table_id, order_type, total_price, delivery_address, promotion_id, party_size, tip,
+          scheduled_for, customer_name, customer_phone, delivery_postcode, delivery_location, note,
+        }))
         .digest('hex');
-      if (recentRequests.has(orderHash)) {
-        logger.warn('Duplicate order submission detected', { request_id, orderHash, sessionID, timestamp });
-        return res.status(429).json({ error: 'Duplicate order detected. Please wait a moment.' });
+      const existingRequest = await findOrderRequest(request_id);
+      if (existingRequest) {
+        logger.warn('Replayed order request', { request_id, orderId: existingRequest.order_id, sessionID, timestamp });
+        return replayOrderRequest(res, existingRequest, requestHash);
       }
-      recentRequests.set(orderHash, timestamp);
-      setTimeout(() => recentRequests.delete(orderHash), 15000);
 
       if ((!items || !Array.isArray(items) || items.length === 0) && (!breakfastItems || !Array.isArray(breakfastItems) || breakfastItems.length === 0)) {
         logger.warn('Invalid or empty items', { sessionID, timestamp });
         return res.status(400).json({ error: 'Items or breakfast items array is required and non-empty' });
       }
-      if (!order_type || !['local', 'delivery'].includes(order_type)) {
+      if (!order_type || !ORDER_TYPES.includes(order_type)) {
         logger.warn('Invalid order_type', { order_type, sessionID, timestamp });
         return res.status(400).json({ error: 'Invalid order type' });
       }
@@ -63,127 +427,100 @@ module.exports = (io) => {
         logger.warn('Missing delivery address', { sessionID, timestamp });
         return res.status(400).json({ error: 'Delivery address required' });
       }
-
-      let calculatedTotal = 0;
+      if (customer_name !== undefined && customer_name !== null && (typeof customer_name !== 'string' || customer_name.trim().length > 100)) {
+        logger.warn('Invalid customer_name', { sessionID, timestamp });
+        return res.status(400).json({ error: 'Customer name must be a string of at most 100 characters' });
+      }
+      if (customer_phone !== undefined && customer_phone !== null && (typeof customer_phone !== 'string' || !CUSTOMER_PHONE_PATTERN.test(customer_phone.trim()))) {
+        logger.warn('Invalid customer_phone', { customer_phone, sessionID, timestamp });
+        return res.status(400).json({ error: 'Customer phone must be a valid phone number' });
+      }
+      const customerName = customer_name?.trim() || null;
+      const customerPhone = customer_phone?.trim() || null;
+      if (order_type === 'takeaway' && !customerName && !customerPhone) {
+        logger.warn('Missing takeaway customer', { sessionID, timestamp });
+        return res.status(400).json({ error: 'Customer name or phone required for takeaway orders' });
+      }
+      const orderNote = parseNote(note, ORDER_NOTE_MAX_LENGTH, 'Order note');
+      if (orderNote.error) {
+        logger.warn('Invalid order note', { sessionID, timestamp });
+        return res.status(400).json({ error: orderNote.error });
+      }
+      if (party_size !== undefined && party_size !== null && (!Number.isInteger(Number(party_size)) || Number(party_size) <= 0)) {
+        logger.warn('Invalid party_size', { party_size, sessionID, timestamp });
+        return res.status(400).json({ error: 'Party size must be a positive integer' });
+      }
+      let scheduledFor = null;
+      if (scheduled_for !== undefined && scheduled_for !== null) {
+        if (order_type === 'local') {
+          logger.warn('Scheduled table order', { scheduled_for, table_id, sessionID, timestamp });
+          return res.status(400).json({ error: 'Table orders cannot be scheduled' });
+        }
+        const schedule = await validateScheduledFor(db, scheduled_for);
+        if (schedule.error) {
+          logger.warn('Invalid scheduled_for', { scheduled_for, error: schedule.error, sessionID, timestamp });
+          return res.status(schedule.status).json({ error: schedule.error });
+        }
+        scheduledFor = schedule.scheduledFor;
+      }
 
       if (items && Array.isArray(items)) {
         for (const item of items) {
-          const { item_id, quantity, unit_price, supplement_id } = item;
-          if (!item_id || isNaN(item_id) || item_id <= 0) {
-            logger.warn('Invalid item_id', { item_id, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid item_id: ${item_id}` });
-          }
-          if (!quantity || isNaN(quantity) || quantity <= 0) {
-            logger.warn('Invalid quantity', { item_id, quantity, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid quantity for item ${item_id}` });
-          }
-          if (!unit_price || isNaN(parseFloat(unit_price)) || parseFloat(unit_price) <= 0) {
-            logger.warn('Invalid unit_price', { item_id, unit_price, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for item ${item_id}` });
-          }
-
-          const [menuItem] = await db.query('SELECT availability, regular_price, sale_price FROM menu_items WHERE id = ?', [item_id]);
-          if (menuItem.length === 0 || !menuItem[0].availability) {
-            logger.warn('Item unavailable', { item_id, sessionID, timestamp });
-            return res.status(400).json({ error: `Item ${item_id} is unavailable` });
-          }
-          let expectedPrice = menuItem[0].sale_price !== null ? parseFloat(menuItem[0].sale_price) : parseFloat(menuItem[0].regular_price);
-          let itemTotal = expectedPrice;
-
-          if (supplement_id) {
-            const [supplement] = await db.query(
-              'SELECT additional_price FROM menu_item_supplements WHERE menu_item_id = ? AND supplement_id = ?',
-              [item_id, supplement_id]
-            );
-            if (supplement.length === 0) {
-              logger.warn('Invalid supplement', { item_id, supplement_id, sessionID, timestamp });
-              return res.status(400).json({ error: `Invalid supplement ID ${supplement_id} for item ${item_id}` });
-            }
-            itemTotal += parseFloat(supplement[0].additional_price);
-          }
-
-          if (Math.abs(parseFloat(unit_price) - itemTotal) > 0.01) {
-            logger.warn('Price mismatch', { item_id, provided: unit_price, expected: itemTotal, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for item ${item_id}. Expected ${itemTotal}, got ${unit_price}` });
+          if (!item.unit_price || isNaN(parseFloat(item.unit_price)) || parseFloat(item.unit_price) <= 0) {
+            logger.warn('Invalid unit_price', { item_id: item.item_id, unit_price: item.unit_price, sessionID, timestamp });
+            return res.status(400).json({ error: `Invalid unit_price for item ${item.item_id}` });
           }
-          calculatedTotal += itemTotal * quantity;
         }
       }
-
-      const breakfastMap = new Map();
       if (breakfastItems && Array.isArray(breakfastItems)) {
         for (const item of breakfastItems) {
-          const { breakfast_id, quantity, unit_price, option_ids } = item;
-          if (!breakfast_id || isNaN(breakfast_id) || breakfast_id <= 0) {
-            logger.warn('Invalid breakfast_id', { breakfast_id, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid breakfast_id: ${breakfast_id}` });
-          }
-          if (!quantity || isNaN(quantity) || quantity <= 0) {
-            logger.warn('Invalid quantity', { breakfast_id, quantity, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid quantity for breakfast ${breakfast_id}` });
-          }
-          if (!unit_price || isNaN(parseFloat(unit_price)) || parseFloat(unit_price) <= 0) {
-            logger.warn('Invalid unit_price', { breakfast_id, unit_price, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for breakfast ${breakfast_id}` });
+          if (!item.unit_price || isNaN(parseFloat(item.unit_price)) || parseFloat(item.unit_price) <= 0) {
+            logger.warn('Invalid unit_price', { breakfast_id: item.breakfast_id, unit_price: item.unit_price, sessionID, timestamp });
+            return res.status(400).json({ error: `Invalid unit_price for breakfast ${item.breakfast_id}` });
           }
+        }
+      }
 
-          const [breakfast] = await db.query('SELECT availability, price FROM breakfasts WHERE id = ?', [breakfast_id]);
-          if (breakfast.length === 0 || !breakfast[0].availability) {
-            logger.warn('Breakfast unavailable', { breakfast_id, sessionID, timestamp });
-            return res.status(400).json({ error: `Breakfast ${breakfast_id} is unavailable` });
-          }
-          let expectedPrice = parseFloat(breakfast[0].price);
-
-          if (option_ids && Array.isArray(option_ids)) {
-            const [groups] = await db.query('SELECT id FROM breakfast_option_groups WHERE breakfast_id = ?', [breakfast_id]);
-            if (groups.length > 0) {
-              const [options] = await db.query(
-                'SELECT id, group_id, additional_price FROM breakfast_options WHERE breakfast_id = ? AND id IN (?)',
-                [breakfast_id, option_ids]
-              );
-              if (options.length !== option_ids.length) {
-                logger.warn('Invalid breakfast options', { breakfast_id, option_ids, sessionID, timestamp });
-                return res.status(400).json({ error: `Invalid option IDs for breakfast ${breakfast_id}` });
-              }
-              const selectedGroups = new Set(options.map(opt => opt.group_id));
-              if (selectedGroups.size !== groups.length) {
-                logger.warn('Missing options for groups', { breakfast_id, selectedGroups: [...selectedGroups], groupCount: groups.length, sessionID, timestamp });
-                return res.status(400).json({ error: `Must select one option from each of the ${groups.length} option groups for breakfast ${breakfast_id}` });
-              }
-              const optionPrice = options.reduce((sum, opt) => sum + parseFloat(opt.additional_price || 0), 0);
-              expectedPrice += optionPrice;
-            } else if (option_ids.length > 0) {
-              logger.warn('Options provided but no groups exist', { breakfast_id, option_ids, sessionID, timestamp });
-              return res.status(400).json({ error: `No option groups defined for breakfast ${breakfast_id}, but options provided` });
-            }
-          } else if (option_ids && !Array.isArray(option_ids)) {
-            logger.warn('Invalid option_ids format', { breakfast_id, option_ids, sessionID, timestamp });
-            return res.status(400).json({ error: `Option IDs for breakfast ${breakfast_id} must be an array` });
-          } else {
-            const [groups] = await db.query('SELECT id FROM breakfast_option_groups WHERE breakfast_id = ?', [breakfast_id]);
-            if (groups.length > 0) {
-              logger.warn('No options provided but groups exist', { breakfast_id, groupCount: groups.length, sessionID, timestamp });
-              return res.status(400).json({ error: `Must select one option from each of the ${groups.length} option groups for breakfast ${breakfast_id}` });
-            }
-          }
+      const pricing = await priceOrder(db, {
+        items, breakfastItems, promotion_id, order_type, party_size, tip, delivery_postcode, delivery_location,
+      }, { sessionID, timestamp });
+      if (pricing.error) {
+        return res.status(pricing.status).json({ error: pricing.error });
+      }
 
-          if (Math.abs(parseFloat(unit_price) - expectedPrice) > 0.01) {
-            logger.warn('Price mismatch', { breakfast_id, provided: unit_price, expected: expectedPrice, sessionID, timestamp });
-            return res.status(400).json({ error: `Invalid unit_price for breakfast ${breakfast_id}. Expected ${expectedPrice}, got ${unit_price}` });
-          }
+      for (const [index, line] of pricing.items.entries()) {
+        const { unit_price } = items[index];
+        if (Math.abs(parseFloat(unit_price) - line.unit_price) > 0.01) {
+          logger.warn('Price mismatch', { item_id: line.item_id, provided: unit_price, expected: line.unit_price, sessionID, timestamp });
+          return res.status(400).json({ error: `Invalid unit_price for item ${line.item_id}. Expected ${line.unit_price}, got ${unit_price}` });
+        }
+      }
 
-          if (!breakfastMap.has(breakfast_id)) {
-            breakfastMap.set(breakfast_id, { breakfast_id, quantity: 0, unit_price: expectedPrice, option_ids: [] });
-          }
-          const breakfastEntry = breakfastMap.get(breakfast_id);
-          breakfastEntry.quantity += quantity;
-          if (option_ids && Array.isArray(option_ids)) {
-            breakfastEntry.option_ids.push(...option_ids.filter(id => !breakfastEntry.option_ids.includes(id)));
-          }
-          calculatedTotal += expectedPrice * quantity;
+      // Identical breakfast lines (same options and note) are stored as one line with their
+      // quantities added up; lines that differ in either stay apart.
+      const breakfastMap = new Map();
+      for (const [index, line] of pricing.breakfastItems.entries()) {
+        const { unit_price } = breakfastItems[index];
+        if (Math.abs(parseFloat(unit_price) - line.unit_price) > 0.01) {
+          logger.warn('Price mismatch', { breakfast_id: line.breakfast_id, provided: unit_price, expected: line.unit_price, sessionID, timestamp });
+          return res.status(400).json({ error: `Invalid unit_price for breakfast ${line.breakfast_id}. Expected ${line.unit_price}, got ${unit_price}` });
         }
+
+        const optionIds = line.options.map(opt => opt.id).sort((a, b) => a - b);
+        const mergeKey = JSON.stringify([line.breakfast_id, optionIds, line.note]);
+        if (!breakfastMap.has(mergeKey)) {
+          breakfastMap.set(mergeKey, { breakfast_id: line.breakfast_id, quantity: 0, unit_price: line.unit_price, option_ids: optionIds, note: line.note, taxes: [] });
+        }
+        const breakfastEntry = breakfastMap.get(mergeKey);
+        breakfastEntry.quantity += line.quantity;
+        breakfastEntry.taxes = sumTaxes([breakfastEntry.taxes, line.taxes]);
       }
 
+      // The client's total_price is what it shows the customer: goods plus any service charge, delivery fee and tip
+      const calculatedTotal = pricing.amount_due;
+
+      const prepMinutes = scheduledFor ? null : await orderPrepMinutes(db, pricing);
+
       let table = null;
       if (table_id) {
         const [tableRows] = await db.query('SELECT id, status FROM tables WHERE id = ?', [table_id]);
@@ -196,56 +533,6 @@ module.exports = (io) => {
           logger.warn('Table reserved', { table_id, sessionID, timestamp });
           return res.status(400).json({ error: 'Table is reserved' });
         }
-        if (table[0].status !== 'occupied') {
-          await db.query('UPDATE tables SET status = ? WHERE id = ?', ['occupied', table_id]);
-        }
-      }
-
-      let discount = 0;
-      if (promotion_id) {
-        const [promo] = await db.query(
-          'SELECT discount_percentage, item_id FROM promotions WHERE id = ? AND active = TRUE AND NOW() BETWEEN start_date AND end_date',
-          [promotion_id]
-        );
-        if (promo.length > 0) {
-          discount = promo[0].discount_percentage / 100;
-          let promoCalculatedPrice = 0;
-
-          if (items && Array.isArray(items)) {
-            for (const item of items) {
-              const [menuItem] = await db.query('SELECT regular_price, sale_price FROM menu_items WHERE id = ?', [item.item_id]);
-              let itemPrice = (menuItem[0].sale_price !== null ? parseFloat(menuItem[0].sale_price) : parseFloat(menuItem[0].regular_price)) * item.quantity;
-              if (item.supplement_id) {
-                const [supplement] = await db.query(
-                  'SELECT additional_price FROM menu_item_supplements WHERE menu_item_id = ? AND supplement_id = ?',
-                  [item.item_id, item.supplement_id]
-                );
-                if (supplement.length > 0) {
-                  itemPrice += parseFloat(supplement[0].additional_price) * item.quantity;
-                }
-              }
-              promoCalculatedPrice += (!promo[0].item_id || item.item_id === promo[0].item_id) ? itemPrice * (1 - discount) : itemPrice;
-            }
-          }
-
-          if (breakfastItems && Array.isArray(breakfastItems)) {
-            for (const item of breakfastItems) {
-              const [breakfast] = await db.query('SELECT price FROM breakfasts WHERE id = ?', [item.breakfast_id]);
-              let itemPrice = parseFloat(breakfast[0].price) * item.quantity;
-              if (item.option_ids && Array.isArray(item.option_ids)) {
-                const [options] = await db.query(
-                  'SELECT additional_price FROM breakfast_options WHERE breakfast_id = ? AND id IN (?)',
-                  [item.breakfast_id, item.option_ids]
-                );
-                const optionPrice = options.reduce((sum, opt) => sum + parseFloat(opt.additional_price || 0), 0) * item.quantity;
-                itemPrice += optionPrice;
-              }
-              promoCalculatedPrice += itemPrice;
-            }
-          }
-
-          calculatedTotal = promoCalculatedPrice;
-        }
       }
 
       const providedPrice = parseFloat(total_price) || 0;
@@ -258,95 +545,146 @@ module.exports = (io) => {
       await connection.beginTransaction();
 
       try {
+        // Orders for now join the kitchen queue: a busy kitchen pushes their ETA back and a full
+        // one turns them away. Pre-orders are due at their scheduled time.
+        let kitchen = null;
+        if (!scheduledFor) {
+          kitchen = await estimateNewOrder(connection, prepMinutes);
+          if (kitchen.error) {
+            await connection.rollback();
+            logger.warn('Order refused, kitchen at capacity', { order_type, table_id, sessionID, timestamp });
+            return res.status(kitchen.status).json({ error: kitchen.error });
+          }
+        }
+
+        // Table orders run on the table's tab: the first order of a seating opens it
+        const tab = table_id ? await joinOrOpenTab(connection, table_id) : null;
+        if (table && table[0].status !== 'occupied') {
+          await connection.query('UPDATE tables SET status = ? WHERE id = ?', ['occupied', table_id]);
+        }
         const [orderResult] = await connection.query(
-          'INSERT INTO orders (total_price, order_type, delivery_address, promotion_id, table_id, session_id) VALUES (?, ?, ?, ?, ?, ?)',
-          [calculatedTotal, order_type, delivery_address || null, promotion_id || null, table_id || null, sessionID]
+          `INSERT INTO orders (total_price, discount_amount, net_total, tax_total, service_charge, service_charge_rate, tip_amount, party_size, order_type, delivery_address, promotion_id, table_id, session_id, scheduled_for, customer_name, customer_phone, pickup_number,
+                               delivery_zone_id, delivery_fee, delivery_minutes, delivery_postcode, delivery_lat, delivery_lng, note, tab_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            pricing.total_price,
+            pricing.discount,
+            pricing.tax.net_total,
+            pricing.tax.tax_total,
+            pricing.service_charge ? pricing.service_charge.amount : 0,
+            pricing.service_charge ? pricing.service_charge.rate : null,
+            pricing.tip ? pricing.tip.amount : 0,
+            party_size ? parseInt(party_size) : null,
+            order_type,
+            delivery_address || null,
+            promotion_id || null,
+            table_id || null,
+            sessionID,
+            scheduledFor,
+            customerName,
+            customerPhone,
+            // Pre-orders are numbered in the sequence of the day they are picked up
+            order_type === 'takeaway' ? await nextPickupNumber(connection, scheduledFor || new Date()) : null,
+            pricing.delivery ? pricing.delivery.zone_id : null,
+            pricing.delivery ? pricing.delivery.fee : 0,
+            pricing.delivery ? pricing.delivery.estimated_minutes : null,
+            order_type === 'delivery' && delivery_postcode ? normalizePostcode(delivery_postcode) : null,
+            order_type === 'delivery' && delivery_location ? parseFloat(delivery_location.lat) : null,
+            order_type === 'delivery' && delivery_location ? parseFloat(delivery_location.lng) : null,
+            orderNote.note,
+            tab ? tab.tabId : null,
+          ]
         );
         const orderId = orderResult.insertId;
+        await recordOrderEvent(connection, orderId, 'created', {
+          userId: req.session.user?.id || null,
+          details: { order_type, amount_due: calculatedTotal, scheduled_for: scheduledFor, request_id },
+        });
 
-        if (items && Array.isArray(items)) {
-          for (const item of items) {
-            await connection.query(
-              'INSERT INTO order_items (order_id, item_id, quantity, unit_price, supplement_id) VALUES (?, ?, ?, ?, ?)',
-              [orderId, item.item_id, item.quantity, item.unit_price, item.supplement_id || null]
-            );
-          }
+        await connection.query('DELETE FROM order_requests WHERE expires_at <= NOW()');
+        await connection.query(
+          'INSERT INTO order_requests (request_id, request_hash, order_id, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+          [request_id, requestHash, orderId, ORDER_REQUEST_TTL_HOURS]
+        );
+
+        for (const line of pricing.items) {
+          const [orderItemResult] = await connection.query(
+            'INSERT INTO order_items (order_id, item_id, quantity, unit_price, supplement_id, net_amount, tax_amount, note) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [orderId, line.item_id, line.quantity, line.unit_price, line.supplement?.supplement_id || null, line.net, line.tax, line.note]
+          );
+          await insertOrderItemTaxes(connection, orderItemResult.insertId, line.taxes);
         }
 
-        if (breakfastItems && Array.isArray(breakfastItems)) {
-          for (const [breakfast_id, { quantity, unit_price, option_ids }] of breakfastMap) {
-            const [orderItemResult] = await connection.query(
-              'INSERT INTO order_items (order_id, breakfast_id, quantity, unit_price) VALUES (?, ?, ?, ?)',
-              [orderId, breakfast_id, quantity, unit_price]
+        for (const { breakfast_id, quantity, unit_price, option_ids, note: lineNote, taxes } of breakfastMap.values()) {
+          const { net, tax } = taxTotals(taxes);
+          const [orderItemResult] = await connection.query(
+            'INSERT INTO order_items (order_id, breakfast_id, quantity, unit_price, net_amount, tax_amount, note) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [orderId, breakfast_id, quantity, unit_price, net, tax, lineNote]
+          );
+          const orderItemId = orderItemResult.insertId;
+          await insertOrderItemTaxes(connection, orderItemId, taxes);
+          for (const optionId of option_ids) {
+            await connection.query(
+              'INSERT INTO breakfast_order_options (order_item_id, breakfast_option_id) VALUES (?, ?)',
+              [orderItemId, optionId]
             );
-            const orderItemId = orderItemResult.insertId;
-            if (option_ids && Array.isArray(option_ids)) {
-              for (const optionId of option_ids) {
-                await connection.query(
-                  'INSERT INTO breakfast_order_options (order_item_id, breakfast_option_id) VALUES (?, ?)',
-                  [orderItemId, optionId]
-                );
-              }
-            }
           }
         }
 
-        const [orderDetails] = await connection.query(`
-          SELECT o.*, t.table_number,
-                 GROUP_CONCAT(oi.item_id) AS item_ids,
-                 GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-                 GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-                 GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-                 GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-                 GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-                 GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-                 GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-                 GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-                 GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-                 GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-                 GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-          FROM orders o
-          LEFT JOIN order_items oi ON o.id = oi.order_id
-          LEFT JOIN menu_items mi ON oi.item_id = mi.id
-          LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
-          LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-          LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-          LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-          LEFT JOIN tables t ON o.table_id = t.id
-          WHERE o.id = ?
-          GROUP BY o.id
-        `, [orderId]);
-
-        orderDetails[0].approved = Number(orderDetails[0].approved);
-
-        const table_number = orderDetails[0].table_number || 'N/A';
-        const notificationMessage = order_type === 'local'
-          ? `New order #${orderId} for Table ${table_number}`
-          : `New delivery order #${orderId} for ${delivery_address}`;
-        const [notificationResult] = await connection.query(
-          'INSERT INTO notifications (type, reference_id, message) VALUES (?, ?, ?)',
-          ['order', orderId, notificationMessage]
-        );
-        const notificationId = notificationResult.insertId;
+        const orderDetails = await fetchOrderPayload(connection, orderId);
+
+        // Pre-orders reach staff when utils/scheduling.js releases them, with their own notification
+        let notification = null;
+        if (!scheduledFor) {
+          const table_number = orderDetails.table_number || 'N/A';
+          const notificationMessage = {
+            local: `New order #${orderId} for Table ${table_number}`,
+            delivery: `New delivery order #${orderId} for ${delivery_address}`,
+            takeaway: `New takeaway order #${orderId} (pickup #${orderDetails.pickup_number}) for ${customerName || customerPhone}`,
+          }[order_type];
+          const [notificationResult] = await connection.query(
+            'INSERT INTO notifications (type, reference_id, message) VALUES (?, ?, ?)',
+            ['order', orderId, notificationMessage]
+          );
+          const [rows] = await connection.query('SELECT * FROM notifications WHERE id = ?', [notificationResult.insertId]);
+          notification = rows[0];
+        }
 
-        const [rows] = await connection.query('SELECT * FROM notifications WHERE id = ?', [notificationId]);
-        const notification = rows[0];
+        // Kept with the request_id so a retry gets exactly this answer back
+        const responseBody = {
+          message: 'Order created',
+          orderId,
+          pickup_number: orderDetails.pickup_number,
+          tab_id: orderDetails.tab_id,
+          eta: kitchen ? kitchen.eta : scheduledFor,
+          throttled: kitchen ? kitchen.throttled : false,
+          ...extraResponse,
+        };
+        await connection.query('UPDATE order_requests SET response_body = ? WHERE request_id = ?', [JSON.stringify(responseBody), request_id]);
 
         await connection.commit();
 
-        io.emit('newOrder', orderDetails[0]);
+        if (scheduledFor) {
+          io.to('staff-notifications').emit('orderScheduled', { orderId, scheduled_for: scheduledFor });
+        } else {
+          // The details carry the customer's contact data and delivery address: staff only
+          io.to('staff-notifications').emit('newOrder', orderDetails);
+          io.to('staff-notifications').emit('newNotification', {
+            id: notification.id,
+            type: notification.type,
+            reference_id: notification.reference_id,
+            message: notification.message,
+            is_read: Number(notification.is_read),
+            created_at: notification.created_at.toISOString(),
+          });
+        }
         if (table_id && table && table[0].status !== 'occupied') {
           io.emit('tableStatusUpdate', { id: table_id, status: 'occupied' });
         }
-
-        io.to('staff-notifications').emit('newNotification', {
-          id: notification.id,
-          type: notification.type,
-          reference_id: notification.reference_id,
-          message: notification.message,
-          is_read: Number(notification.is_read),
-          created_at: notification.created_at.toISOString(),
-        });
+        if (tab) {
+          emitTabUpdate(io, await fetchTab(db, tab.tabId));
+        }
+        await broadcastEtas(db, io);
 
         logger.info('Order created successfully', {
           orderId,
@@ -355,14 +693,28 @@ module.exports = (io) => {
           supplements: items?.map(i => ({ item_id: i.item_id, supplement_id: i.supplement_id })) || [],
           request_id,
           table_id,
-          total_price: calculatedTotal,
-          notificationId,
+          total_price: pricing.total_price,
+          amount_due: calculatedTotal,
+          scheduledFor,
+          tabId: tab?.tabId,
+          tabOpened: tab?.opened,
+          eta: kitchen?.eta,
+          kitchenWaitMinutes: kitchen?.waitMinutes,
+          notificationId: notification?.id,
           sessionID,
           timestamp,
         });
-        res.status(201).json({ message: 'Order created', orderId });
+        res.status(201).json(responseBody);
       } catch (err) {
         await connection.rollback();
+        if (err.code === 'ER_DUP_ENTRY') {
+          // A concurrent request with the same request_id committed first
+          const concurrentRequest = await findOrderRequest(request_id);
+          if (concurrentRequest) {
+            logger.warn('Concurrent duplicate order request', { request_id, orderId: concurrentRequest.order_id, sessionID, timestamp });
+            return replayOrderRequest(res, concurrentRequest, requestHash);
+          }
+        }
         logger.error('Error creating order in transaction', { error: err.message, table_id, sessionID, timestamp });
         res.status(500).json({ error: 'Failed to create order' });
       } finally {
@@ -372,45 +724,124 @@ module.exports = (io) => {
       logger.error('Error creating order', { error: err.message, table_id, sessionID, timestamp });
       res.status(500).json({ error: 'Failed to create order' });
     }
+  };
+
+  router.post('/orders', (req, res) => placeOrder(req, res, req.body));
+
+  router.post('/orders/quote', async (req, res) => {
+    const { items, breakfastItems, promotion_id, order_type, party_size, tip, delivery_postcode, delivery_location } = req.body;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if ((!items || !Array.isArray(items) || items.length === 0) && (!breakfastItems || !Array.isArray(breakfastItems) || breakfastItems.length === 0)) {
+        logger.warn('Invalid or empty items for quote', { sessionID, timestamp });
+        return res.status(400).json({ error: 'Items or breakfast items array is required and non-empty' });
+      }
+
+      const pricing = await priceOrder(db, {
+        items, breakfastItems, promotion_id, order_type, party_size, tip, delivery_postcode, delivery_location,
+      }, { sessionID, timestamp });
+      if (pricing.error) {
+        return res.status(pricing.status).json({ error: pricing.error });
+      }
+
+      logger.info('Order quoted', { items: pricing.items.length, breakfastItems: pricing.breakfastItems.length, total_price: pricing.total_price, amount_due: pricing.amount_due, sessionID, timestamp });
+      res.json(pricing);
+    } catch (err) {
+      logger.error('Error quoting order', { error: err.message, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to quote order' });
+    }
+  });
+
+  // Orders a past order again at today's prices. Lines that can no longer be ordered are left
+  // out and listed in unavailable. Without a request_id it answers with a quote; with one it
+  // places the order like POST /orders, checking total_price when it is sent.
+  router.post('/orders/:id/reorder', async (req, res) => {
+    const { id } = req.params;
+    const { request_id, total_price } = req.body;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID to reorder', { id, sessionID, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      const [orderRows] = await db.query('SELECT session_id FROM orders WHERE id = ?', [orderId]);
+      if (orderRows.length === 0) {
+        logger.warn('Order not found to reorder', { orderId, sessionID, timestamp });
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (orderRows[0].session_id !== sessionID && (!req.session.user || !await checkAdminOrServer(req.session.user.id))) {
+        logger.warn('Unauthorized attempt to reorder', { orderId, sessionUser: req.session.user?.id, sessionID, timestamp });
+        return res.status(403).json({ error: 'Access to this order is not allowed' });
+      }
+
+      const rebuilt = await rebuildOrder(db, orderId, req.body, { sessionID, timestamp });
+      if (rebuilt.error) {
+        logger.warn('Order cannot be rebuilt', { orderId, reason: rebuilt.error, sessionID, timestamp });
+        return res.status(rebuilt.status).json({ error: rebuilt.error });
+      }
+      const { payload, unavailable } = rebuilt;
+      if (payload.items.length === 0 && payload.breakfastItems.length === 0) {
+        logger.warn('Nothing left to reorder', { orderId, unavailable: unavailable.length, sessionID, timestamp });
+        return res.status(400).json({ error: 'None of the items in this order can be ordered any more', unavailable });
+      }
+
+      const pricing = await priceOrder(db, payload, { sessionID, timestamp });
+      if (pricing.error) {
+        return res.status(pricing.status).json({ error: pricing.error, unavailable });
+      }
+      if (!request_id) {
+        logger.info('Reorder quoted', { orderId, amount_due: pricing.amount_due, unavailable: unavailable.length, sessionID, timestamp });
+        return res.json({ reordered_from: orderId, order: payload, quote: pricing, unavailable });
+      }
+
+      logger.info('Placing reorder', { orderId, request_id, unavailable: unavailable.length, sessionID, timestamp });
+      await placeOrder(
+        req,
+        res,
+        { ...payload, request_id, total_price: total_price !== undefined ? total_price : pricing.amount_due },
+        { reordered_from: orderId, unavailable }
+      );
+    } catch (err) {
+      logger.error('Error reordering', { error: err.message, orderId: id, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to reorder' });
+    }
   });
 
   router.get('/orders', async (req, res) => {
     const sessionID = req.headers['x-session-id'] || req.sessionID;
     const timestamp = new Date().toISOString();
-    const { time_range, approved } = req.query;
+    const {
+      time_range, approved, start_date, end_date, table_id, order_type, status, payment_status, promotion_id,
+      min_total, max_total, search, scheduled, sort = 'created_at', order = 'desc',
+    } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || ORDER_PAGE_SIZE, 1), ORDER_PAGE_SIZE_MAX);
 
     try {
       if (!req.session.user || !await checkAdminOrServer(req.session.user.id)) {
         logger.warn('Unauthorized attempt to fetch orders', { sessionUser: req.session.user, sessionID, timestamp });
         return res.status(403).json({ error: 'Admin or server access required' });
       }
+      if (!Object.hasOwn(ORDER_SORT_COLUMNS, sort) || !['asc', 'desc'].includes(order)) {
+        logger.warn('Invalid order sort', { sort, order, sessionID, timestamp });
+        return res.status(400).json({ error: `Sort must be one of: ${Object.keys(ORDER_SORT_COLUMNS).join(', ')}, in asc or desc order` });
+      }
 
-      let query = `
-        SELECT o.*, t.table_number,
-               GROUP_CONCAT(oi.item_id) AS item_ids,
-               GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-               GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-               GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-               GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-               GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-               GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-               GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-               GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-               GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-               GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-               GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        LEFT JOIN menu_items mi ON oi.item_id = mi.id
-        LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
-        LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-        LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-        LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-        LEFT JOIN tables t ON o.table_id = t.id
-      `;
       let queryParams = [];
       let whereClauses = [];
 
+      // Pre-orders stay out of the list until they are released to the kitchen
+      if (scheduled === 'upcoming') {
+        whereClauses.push('o.scheduled_for IS NOT NULL AND o.released_at IS NULL');
+      } else if (scheduled !== 'all') {
+        whereClauses.push(RELEASED_ORDER_SQL);
+      }
+
       if (time_range === 'hour') {
         whereClauses.push('o.created_at >= NOW() - INTERVAL 1 HOUR');
       } else if (time_range === 'day') {
@@ -423,29 +854,140 @@ module.exports = (io) => {
         whereClauses.push('o.created_at >= CURDATE() - INTERVAL 30 DAY');
       }
 
+      // Custom ranges: a bare date as end_date includes that whole day
+      if (start_date) {
+        const start = new Date(start_date);
+        if (isNaN(start.getTime())) {
+          logger.warn('Invalid start_date', { start_date, sessionID, timestamp });
+          return res.status(400).json({ error: 'start_date must be a valid date' });
+        }
+        whereClauses.push('o.created_at >= ?');
+        queryParams.push(start);
+      }
+      if (end_date) {
+        const end = new Date(end_date);
+        if (isNaN(end.getTime())) {
+          logger.warn('Invalid end_date', { end_date, sessionID, timestamp });
+          return res.status(400).json({ error: 'end_date must be a valid date' });
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(end_date)) {
+          whereClauses.push('o.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+          queryParams.push(end_date);
+        } else {
+          whereClauses.push('o.created_at <= ?');
+          queryParams.push(end);
+        }
+      }
+
       if (approved === '1') {
         whereClauses.push('o.approved = 1');
       } else if (approved === '0') {
         whereClauses.push('o.approved = 0');
       }
-
-      if (whereClauses.length > 0) {
-        query += ' WHERE ' + whereClauses.join(' AND ');
+      if (table_id) {
+        const tableId = parseInt(table_id);
+        if (isNaN(tableId) || tableId <= 0) {
+          logger.warn('Invalid table_id filter', { table_id, sessionID, timestamp });
+          return res.status(400).json({ error: 'table_id must be a valid table ID' });
+        }
+        whereClauses.push('o.table_id = ?');
+        queryParams.push(tableId);
+      }
+      if (order_type) {
+        whereClauses.push('o.order_type = ?');
+        queryParams.push(order_type);
+      }
+      if (status) {
+        whereClauses.push('o.status IN (?)');
+        queryParams.push(String(status).split(','));
+      }
+      if (payment_status) {
+        whereClauses.push('o.payment_status IN (?)');
+        queryParams.push(String(payment_status).split(','));
+      }
+      if (promotion_id) {
+        const promotionId = parseInt(promotion_id);
+        if (isNaN(promotionId) || promotionId <= 0) {
+          logger.warn('Invalid promotion_id filter', { promotion_id, sessionID, timestamp });
+          return res.status(400).json({ error: 'promotion_id must be a valid promotion ID' });
+        }
+        whereClauses.push('o.promotion_id = ?');
+        queryParams.push(promotionId);
+      }
+      if (min_total) {
+        const minTotal = parseFloat(min_total);
+        if (!Number.isFinite(minTotal)) {
+          logger.warn('Invalid min_total filter', { min_total, sessionID, timestamp });
+          return res.status(400).json({ error: 'min_total must be a number' });
+        }
+        whereClauses.push('o.total_price >= ?');
+        queryParams.push(minTotal);
+      }
+      if (max_total) {
+        const maxTotal = parseFloat(max_total);
+        if (!Number.isFinite(maxTotal)) {
+          logger.warn('Invalid max_total filter', { max_total, sessionID, timestamp });
+          return res.status(400).json({ error: 'max_total must be a number' });
+        }
+        whereClauses.push('o.total_price <= ?');
+        queryParams.push(maxTotal);
       }
+      if (search && String(search).trim()) {
+        const term = String(search).trim();
+        const orderIdTerm = parseInt(term.replace(/^#/, ''));
+        if (!isNaN(orderIdTerm) && /^#?\d+$/.test(term)) {
+          whereClauses.push('(o.id = ? OR o.pickup_number = ? OR o.delivery_address LIKE ? OR o.customer_phone LIKE ?)');
+          queryParams.push(orderIdTerm, orderIdTerm, `%${term}%`, `%${term}%`);
+        } else {
+          whereClauses.push('(o.delivery_address LIKE ? OR o.customer_name LIKE ? OR o.customer_phone LIKE ?)');
+          queryParams.push(`%${term}%`, `%${term}%`, `%${term}%`);
+        }
+      }
+
+      const whereClause = whereClauses.length > 0 ? ' WHERE ' + whereClauses.join(' AND ') : '';
+      const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM orders o${whereClause}`, queryParams);
+      const total = countRows[0].total;
+
+      const [rows] = await db.query(
+        `SELECT o.id FROM orders o${whereClause} ORDER BY ${ORDER_SORT_COLUMNS[sort]} ${order.toUpperCase()}, o.id ${order.toUpperCase()} LIMIT ? OFFSET ?`,
+        [...queryParams, limit, (page - 1) * limit]
+      );
+      const formattedRows = await fetchOrderPayloads(db, rows.map(row => row.id), resolveOrderPayloadVersion(req));
+
+      logger.info('Orders fetched successfully', { count: formattedRows.length, total, page, limit, filters: req.query, sessionID, timestamp });
+      res.json({
+        data: formattedRows,
+        pagination: { page, limit, total, total_pages: Math.ceil(total / limit) },
+      });
+    } catch (err) {
+      logger.error('Error fetching orders', { error: err.message, filters: req.query, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+  });
+
+  router.get('/orders/mine', async (req, res) => {
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+    const { active } = req.query;
 
-      query += ' GROUP BY o.id ORDER BY o.created_at DESC';
+    try {
+      let query = 'SELECT id FROM orders WHERE session_id = ?';
+      const queryParams = [sessionID];
+      if (active === '1') {
+        query += ' AND status IN (?)';
+        queryParams.push(CANCELLABLE_STATUSES);
+      }
+      query += ' ORDER BY created_at DESC LIMIT 50';
 
       const [rows] = await db.query(query, queryParams);
+      const orders = await fetchOrderPayloads(db, rows.map(row => row.id), resolveOrderPayloadVersion(req));
 
-      const formattedRows = rows.map(row => ({
-        ...row,
-        approved: Number(row.approved),
-      }));
+      const etas = await estimateEtas(db);
 
-      logger.info('Orders fetched successfully', { count: formattedRows.length, time_range, approved, sessionID, timestamp });
-      res.json({ data: formattedRows });
+      logger.info('Session orders fetched', { count: orders.length, active, sessionID, timestamp });
+      res.json({ data: orders.map(order => withTracking(order, etas)) });
     } catch (err) {
-      logger.error('Error fetching orders', { error: err.message, time_range, approved, sessionID, timestamp });
+      logger.error('Error fetching session orders', { error: err.message, sessionID, timestamp });
       res.status(500).json({ error: 'Failed to fetch orders' });
     }
   });
@@ -462,47 +1004,101 @@ module.exports = (io) => {
         return res.status(400).json({ error: 'Valid order ID required' });
       }
 
-      const [rows] = await db.query(`
-        SELECT o.*, t.table_number,
-               GROUP_CONCAT(oi.item_id) AS item_ids,
-               GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-               GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-               GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-               GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-               GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-               GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-               GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-               GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-               GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-               GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-               GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        LEFT JOIN menu_items mi ON oi.item_id = mi.id
-        LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
-        LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-        LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-        LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-        LEFT JOIN tables t ON o.table_id = t.id
-        WHERE o.id = ?
-        GROUP BY o.id
-      `, [orderId]);
-
-      if (rows.length === 0) {
+      const order = await fetchOrderPayload(db, orderId, resolveOrderPayloadVersion(req));
+      if (!order) {
         logger.warn('Order not found', { orderId, sessionID, timestamp });
         return res.status(404).json({ error: 'Order not found' });
       }
-
-      rows[0].approved = Number(rows[0].approved);
+      if (order.session_id !== sessionID && (!req.session.user || !await checkAdminOrServer(req.session.user.id))) {
+        logger.warn('Unauthorized attempt to fetch order', { orderId, sessionUser: req.session.user?.id, sessionID, timestamp });
+        return res.status(403).json({ error: 'Access to this order is not allowed' });
+      }
 
       logger.info('Order fetched successfully', { orderId, sessionID, timestamp });
-      res.json(rows[0]);
+      res.json(withTracking(order, await estimateEtas(db)));
     } catch (err) {
       logger.error('Error fetching order', { error: err.message, orderId: id, sessionID, timestamp });
       res.status(500).json({ error: 'Failed to fetch order' });
     }
   });
 
+  // Everything that happened to an order, oldest first, for settling disputes
+  router.get('/orders/:id/timeline', async (req, res) => {
+    const { id } = req.params;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!req.session.user || !await checkAdminOrServer(req.session.user.id)) {
+        logger.warn('Unauthorized attempt to fetch order timeline', { sessionUser: req.session.user?.id, orderId: id, sessionID, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for timeline', { id, sessionID, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      const [orderRows] = await db.query('SELECT id, status, created_at FROM orders WHERE id = ?', [orderId]);
+      if (orderRows.length === 0) {
+        logger.warn('Order not found for timeline', { orderId, sessionID, timestamp });
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const events = await fetchOrderTimeline(db, orderId);
+      logger.info('Order timeline fetched', { orderId, events: events.length, sessionID, timestamp });
+      res.json({ orderId, status: orderRows[0].status, created_at: orderRows[0].created_at, data: events });
+    } catch (err) {
+      logger.error('Error fetching order timeline', { error: err.message, orderId: id, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to fetch order timeline' });
+    }
+  });
+
+  router.get('/orders/:id/receipt', async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'html';
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for receipt', { orderId: id, sessionID, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      if (!RECEIPT_FORMATS.includes(format)) {
+        logger.warn('Invalid receipt format', { orderId, format, sessionID, timestamp });
+        return res.status(400).json({ error: `Format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+      }
+
+      const [orderRows] = await db.query('SELECT session_id FROM orders WHERE id = ?', [orderId]);
+      if (orderRows.length === 0) {
+        logger.warn('Order not found for receipt', { orderId, sessionID, timestamp });
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (orderRows[0].session_id !== sessionID && (!req.session.user || !await checkAdminOrServer(req.session.user.id))) {
+        logger.warn('Unauthorized attempt to fetch receipt', { orderId, sessionUser: req.session.user?.id, sessionID, timestamp });
+        return res.status(403).json({ error: 'Access to this order is not allowed' });
+      }
+
+      const receipt = await buildReceipt(db, orderId);
+      logger.info('Receipt generated', { orderId, format, sessionID, timestamp });
+      if (format === 'txt') {
+        res.type('text/plain').send(renderText(receipt));
+      } else if (format === 'pdf') {
+        const pdf = await renderPdf(receipt);
+        res.set('Content-Disposition', `inline; filename="receipt-${orderId}.pdf"`);
+        res.type('application/pdf').send(pdf);
+      } else {
+        res.type('text/html').send(renderHtml(receipt));
+      }
+    } catch (err) {
+      logger.error('Error generating receipt', { error: err.message, orderId: id, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to generate receipt' });
+    }
+  });
+
+  // Moves an order's status on and/or corrects its details (ORDER_EDITABLE_FIELDS). Detail
+  // edits are applied first, so a refused status change leaves them recorded.
   router.put('/orders/:id', async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
@@ -511,7 +1107,7 @@ module.exports = (io) => {
 
     try {
       if (!req.session.user || !await checkAdminOrServer(req.session.user.id)) {
-        logger.warn('Unauthorized attempt to update order', { sessionUser: req.session.user.id, sessionID, timestamp });
+        logger.warn('Unauthorized attempt to update order', { sessionUser: req.session.user?.id, sessionID, timestamp });
         return res.status(403).json({ error: 'Admin or server access required' });
       }
 
@@ -520,15 +1116,232 @@ module.exports = (io) => {
         logger.warn('Invalid order ID', { id, sessionID, timestamp });
         return res.status(400).json({ error: 'Valid order ID required' });
       }
+      const edits = parseOrderEdits(req.body);
+      if (edits.error) {
+        logger.warn('Invalid order edits', { orderId, reason: edits.error, sessionID, timestamp });
+        return res.status(400).json({ error: edits.error });
+      }
+      const editing = Object.keys(edits.changes).length > 0;
+      if (status === undefined && !editing) {
+        logger.warn('Order update without changes', { orderId, sessionID, timestamp });
+        return res.status(400).json({ error: `A status or one of ${ORDER_EDITABLE_FIELDS.join(', ')} is required` });
+      }
+      if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+        logger.warn('Invalid order status', { orderId, status, sessionID, timestamp });
+        return res.status(400).json({ error: `Status must be one of: ${ORDER_STATUSES.join(', ')}` });
+      }
+
+      let changes = {};
+      if (editing) {
+        const edit = await editOrderDetails(orderId, edits.changes, req.session.user.id);
+        if (edit.error) {
+          logger.warn('Order edit refused', { orderId, reason: edit.error, sessionID, timestamp });
+          return res.status(edit.status).json({ error: edit.error });
+        }
+        changes = edit.changes;
+        if (Object.keys(changes).length > 0) {
+          io.to('staff-notifications').emit('orderUpdated', await fetchOrderPayload(db, orderId));
+          logger.info('Order details edited', { orderId, fields: Object.keys(changes), userId: req.session.user.id, sessionID, timestamp });
+        }
+        if (status === undefined) {
+          return res.json({ message: 'Order updated', changes });
+        }
+      }
 
-      logger.warn('Status updates not supported', { orderId, status, sessionID, timestamp });
-      return res.status(400).json({ error: 'Order status updates are not supported' });
+      const result = await changeOrderStatus(orderId, status, req.session.user.id);
+      if (result.error) {
+        logger.warn('Order status update refused', { orderId, status, reason: result.error, sessionID, timestamp });
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitOrderStatusUpdate(io, result.order, result.previousStatus);
+      await broadcastEtas(db, io);
+      if (result.tableReleased) {
+        io.emit('tableStatusUpdate', { table_id: result.order.table_id, status: 'available' });
+      }
+
+      logger.info('Order status updated', {
+        orderId,
+        from: result.previousStatus,
+        to: status,
+        tableReleased: result.tableReleased,
+        userId: req.session.user.id,
+        sessionID,
+        timestamp,
+      });
+      res.json(editing ? { message: 'Order updated', order: result.order, changes } : { message: 'Order status updated', order: result.order });
     } catch (err) {
       logger.error('Error processing order update', { error: err.message, orderId: id, sessionID, timestamp });
       res.status(500).json({ error: 'Failed to process order update' });
     }
   });
 
+  // Checks staff access and the { order_ids } of a bulk action. Resolves to the distinct ids, or
+  // to null once it has answered the request.
+  const bulkOrderIds = async (req, res, action) => {
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    if (!req.session.user || !await checkAdminOrServer(req.session.user.id)) {
+      logger.warn(`Unauthorized attempt to ${action} orders in bulk`, { sessionUser: req.session.user?.id, sessionID });
+      res.status(403).json({ error: 'Admin or server access required' });
+      return null;
+    }
+    const orderIds = parseBulkOrderIds(req.body.order_ids);
+    if (!orderIds) {
+      logger.warn(`Invalid order IDs to ${action} in bulk`, { order_ids: req.body.order_ids, sessionID });
+      res.status(400).json({ error: `order_ids must be an array of 1 to ${BULK_ORDER_MAX} valid order IDs` });
+      return null;
+    }
+    return orderIds;
+  };
+
+  // Calls action(orderId) for each order in turn. An order that is refused or fails gets a
+  // { orderId, ok: false, status, error } result and does not stop the others. Resolves to
+  // { results, succeeded }, succeeded being the successful outcomes by order id.
+  const runBulkAction = async (orderIds, action, run, describe = () => ({})) => {
+    const results = [];
+    const succeeded = new Map();
+    for (const orderId of orderIds) {
+      try {
+        const result = await run(orderId);
+        if (result.error) {
+          results.push({ orderId, ok: false, status: result.status, error: result.error });
+          continue;
+        }
+        succeeded.set(orderId, result);
+        results.push({ orderId, ok: true, ...describe(result) });
+      } catch (err) {
+        logger.error(`Error trying to ${action} order in bulk`, { error: err.message, orderId });
+        results.push({ orderId, ok: false, status: 500, error: `Failed to ${action} order` });
+      }
+    }
+    return { results, succeeded };
+  };
+
+  const bulkResponse = (action, { results, succeeded }) => ({
+    message: `Bulk ${action} processed`,
+    results,
+    succeeded: succeeded.size,
+    failed: results.length - succeeded.size,
+  });
+
+  // Registered before the /orders/:id/... routes that would otherwise match them
+  router.post('/orders/bulk/approve', async (req, res) => {
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      const orderIds = await bulkOrderIds(req, res, 'approve');
+      if (!orderIds) return;
+
+      const outcome = await runBulkAction(orderIds, 'approve', orderId => approveOrder(orderId, req.session.user.id));
+      await emitOrdersApproved(io, outcome.succeeded, { batch: true });
+
+      logger.info('Orders approved in bulk', {
+        orderIds,
+        approved: [...outcome.succeeded.keys()],
+        refused: outcome.results.filter(result => !result.ok).map(result => ({ orderId: result.orderId, reason: result.error })),
+        userId: req.session.user.id,
+        sessionID,
+        timestamp,
+      });
+      res.json(bulkResponse('approve', outcome));
+    } catch (err) {
+      logger.error('Error approving orders in bulk', { error: err.message, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to approve orders' });
+    }
+  });
+
+  router.post('/orders/bulk/status', async (req, res) => {
+    const { status } = req.body;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      const orderIds = await bulkOrderIds(req, res, 'update');
+      if (!orderIds) return;
+      if (!status || !ORDER_STATUSES.includes(status)) {
+        logger.warn('Invalid bulk order status', { status, sessionID, timestamp });
+        return res.status(400).json({ error: `Status must be one of: ${ORDER_STATUSES.join(', ')}` });
+      }
+
+      const outcome = await runBulkAction(
+        orderIds,
+        'update',
+        orderId => changeOrderStatus(orderId, status, req.session.user.id),
+        result => ({ order: result.order })
+      );
+      const updated = [...outcome.succeeded.values()];
+      emitOrderStatusUpdates(io, updated);
+      if (updated.length > 0) {
+        await broadcastEtas(db, io);
+      }
+      for (const result of updated) {
+        if (result.tableReleased) {
+          io.emit('tableStatusUpdate', { table_id: result.order.table_id, status: 'available' });
+        }
+      }
+
+      logger.info('Order statuses updated in bulk', {
+        orderIds,
+        to: status,
+        updated: [...outcome.succeeded.keys()],
+        refused: outcome.results.filter(result => !result.ok).map(result => ({ orderId: result.orderId, reason: result.error })),
+        userId: req.session.user.id,
+        sessionID,
+        timestamp,
+      });
+      res.json(bulkResponse('update', outcome));
+    } catch (err) {
+      logger.error('Error updating orders in bulk', { error: err.message, status, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to update orders' });
+    }
+  });
+
+  router.post('/orders/bulk/cancel', async (req, res) => {
+    const { reason, note } = req.body;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+
+    try {
+      const orderIds = await bulkOrderIds(req, res, 'cancel');
+      if (!orderIds) return;
+      if (!reason || !CANCELLATION_REASONS.includes(reason)) {
+        logger.warn('Invalid reason to cancel orders in bulk', { reason, sessionID, timestamp });
+        return res.status(400).json({ error: `Reason must be one of: ${CANCELLATION_REASONS.join(', ')}` });
+      }
+      if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 255)) {
+        logger.warn('Invalid note to cancel orders in bulk', { sessionID, timestamp });
+        return res.status(400).json({ error: 'Note must be a string of at most 255 characters' });
+      }
+
+      const outcome = await runBulkAction(
+        orderIds,
+        'cancel',
+        orderId => withdrawOrder(orderId, 'cancelled', { reason, note: note?.trim(), userId: req.session.user.id }),
+        result => ({ order: result.order, tableReleased: result.tableReleased })
+      );
+      const cancelled = [...outcome.succeeded.values()];
+      emitOrdersClosed(io, 'cancelled', cancelled, { batch: true });
+      if (cancelled.length > 0) {
+        await broadcastEtas(db, io);
+      }
+
+      logger.info('Orders cancelled in bulk', {
+        orderIds,
+        reason,
+        cancelled: [...outcome.succeeded.keys()],
+        refused: outcome.results.filter(result => !result.ok).map(result => ({ orderId: result.orderId, reason: result.error })),
+        userId: req.session.user.id,
+        sessionID,
+        timestamp,
+      });
+      res.json(bulkResponse('cancel', outcome));
+    } catch (err) {
+      logger.error('Error cancelling orders in bulk', { error: err.message, reason, sessionID, timestamp });
+      res.status(500).json({ error: 'Failed to cancel orders' });
+    }
+  });
+
   router.post('/orders/:id/approve', async (req, res) => {
     const { id } = req.params;
     const timestamp = new Date().toISOString();
@@ -536,7 +1349,7 @@ module.exports = (io) => {
 
     try {
       if (!req.session.user || !await checkAdminOrServer(req.session.user.id)) {
-        logger.warn('Unauthorized attempt to approve order', { sessionUser: req.session.user.id, sessionID, timestamp });
+        logger.warn('Unauthorized attempt to approve order', { sessionUser: req.session.user?.id, sessionID, timestamp });
         return res.status(403).json({ error: 'Admin or server access required' });
       }
       const orderId = parseInt(id);
@@ -544,51 +1357,23 @@ module.exports = (io) => {
         logger.warn('Invalid order ID for approval', { id, sessionID, timestamp });
         return res.status(400).json({ error: 'Valid order ID required' });
       }
-      const [orderRows] = await db.query('SELECT session_id, approved FROM orders WHERE id = ?', [orderId]);
-      if (orderRows.length === 0) {
-        logger.warn('Order not found for approval', { orderId, sessionID, timestamp });
-        return res.status(404).json({ error: 'Order not found' });
+
+      const result = await approveOrder(orderId, req.session.user.id);
+      if (result.error) {
+        logger.warn('Order approval refused', { orderId, reason: result.error, sessionID, timestamp });
+        return res.status(result.status).json({ error: result.error });
       }
-      if (orderRows[0].approved) {
-        logger.warn('Order already approved', { orderId, sessionID, timestamp });
-        return res.status(400).json({ error: 'Order already approved' });
-      }
-
-      await db.query('UPDATE orders SET approved = 1 WHERE id = ?', [orderId]);
-
-      const [orderDetails] = await db.query(`
-        SELECT o.*, t.table_number,
-               GROUP_CONCAT(oi.item_id) AS item_ids,
-               GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
-               GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
-               GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
-               GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
-               GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
-               GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
-               GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
-               GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
-               GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
-               GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
-               GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        LEFT JOIN menu_items mi ON oi.item_id = mi.id
-        LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
-        LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
-        LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
-        LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
-        LEFT JOIN tables t ON o.table_id = t.id
-        WHERE o.id = ?
-        GROUP BY o.id
-      `, [orderId]);
-
-      orderDetails[0].approved = Number(orderDetails[0].approved);
-
-      const sessionId = orderRows[0].session_id;
-      io.to(sessionId).emit('order-approved', { orderId: orderId.toString(), orderDetails: orderDetails[0] });
-      io.emit('orderApproved', { orderId: orderId.toString(), orderDetails: orderDetails[0] });
-
-      logger.info('Order approved successfully', { orderId, sessionId, sessionID, timestamp });
+
+      await emitOrdersApproved(io, new Map([[orderId, result]]));
+
+      logger.info('Order approved successfully', {
+        orderId,
+        sessionId: result.sessionId,
+        stationTickets: result.ticketIds.length,
+        printJobs: result.printJobIds.length,
+        sessionID,
+        timestamp,
+      });
       res.status(200).json({ message: 'Order approved' });
     } catch (err) {
       logger.error('Error approving order', { error: err.message, orderId: id, sessionID, timestamp });
@@ -596,6 +1381,53 @@ module.exports = (io) => {
     }
   });
 
+  const closeOrderHandler = (outcome) => async (req, res) => {
+    const { id } = req.params;
+    const { reason, note } = req.body;
+    const sessionID = req.headers['x-session-id'] || req.sessionID;
+    const timestamp = new Date().toISOString();
+    const action = outcome === 'rejected' ? 'reject' : 'cancel';
+
+    try {
+      if (!req.session.user || !await checkAdminOrServer(req.session.user.id)) {
+        logger.warn(`Unauthorized attempt to ${action} order`, { sessionUser: req.session.user?.id, sessionID, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn(`Invalid order ID to ${action}`, { id, sessionID, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      if (!reason || !CANCELLATION_REASONS.includes(reason)) {
+        logger.warn(`Invalid reason to ${action} order`, { orderId, reason, sessionID, timestamp });
+        return res.status(400).json({ error: `Reason must be one of: ${CANCELLATION_REASONS.join(', ')}` });
+      }
+      if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 255)) {
+        logger.warn(`Invalid note to ${action} order`, { orderId, sessionID, timestamp });
+        return res.status(400).json({ error: 'Note must be a string of at most 255 characters' });
+      }
+
+      const result = await withdrawOrder(orderId, outcome, { reason, note: note?.trim(), userId: req.session.user.id });
+      if (result.error) {
+        logger.warn(`Order ${action} refused`, { orderId, reason: result.error, sessionID, timestamp });
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitOrdersClosed(io, outcome, [result]);
+      await broadcastEtas(db, io);
+
+      logger.info(`Order ${outcome} successfully`, { orderId, reason, tableReleased: result.tableReleased, userId: req.session.user.id, sessionID, timestamp });
+      res.status(200).json({ message: `Order ${outcome}`, order: result.order, tableReleased: result.tableReleased });
+    } catch (err) {
+      logger.error(`Error trying to ${action} order`, { error: err.message, orderId: id, sessionID, timestamp });
+      res.status(500).json({ error: `Failed to ${action} order` });
+    }
+  };
+
+  router.post('/orders/:id/reject', closeOrderHandler('rejected'));
+
+  router.post('/orders/:id/cancel', closeOrderHandler('cancelled'));
+
   router.get('/session', (req, res) => {
     const sessionID = req.headers['x-session-id'] || req.sessionID;
     res.json({ sessionId: sessionID });
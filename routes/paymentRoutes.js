@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { roundMoney } = require('../utils/money');
+const { PAYMENT_METHODS, ORDER_AMOUNT_DUE_SQL, refreshOrderPaymentStatus, emitPaymentUpdate } = require('../utils/payments');
+const { refreshSubBillPaymentStatus, fetchBill, emitBillUpdate } = require('../utils/bills');
+const { releaseTableIfSettled } = require('../utils/tables');
+const { recordOrderEvent } = require('../utils/orderEvents');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+module.exports = (io) => {
+  // Record a payment against an order
+  router.post('/orders/:id/payments', async (req, res) => {
+    const { id } = req.params;
+    const { method, amount, amount_tendered, tip_amount, reference } = req.body;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to record payment', { sessionUser: req.session.user, orderId: id, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for payment', { id, timestamp });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      if (!PAYMENT_METHODS.includes(method)) {
+        logger.warn('Invalid payment method', { orderId, method, timestamp });
+        return res.status(400).json({ error: `Method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+      }
+      const parsedAmount = amount !== undefined && amount !== null ? parseFloat(amount) : null;
+      if (parsedAmount !== null && (isNaN(parsedAmount) || parsedAmount <= 0)) {
+        logger.warn('Invalid payment amount', { orderId, amount, timestamp });
+        return res.status(400).json({ error: 'Amount must be a positive number' });
+      }
+      const parsedTendered = amount_tendered !== undefined && amount_tendered !== null ? parseFloat(amount_tendered) : null;
+      if (parsedTendered !== null && (method !== 'cash' || isNaN(parsedTendered) || parsedTendered <= 0)) {
+        logger.warn('Invalid amount tendered', { orderId, method, amount_tendered, timestamp });
+        return res.status(400).json({ error: 'Amount tendered must be a positive number and only applies to cash payments' });
+      }
+      const tipAmount = tip_amount !== undefined && tip_amount !== null ? roundMoney(parseFloat(tip_amount)) : 0;
+      if (isNaN(tipAmount) || tipAmount < 0) {
+        logger.warn('Invalid tip amount', { orderId, tip_amount, timestamp });
+        return res.status(400).json({ error: 'Tip amount must be a non-negative number' });
+      }
+      if (reference !== undefined && reference !== null && (typeof reference !== 'string' || reference.length > 100)) {
+        logger.warn('Invalid payment reference', { orderId, timestamp });
+        return res.status(400).json({ error: 'Reference must be a string of at most 100 characters' });
+      }
+
+      const connection = await db.getConnection();
+      let paymentId;
+      let summary;
+      let tableReleased = false;
+      try {
+        await connection.beginTransaction();
+        const [orderRows] = await connection.query(
+          `SELECT o.id, ${ORDER_AMOUNT_DUE_SQL} AS amount_due, o.amount_paid, o.status FROM orders o WHERE o.id = ? FOR UPDATE`,
+          [orderId]
+        );
+        if (orderRows.length === 0) {
+          await connection.rollback();
+          logger.warn('Order not found for payment', { orderId, timestamp });
+          return res.status(404).json({ error: 'Order not found' });
+        }
+        if (['cancelled', 'rejected'].includes(orderRows[0].status)) {
+          await connection.rollback();
+          logger.warn('Payment for closed order', { orderId, status: orderRows[0].status, timestamp });
+          return res.status(400).json({ error: `Cannot record a payment for a ${orderRows[0].status} order` });
+        }
+        const [openBills] = await connection.query(
+          "SELECT b.id FROM bill_orders bo JOIN bills b ON bo.bill_id = b.id WHERE bo.order_id = ? AND b.status = 'open'",
+          [orderId]
+        );
+        if (openBills.length > 0) {
+          await connection.rollback();
+          logger.warn('Payment for order on an open split bill', { orderId, billId: openBills[0].id, timestamp });
+          return res.status(409).json({ error: `Order is on split bill ${openBills[0].id}; pay its sub-bills instead` });
+        }
+
+        const outstanding = roundMoney(parseFloat(orderRows[0].amount_due) - parseFloat(orderRows[0].amount_paid));
+        if (outstanding <= 0) {
+          await connection.rollback();
+          logger.warn('Order already paid', { orderId, timestamp });
+          return res.status(400).json({ error: 'Order is already paid' });
+        }
+
+        // Without an explicit amount the payment settles what is left, or as much of it as the cash handed over covers
+        const appliedAmount = roundMoney(parsedAmount !== null ? parsedAmount : Math.min(parsedTendered !== null ? parsedTendered - tipAmount : outstanding, outstanding));
+        if (appliedAmount <= 0) {
+          await connection.rollback();
+          logger.warn('Amount tendered does not cover the tip', { orderId, parsedTendered, tipAmount, timestamp });
+          return res.status(400).json({ error: 'Amount tendered does not cover the tip' });
+        }
+        if (appliedAmount > outstanding) {
+          await connection.rollback();
+          logger.warn('Payment exceeds outstanding amount', { orderId, appliedAmount, outstanding, timestamp });
+          return res.status(400).json({ error: `Amount exceeds the outstanding ${outstanding.toFixed(2)}` });
+        }
+        if (parsedTendered !== null && parsedTendered < roundMoney(appliedAmount + tipAmount)) {
+          await connection.rollback();
+          logger.warn('Amount tendered below payment amount', { orderId, appliedAmount, parsedTendered, timestamp });
+          return res.status(400).json({ error: 'Amount tendered is less than the payment amount and tip' });
+        }
+        const changeGiven = parsedTendered !== null ? roundMoney(parsedTendered - appliedAmount - tipAmount) : 0;
+
+        const [result] = await connection.query(
+          'INSERT INTO payments (order_id, method, amount, tip_amount, amount_tendered, change_given, reference, recorded_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          [orderId, method, appliedAmount, tipAmount, parsedTendered, changeGiven, reference || null, req.session.user.id]
+        );
+        paymentId = result.insertId;
+        await recordOrderEvent(connection, orderId, 'payment_recorded', {
+          userId: req.session.user.id,
+          details: { payment_id: paymentId, method, amount: appliedAmount, tip_amount: tipAmount },
+        });
+        summary = await refreshOrderPaymentStatus(connection, orderId);
+        tableReleased = await releaseTableIfSettled(connection, summary.table_id);
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      const [payment] = await db.query('SELECT * FROM payments WHERE id = ?', [paymentId]);
+      emitPaymentUpdate(io, summary);
+      if (tableReleased) {
+        io.emit('tableStatusUpdate', { table_id: summary.table_id, status: 'available' });
+      }
+
+      logger.info('Payment recorded', { paymentId, orderId, method, amount: payment[0].amount, paymentStatus: summary.payment_status, tableReleased, userId: req.session.user.id, timestamp });
+      res.status(201).json({ message: 'Payment recorded', payment: payment[0], order: summary });
+    } catch (error) {
+      logger.error('Error recording payment', { error: error.message, orderId: id, timestamp });
+      res.status(500).json({ error: 'Failed to record payment' });
+    }
+  });
+
+  // Fetch an order's payments
+  router.get('/orders/:id/payments', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch payments', { sessionUser: req.session.user, orderId: id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const orderId = parseInt(id);
+      if (isNaN(orderId) || orderId <= 0) {
+        logger.warn('Invalid order ID for payments', { id });
+        return res.status(400).json({ error: 'Valid order ID required' });
+      }
+      const [orderRows] = await db.query(
+        `SELECT o.total_price, ${ORDER_AMOUNT_DUE_SQL} AS amount_due, o.amount_paid, o.payment_status FROM orders o WHERE o.id = ?`,
+        [orderId]
+      );
+      if (orderRows.length === 0) {
+        logger.warn('Order not found for payments', { orderId });
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      const [payments] = await db.query('SELECT * FROM payments WHERE order_id = ? ORDER BY created_at ASC', [orderId]);
+      const amountDue = parseFloat(orderRows[0].amount_due);
+      const amountPaid = parseFloat(orderRows[0].amount_paid);
+      res.json({
+        data: payments,
+        summary: {
+          total_price: parseFloat(orderRows[0].total_price),
+          amount_due: amountDue,
+          amount_paid: amountPaid,
+          outstanding: roundMoney(Math.max(amountDue - amountPaid, 0)),
+          payment_status: orderRows[0].payment_status,
+        },
+      });
+    } catch (error) {
+      logger.error('Error fetching payments', { error: error.message, orderId: id });
+      res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+  });
+
+  // Void a payment
+  router.post('/payments/:id/void', async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const timestamp = new Date().toISOString();
+
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+        logger.warn('Unauthorized attempt to void payment', { sessionUser: req.session.user, paymentId: id, timestamp });
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      const paymentId = parseInt(id);
+      if (isNaN(paymentId) || paymentId <= 0) {
+        logger.warn('Invalid payment ID', { id, timestamp });
+        return res.status(400).json({ error: 'Valid payment ID required' });
+      }
+      if (!reason || typeof reason !== 'string' || !reason.trim() || reason.length > 255) {
+        logger.warn('Invalid void reason', { paymentId, timestamp });
+        return res.status(400).json({ error: 'A reason of at most 255 characters is required' });
+      }
+
+      const connection = await db.getConnection();
+      let summary;
+      let billId = null;
+      try {
+        await connection.beginTransaction();
+        const [paymentRows] = await connection.query('SELECT id, order_id, sub_bill_id, status FROM payments WHERE id = ? FOR UPDATE', [paymentId]);
+        if (paymentRows.length === 0) {
+          await connection.rollback();
+          logger.warn('Payment not found', { paymentId, timestamp });
+          return res.status(404).json({ error: 'Payment not found' });
+        }
+        if (paymentRows[0].status === 'voided') {
+          await connection.rollback();
+          logger.warn('Payment already voided', { paymentId, timestamp });
+          return res.status(400).json({ error: 'Payment already voided' });
+        }
+        await connection.query(
+          'UPDATE payments SET status = ?, voided_by = ?, voided_at = NOW(), void_reason = ? WHERE id = ?',
+          ['voided', req.session.user.id, reason.trim(), paymentId]
+        );
+        await recordOrderEvent(connection, paymentRows[0].order_id, 'payment_voided', {
+          userId: req.session.user.id,
+          details: { payment_id: paymentId, reason: reason.trim() },
+        });
+        summary = await refreshOrderPaymentStatus(connection, paymentRows[0].order_id);
+        if (paymentRows[0].sub_bill_id) {
+          billId = await refreshSubBillPaymentStatus(connection, paymentRows[0].sub_bill_id);
+        }
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      emitPaymentUpdate(io, summary);
+      if (billId) {
+        emitBillUpdate(io, await fetchBill(db, billId));
+      }
+
+      logger.info('Payment voided', { paymentId, orderId: summary.orderId, paymentStatus: summary.payment_status, userId: req.session.user.id, timestamp });
+      res.json({ message: 'Payment voided', order: summary });
+    } catch (error) {
+      logger.error('Error voiding payment', { error: error.message, paymentId: id, timestamp });
+      res.status(500).json({ error: 'Failed to void payment' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { testPage } = require('../utils/escpos');
+const {
+  PRINTER_ROLES,
+  PRINT_JOB_STATUSES,
+  enqueuePrintJob,
+  queueKitchenTickets,
+  queueReceipt,
+} = require('../utils/printing');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+const HOST_PATTERN = /^[a-zA-Z0-9.-]{1,255}$/;
+const PRINT_TYPES = ['kitchen', 'receipt'];
+
+// Checks a printer body and returns the row to store, or { error } when it is invalid
+const parsePrinter = async ({ name, host, port, role, station_id, is_active }) => {
+  if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    return { error: 'Name is required (at most 100 characters)' };
+  }
+  if (typeof host !== 'string' || !HOST_PATTERN.test(host.trim())) {
+    return { error: 'Host must be a hostname or IP address' };
+  }
+  const printerPort = port === undefined || port === null || port === '' ? 9100 : parseInt(port);
+  if (isNaN(printerPort) || printerPort < 1 || printerPort > 65535) {
+    return { error: 'Port must be between 1 and 65535' };
+  }
+  if (!PRINTER_ROLES.includes(role)) {
+    return { error: `Role must be one of: ${PRINTER_ROLES.join(', ')}` };
+  }
+  let stationId = null;
+  if (station_id !== undefined && station_id !== null && station_id !== '') {
+    stationId = parseInt(station_id);
+    if (role !== 'kitchen' || isNaN(stationId) || stationId <= 0) {
+      return { error: 'station_id must be a valid station ID and only applies to kitchen printers' };
+    }
+    const [station] = await db.query('SELECT id FROM stations WHERE id = ?', [stationId]);
+    if (station.length === 0) return { error: 'Station not found' };
+  }
+  return {
+    name: name.trim(),
+    host: host.trim(),
+    port: printerPort,
+    role,
+    station_id: stationId,
+    is_active: is_active === undefined ? true : is_active === true || is_active === 'true',
+  };
+};
+
+// Fetch all printers with their pending and failed job counts
+router.get('/printers', async (req, res) => {
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to fetch printers', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const [rows] = await db.query(`
+      SELECT p.id, p.name, p.host, p.port, p.role, p.station_id, s.name AS station_name, p.is_active, p.created_at,
+             (SELECT COUNT(*) FROM print_jobs pj WHERE pj.printer_id = p.id AND pj.status IN ('queued', 'printing')) AS pending_jobs,
+             (SELECT COUNT(*) FROM print_jobs pj WHERE pj.printer_id = p.id AND pj.status = 'failed') AS failed_jobs
+      FROM printers p
+      LEFT JOIN stations s ON p.station_id = s.id
+      ORDER BY p.role, p.name
+    `);
+    res.json(rows.map(row => ({ ...row, is_active: Number(row.is_active) })));
+  } catch (error) {
+    logger.error('Error fetching printers', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch printers' });
+  }
+});
+
+// Create printer
+router.post('/printers', async (req, res) => {
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to add printer', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const printer = await parsePrinter(req.body);
+    if (printer.error) {
+      logger.warn('Invalid printer', { body: req.body, error: printer.error });
+      return res.status(400).json({ error: printer.error });
+    }
+    const [existing] = await db.query('SELECT id FROM printers WHERE name = ?', [printer.name]);
+    if (existing.length > 0) {
+      logger.warn('Printer name already exists', { name: printer.name });
+      return res.status(400).json({ error: 'Printer name already exists' });
+    }
+    const [result] = await db.query(
+      'INSERT INTO printers (name, host, port, role, station_id, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+      [printer.name, printer.host, printer.port, printer.role, printer.station_id, printer.is_active]
+    );
+    logger.info('Printer created', { id: result.insertId, ...printer });
+    res.status(201).json({ message: 'Printer created', id: result.insertId });
+  } catch (error) {
+    logger.error('Error creating printer', { error: error.message });
+    res.status(500).json({ error: 'Failed to create printer' });
+  }
+});
+
+// Update printer
+router.put('/printers/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to update printer', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const printerId = parseInt(id);
+    if (isNaN(printerId) || printerId <= 0) {
+      logger.warn('Invalid printer ID', { id });
+      return res.status(400).json({ error: 'Valid printer ID is required' });
+    }
+    const printer = await parsePrinter(req.body);
+    if (printer.error) {
+      logger.warn('Invalid printer', { id: printerId, body: req.body, error: printer.error });
+      return res.status(400).json({ error: printer.error });
+    }
+    const [existing] = await db.query('SELECT id FROM printers WHERE name = ? AND id != ?', [printer.name, printerId]);
+    if (existing.length > 0) {
+      logger.warn('Printer name already exists', { name: printer.name });
+      return res.status(400).json({ error: 'Printer name already exists' });
+    }
+    const [result] = await db.query(
+      'UPDATE printers SET name = ?, host = ?, port = ?, role = ?, station_id = ?, is_active = ? WHERE id = ?',
+      [printer.name, printer.host, printer.port, printer.role, printer.station_id, printer.is_active, printerId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Printer not found', { id: printerId });
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+    logger.info('Printer updated', { id: printerId, ...printer });
+    res.json({ message: 'Printer updated' });
+  } catch (error) {
+    logger.error('Error updating printer', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update printer' });
+  }
+});
+
+// Delete printer along with its job history
+router.delete('/printers/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to delete printer', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const printerId = parseInt(id);
+    if (isNaN(printerId) || printerId <= 0) {
+      logger.warn('Invalid printer ID', { id });
+      return res.status(400).json({ error: 'Valid printer ID is required' });
+    }
+    const [result] = await db.query('DELETE FROM printers WHERE id = ?', [printerId]);
+    if (result.affectedRows === 0) {
+      logger.warn('Printer not found', { id: printerId });
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+    logger.info('Printer deleted', { id: printerId });
+    res.json({ message: 'Printer deleted' });
+  } catch (error) {
+    logger.error('Error deleting printer', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to delete printer' });
+  }
+});
+
+// Queue a test page on a printer
+router.post('/printers/:id/test', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin'])) {
+      logger.warn('Unauthorized attempt to test printer', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const printerId = parseInt(id);
+    if (isNaN(printerId) || printerId <= 0) {
+      logger.warn('Invalid printer ID', { id });
+      return res.status(400).json({ error: 'Valid printer ID is required' });
+    }
+    const [printers] = await db.query('SELECT id, name, host, port FROM printers WHERE id = ?', [printerId]);
+    if (printers.length === 0) {
+      logger.warn('Printer not found', { id: printerId });
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+    const jobId = await enqueuePrintJob(db, {
+      printerId,
+      jobType: 'test',
+      payload: testPage(printers[0]),
+      userId: req.session.user.id,
+    });
+    logger.info('Test page queued', { printerId, jobId });
+    res.status(202).json({ message: 'Test page queued', job_id: jobId });
+  } catch (error) {
+    logger.error('Error queueing test page', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to queue test page' });
+  }
+});
+
+// Fetch print jobs, most recent first
+router.get('/print-jobs', async (req, res) => {
+  const { status, order_id, printer_id } = req.query;
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+      logger.warn('Unauthorized attempt to fetch print jobs', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const conditions = [];
+    const params = [];
+    if (status) {
+      if (!PRINT_JOB_STATUSES.includes(status)) {
+        logger.warn('Invalid print job status filter', { status });
+        return res.status(400).json({ error: `Status must be one of: ${PRINT_JOB_STATUSES.join(', ')}` });
+      }
+      conditions.push('pj.status = ?');
+      params.push(status);
+    }
+    if (order_id) {
+      conditions.push('pj.order_id = ?');
+      params.push(parseInt(order_id));
+    }
+    if (printer_id) {
+      conditions.push('pj.printer_id = ?');
+      params.push(parseInt(printer_id));
+    }
+    const [rows] = await db.query(`
+      SELECT pj.id, pj.printer_id, p.name AS printer_name, pj.order_id, pj.job_type, pj.status, pj.attempts,
+             pj.last_error, pj.next_attempt_at, pj.printed_at, pj.reprint_of, pj.created_by, pj.created_at
+      FROM print_jobs pj
+      JOIN printers p ON pj.printer_id = p.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY pj.id DESC
+      LIMIT 100
+    `, params);
+    res.json({ data: rows });
+  } catch (error) {
+    logger.error('Error fetching print jobs', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch print jobs' });
+  }
+});
+
+// Send a job's exact bytes again as a new job, e.g. after a paper jam or once a failed printer is back
+router.post('/print-jobs/:id/reprint', async (req, res) => {
+  const { id } = req.params;
+  const { printer_id } = req.body;
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+      logger.warn('Unauthorized attempt to reprint job', { sessionUser: req.session.user, jobId: id });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const jobId = parseInt(id);
+    if (isNaN(jobId) || jobId <= 0) {
+      logger.warn('Invalid print job ID', { id });
+      return res.status(400).json({ error: 'Valid print job ID required' });
+    }
+    const [jobs] = await db.query('SELECT printer_id, order_id, job_type, payload FROM print_jobs WHERE id = ?', [jobId]);
+    if (jobs.length === 0) {
+      logger.warn('Print job not found', { jobId });
+      return res.status(404).json({ error: 'Print job not found' });
+    }
+    let printerId = jobs[0].printer_id;
+    if (printer_id !== undefined && printer_id !== null) {
+      printerId = parseInt(printer_id);
+      const [printer] = isNaN(printerId)
+        ? [[]]
+        : await db.query('SELECT id FROM printers WHERE id = ? AND is_active = TRUE', [printerId]);
+      if (printer.length === 0) {
+        logger.warn('Reprint printer not found or inactive', { jobId, printer_id });
+        return res.status(400).json({ error: 'Printer not found or inactive' });
+      }
+    }
+    const newJobId = await enqueuePrintJob(db, {
+      printerId,
+      orderId: jobs[0].order_id,
+      jobType: jobs[0].job_type,
+      payload: jobs[0].payload,
+      reprintOf: jobId,
+      userId: req.session.user.id,
+    });
+    logger.info('Print job reprint queued', { jobId, newJobId, printerId, userId: req.session.user.id });
+    res.status(202).json({ message: 'Reprint queued', job_id: newJobId });
+  } catch (error) {
+    logger.error('Error reprinting job', { error: error.message, jobId: id });
+    res.status(500).json({ error: 'Failed to reprint job' });
+  }
+});
+
+// Print an order's kitchen tickets again, or its customer receipt
+router.post('/orders/:id/print', async (req, res) => {
+  const { id } = req.params;
+  const { type, printer_id } = req.body;
+  try {
+    if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+      logger.warn('Unauthorized attempt to print order', { sessionUser: req.session.user, orderId: id });
+      return res.status(403).json({ error: 'Admin or server access required' });
+    }
+    const orderId = parseInt(id);
+    if (isNaN(orderId) || orderId <= 0) {
+      logger.warn('Invalid order ID for printing', { id });
+      return res.status(400).json({ error: 'Valid order ID required' });
+    }
+    if (!PRINT_TYPES.includes(type)) {
+      logger.warn('Invalid print type', { orderId, type });
+      return res.status(400).json({ error: `Type must be one of: ${PRINT_TYPES.join(', ')}` });
+    }
+    const [orders] = await db.query('SELECT id, approved FROM orders WHERE id = ?', [orderId]);
+    if (orders.length === 0) {
+      logger.warn('Order not found for printing', { orderId });
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let jobIds;
+    if (type === 'kitchen') {
+      if (!orders[0].approved) {
+        logger.warn('Kitchen tickets requested for unapproved order', { orderId });
+        return res.status(400).json({ error: 'Kitchen tickets print once the order is approved' });
+      }
+      jobIds = await queueKitchenTickets(db, orderId, { reprint: true, userId: req.session.user.id });
+      if (jobIds.length === 0) {
+        logger.warn('No kitchen printer for order', { orderId });
+        return res.status(400).json({ error: 'No active kitchen printer configured' });
+      }
+    } else {
+      const result = await queueReceipt(db, orderId, {
+        printerId: printer_id ? parseInt(printer_id) : null,
+        userId: req.session.user.id,
+      });
+      if (result.error) {
+        logger.warn('Receipt could not be queued', { orderId, printer_id, error: result.error });
+        return res.status(result.status).json({ error: result.error });
+      }
+      jobIds = [result.jobId];
+    }
+    logger.info('Order print queued', { orderId, type, jobIds, userId: req.session.user.id });
+    res.status(202).json({ message: 'Print queued', job_ids: jobIds });
+  } catch (error) {
+    logger.error('Error printing order', { error: error.message, orderId: id });
+    res.status(500).json({ error: 'Failed to print order' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const db = require('../config/db');
 const logger = require('../logger');
 const { body, query, validationResult } = require('express-validator');
+const { closeOpenTab, releaseTable } = require('../utils/tables');
 
 const checkRole = async (userId, allowedRoles = ['admin']) => {
   if (!userId) return false;
@@ -90,6 +91,9 @@ module.exports = (io) => {
         logger.warn('Table not found', { id: tableId });
         return res.status(404).json({ error: 'Table not found' });
       }
+      if (status === 'available') {
+        await closeOpenTab(db, tableId, req.session.user.id);
+      }
       if (status) {
         io.emit('tableStatusUpdate', { table_id: tableId, status });
       }
@@ -127,6 +131,49 @@ module.exports = (io) => {
     }
   });
 
+  // Free an occupied table by hand, e.g. when guests leave before everything is settled
+  router.post('/tables/:id/release', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to release table', { sessionUser: req.session.user, id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID', { id });
+        return res.status(400).json({ error: 'Valid table ID is required' });
+      }
+      const [rows] = await db.query('SELECT status FROM tables WHERE id = ?', [tableId]);
+      if (rows.length === 0) {
+        logger.warn('Table not found', { id: tableId });
+        return res.status(404).json({ error: 'Table not found' });
+      }
+      const connection = await db.getConnection();
+      let tableReleased;
+      try {
+        await connection.beginTransaction();
+        tableReleased = await releaseTable(connection, tableId, req.session.user.id);
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+      if (!tableReleased) {
+        logger.warn('Table not occupied', { id: tableId, status: rows[0].status });
+        return res.status(400).json({ error: 'Table is not occupied' });
+      }
+      io.emit('tableStatusUpdate', { table_id: tableId, status: 'available' });
+      logger.info('Table released', { id: tableId, userId: req.session.user.id });
+      res.json({ message: 'Table released' });
+    } catch (error) {
+      logger.error('Error releasing table', { error: error.message, id });
+      res.status(500).json({ error: 'Failed to release table' });
+    }
+  });
+
   router.get('/tables/:id', async (req, res) => {
     const { id } = req.params;
     try {
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { fetchTab, closeTab, emitTabUpdate } = require('../utils/tabs');
+
+const checkRole = async (userId, allowedRoles = ['admin']) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && allowedRoles.includes(rows[0].role);
+};
+
+module.exports = (io) => {
+  // Fetch tabs, the open ones by default, with their running totals
+  router.get('/tabs', async (req, res) => {
+    const { status = 'open' } = req.query;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch tabs', { sessionUser: req.session.user });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      if (!['open', 'closed'].includes(status)) {
+        logger.warn('Invalid tab status filter', { status });
+        return res.status(400).json({ error: 'Status must be open or closed' });
+      }
+      const [rows] = await db.query(
+        `SELECT id FROM tabs WHERE status = ? ORDER BY ${status === 'open' ? 'opened_at ASC' : 'closed_at DESC'} LIMIT 100`,
+        [status]
+      );
+      const tabs = [];
+      for (const row of rows) {
+        tabs.push(await fetchTab(db, row.id));
+      }
+      res.json({ data: tabs });
+    } catch (error) {
+      logger.error('Error fetching tabs', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch tabs' });
+    }
+  });
+
+  // Fetch a table's open tab
+  router.get('/tables/:id/tab', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch table tab', { sessionUser: req.session.user, tableId: id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tableId = parseInt(id);
+      if (isNaN(tableId) || tableId <= 0) {
+        logger.warn('Invalid table ID for tab', { id });
+        return res.status(400).json({ error: 'Valid table ID required' });
+      }
+      const [rows] = await db.query("SELECT id FROM tabs WHERE table_id = ? AND status = 'open' ORDER BY id LIMIT 1", [tableId]);
+      if (rows.length === 0) {
+        logger.warn('No open tab for table', { tableId });
+        return res.status(404).json({ error: 'Table has no open tab' });
+      }
+      res.json(await fetchTab(db, rows[0].id));
+    } catch (error) {
+      logger.error('Error fetching table tab', { error: error.message, tableId: id });
+      res.status(500).json({ error: 'Failed to fetch tab' });
+    }
+  });
+
+  // Fetch a tab
+  router.get('/tabs/:id', async (req, res) => {
+    const { id } = req.params;
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to fetch tab', { sessionUser: req.session.user, tabId: id });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tabId = parseInt(id);
+      if (isNaN(tabId) || tabId <= 0) {
+        logger.warn('Invalid tab ID', { id });
+        return res.status(400).json({ error: 'Valid tab ID required' });
+      }
+      const tab = await fetchTab(db, tabId);
+      if (!tab) {
+        logger.warn('Tab not found', { tabId });
+        return res.status(404).json({ error: 'Tab not found' });
+      }
+      res.json(tab);
+    } catch (error) {
+      logger.error('Error fetching tab', { error: error.message, tabId: id });
+      res.status(500).json({ error: 'Failed to fetch tab' });
+    }
+  });
+
+  // Close a served and paid tab, freeing its table
+  router.post('/tabs/:id/close', async (req, res) => {
+    const { id } = req.params;
+    const timestamp = new Date().toISOString();
+    try {
+      if (!req.session.user || !await checkRole(req.session.user.id, ['admin', 'server'])) {
+        logger.warn('Unauthorized attempt to close tab', { sessionUser: req.session.user, tabId: id, timestamp });
+        return res.status(403).json({ error: 'Admin or server access required' });
+      }
+      const tabId = parseInt(id);
+      if (isNaN(tabId) || tabId <= 0) {
+        logger.warn('Invalid tab ID', { id, timestamp });
+        return res.status(400).json({ error: 'Valid tab ID required' });
+      }
+
+      const connection = await db.getConnection();
+      let result;
+      try {
+        await connection.beginTransaction();
+        result = await closeTab(connection, tabId, req.session.user.id);
+        if (result.error) {
+          await connection.rollback();
+        } else {
+          await connection.commit();
+        }
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      if (result.error) {
+        logger.warn('Tab close refused', { tabId, reason: result.error, timestamp });
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      emitTabUpdate(io, result.tab);
+      if (result.tableReleased) {
+        io.emit('tableStatusUpdate', { table_id: result.tab.table_id, status: 'available' });
+      }
+
+      logger.info('Tab closed', { tabId, tableId: result.tab.table_id, total: result.tab.total, tableReleased: result.tableReleased, userId: req.session.user.id, timestamp });
+      res.json({ message: 'Tab closed', tab: result.tab, tableReleased: result.tableReleased });
+    } catch (error) {
+      logger.error('Error closing tab', { error: error.message, tabId: id, timestamp });
+      res.status(500).json({ error: 'Failed to close tab' });
+    }
+  });
+
+  return router;
+};
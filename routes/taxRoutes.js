@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const logger = require('../logger');
+const { TAX_PRICING_MODE } = require('../utils/taxes');
+
+const checkAdmin = async (userId) => {
+  if (!userId) return false;
+  const [rows] = await db.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].role === 'admin';
+};
+
+const isRate = (rate) => !isNaN(parseFloat(rate)) && parseFloat(rate) >= 0 && parseFloat(rate) <= 100;
+
+// Fetch all tax rates with what they are assigned to
+router.get('/tax-rates', async (req, res) => {
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to fetch tax rates', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const [rows] = await db.query(`
+      SELECT tr.id, tr.name, tr.rate, tr.is_default, tr.created_at,
+             (SELECT COUNT(*) FROM categories c WHERE c.tax_rate_id = tr.id) AS category_count,
+             (SELECT COUNT(*) FROM breakfasts b WHERE b.tax_rate_id = tr.id) AS breakfast_count,
+             (SELECT COUNT(*) FROM supplements s WHERE s.tax_rate_id = tr.id) AS supplement_count
+      FROM tax_rates tr
+      ORDER BY tr.rate, tr.name
+    `);
+    res.json({
+      pricing_mode: TAX_PRICING_MODE,
+      data: rows.map(row => ({ ...row, rate: parseFloat(row.rate), is_default: Number(row.is_default) })),
+    });
+  } catch (error) {
+    logger.error('Error fetching tax rates', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch tax rates' });
+  }
+});
+
+// Create tax rate
+router.post('/tax-rates', async (req, res) => {
+  const { name, rate, is_default } = req.body;
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to add tax rate', { sessionUser: req.session.user });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      logger.warn('Missing tax rate name');
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!isRate(rate)) {
+      logger.warn('Invalid tax rate', { rate });
+      return res.status(400).json({ error: 'Rate must be a percentage between 0 and 100' });
+    }
+    const [existing] = await db.query('SELECT id FROM tax_rates WHERE name = ?', [name.trim()]);
+    if (existing.length > 0) {
+      logger.warn('Tax rate name already exists', { name });
+      return res.status(400).json({ error: 'Tax rate name already exists' });
+    }
+    const isDefault = is_default === true || is_default === 'true';
+    if (isDefault) {
+      await db.query('UPDATE tax_rates SET is_default = FALSE');
+    }
+    const [result] = await db.query(
+      'INSERT INTO tax_rates (name, rate, is_default) VALUES (?, ?, ?)',
+      [name.trim(), parseFloat(rate), isDefault]
+    );
+    logger.info('Tax rate created', { id: result.insertId, name, rate, isDefault });
+    res.status(201).json({ message: 'Tax rate created', id: result.insertId });
+  } catch (error) {
+    logger.error('Error creating tax rate', { error: error.message, name });
+    res.status(500).json({ error: 'Failed to create tax rate' });
+  }
+});
+
+// Update tax rate. Orders keep the rates they were priced with.
+router.put('/tax-rates/:id', async (req, res) => {
+  const { name, rate, is_default } = req.body;
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to update tax rate', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const taxRateId = parseInt(id);
+    if (isNaN(taxRateId) || taxRateId <= 0) {
+      logger.warn('Invalid tax rate ID', { id });
+      return res.status(400).json({ error: 'Valid tax rate ID is required' });
+    }
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      logger.warn('Missing tax rate name', { id: taxRateId });
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!isRate(rate)) {
+      logger.warn('Invalid tax rate', { id: taxRateId, rate });
+      return res.status(400).json({ error: 'Rate must be a percentage between 0 and 100' });
+    }
+    const [existing] = await db.query('SELECT id FROM tax_rates WHERE name = ? AND id != ?', [name.trim(), taxRateId]);
+    if (existing.length > 0) {
+      logger.warn('Tax rate name already exists', { name });
+      return res.status(400).json({ error: 'Tax rate name already exists' });
+    }
+    const isDefault = is_default === true || is_default === 'true';
+    if (isDefault) {
+      await db.query('UPDATE tax_rates SET is_default = FALSE WHERE id != ?', [taxRateId]);
+    }
+    const [result] = await db.query(
+      'UPDATE tax_rates SET name = ?, rate = ?, is_default = ? WHERE id = ?',
+      [name.trim(), parseFloat(rate), isDefault, taxRateId]
+    );
+    if (result.affectedRows === 0) {
+      logger.warn('Tax rate not found', { id: taxRateId });
+      return res.status(404).json({ error: 'Tax rate not found' });
+    }
+    logger.info('Tax rate updated', { id: taxRateId, name, rate, isDefault });
+    res.json({ message: 'Tax rate updated' });
+  } catch (error) {
+    logger.error('Error updating tax rate', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update tax rate' });
+  }
+});
+
+// Delete tax rate. Anything assigned to it falls back to the default rate.
+router.delete('/tax-rates/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to delete tax rate', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const taxRateId = parseInt(id);
+    if (isNaN(taxRateId) || taxRateId <= 0) {
+      logger.warn('Invalid tax rate ID', { id });
+      return res.status(400).json({ error: 'Valid tax rate ID is required' });
+    }
+    const [result] = await db.query('DELETE FROM tax_rates WHERE id = ?', [taxRateId]);
+    if (result.affectedRows === 0) {
+      logger.warn('Tax rate not found', { id: taxRateId });
+      return res.status(404).json({ error: 'Tax rate not found' });
+    }
+    logger.info('Tax rate deleted', { id: taxRateId });
+    res.json({ message: 'Tax rate deleted' });
+  } catch (error) {
+    logger.error('Error deleting tax rate', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to delete tax rate' });
+  }
+});
+
+// Assign categories, breakfasts and supplements to a tax rate
+router.put('/tax-rates/:id/assignments', async (req, res) => {
+  const { category_ids = [], breakfast_ids = [], supplement_ids = [] } = req.body;
+  const { id } = req.params;
+  try {
+    if (!req.session.user || !await checkAdmin(req.session.user.id)) {
+      logger.warn('Unauthorized attempt to update tax rate assignments', { sessionUser: req.session.user, id });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    const taxRateId = parseInt(id);
+    if (isNaN(taxRateId) || taxRateId <= 0) {
+      logger.warn('Invalid tax rate ID', { id });
+      return res.status(400).json({ error: 'Valid tax rate ID is required' });
+    }
+    if (!Array.isArray(category_ids) || !Array.isArray(breakfast_ids) || !Array.isArray(supplement_ids)
+      || [...category_ids, ...breakfast_ids, ...supplement_ids].some(value => isNaN(parseInt(value)) || parseInt(value) <= 0)) {
+      logger.warn('Invalid tax rate assignments', { id: taxRateId, category_ids, breakfast_ids, supplement_ids });
+      return res.status(400).json({ error: 'category_ids, breakfast_ids and supplement_ids must be arrays of valid IDs' });
+    }
+    const [taxRate] = await db.query('SELECT id FROM tax_rates WHERE id = ?', [taxRateId]);
+    if (taxRate.length === 0) {
+      logger.warn('Tax rate not found', { id: taxRateId });
+      return res.status(404).json({ error: 'Tax rate not found' });
+    }
+
+    // The lists replace the rate's assignments: anything no longer listed falls back to the next rate in line
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query('UPDATE categories SET tax_rate_id = NULL WHERE tax_rate_id = ?', [taxRateId]);
+      await connection.query('UPDATE breakfasts SET tax_rate_id = NULL WHERE tax_rate_id = ?', [taxRateId]);
+      await connection.query('UPDATE supplements SET tax_rate_id = NULL WHERE tax_rate_id = ?', [taxRateId]);
+      if (category_ids.length > 0) {
+        await connection.query('UPDATE categories SET tax_rate_id = ? WHERE id IN (?)', [taxRateId, category_ids.map(Number)]);
+      }
+      if (breakfast_ids.length > 0) {
+        await connection.query('UPDATE breakfasts SET tax_rate_id = ? WHERE id IN (?)', [taxRateId, breakfast_ids.map(Number)]);
+      }
+      if (supplement_ids.length > 0) {
+        await connection.query('UPDATE supplements SET tax_rate_id = ? WHERE id IN (?)', [taxRateId, supplement_ids.map(Number)]);
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    logger.info('Tax rate assignments updated', { id: taxRateId, category_ids, breakfast_ids, supplement_ids });
+    res.json({ message: 'Tax rate assignments updated' });
+  } catch (error) {
+    logger.error('Error updating tax rate assignments', { error: error.message, id });
+    res.status(500).json({ error: 'Failed to update tax rate assignments' });
+  }
+});
+
+module.exports = router;
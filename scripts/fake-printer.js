@@ -0,0 +1,63 @@
+// Stand-in for a network thermal printer: listens on a TCP port like a real printer's raw
+// port 9100 and prints each job it receives as plain text, with the ESC/POS commands shown
+// in brackets. Point a printer at this host and port to try printing without hardware.
+//
+//   node scripts/fake-printer.js [port]
+//
+// FAKE_PRINTER_OFFLINE_SECONDS=n only starts listening after n seconds, so jobs sent before
+// then are refused like on a printer that is switched off, to watch the queue retry.
+// FAKE_PRINTER_OUTPUT_DIR=dir also saves each job's raw bytes there as job-<n>.bin.
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const port = parseInt(process.argv[2] || process.env.FAKE_PRINTER_PORT) || 9100;
+const offlineSeconds = parseInt(process.env.FAKE_PRINTER_OFFLINE_SECONDS) || 0;
+const outputDir = process.env.FAKE_PRINTER_OUTPUT_DIR;
+
+// Command byte -> [name, number of argument bytes] for what utils/escpos.js sends
+const ESC_COMMANDS = { 0x40: ['init', 0], 0x45: ['bold', 1], 0x61: ['align', 1], 0x64: ['feed', 1] };
+const GS_COMMANDS = { 0x21: ['size', 1], 0x56: ['cut', 2] };
+
+const decode = (data) => {
+  let output = '';
+  let index = 0;
+  while (index < data.length) {
+    const byte = data[index];
+    const commands = byte === 0x1b ? ESC_COMMANDS : byte === 0x1d ? GS_COMMANDS : null;
+    if (!commands) {
+      output += String.fromCharCode(byte);
+      index += 1;
+      continue;
+    }
+    const [name, argCount] = commands[data[index + 1]] || [`0x${byte.toString(16)} 0x${(data[index + 1] || 0).toString(16)}`, 0];
+    const args = [...data.subarray(index + 2, index + 2 + argCount)];
+    output += `[${name}${args.length > 0 ? ` ${args.join(' ')}` : ''}]`;
+    if (name === 'cut' || name === 'feed') output += '\n';
+    index += 2 + argCount;
+  }
+  return output;
+};
+
+let jobCount = 0;
+const server = net.createServer((socket) => {
+  const chunks = [];
+  socket.on('data', chunk => chunks.push(chunk));
+  socket.on('end', () => {
+    jobCount += 1;
+    const data = Buffer.concat(chunks);
+    console.log(`===== job ${jobCount}: ${data.length} bytes from ${socket.remoteAddress} =====`);
+    console.log(decode(data));
+    if (outputDir) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(path.join(outputDir, `job-${jobCount}.bin`), data);
+    }
+    socket.end();
+  });
+  socket.on('error', err => console.error(`Connection error: ${err.message}`));
+});
+
+if (offlineSeconds > 0) console.log(`Fake printer offline for ${offlineSeconds}s`);
+setTimeout(() => {
+  server.listen(port, () => console.log(`Fake printer listening on port ${port}`));
+}, offlineSeconds * 1000);
@@ -7,6 +7,11 @@ const path = require('path');
 const logger = require('./logger');
 const db = require('./config/db');
 const validate = require('./middleware/validate');
+const { stationRoom } = require('./utils/kds');
+const { driverRoom } = require('./utils/deliveries');
+const { startPrintQueue } = require('./utils/printing');
+const { startScheduledOrderRelease } = require('./utils/scheduling');
+const { startIdleTableRelease } = require('./utils/tables');
 
 const app = express();
 const server = http.createServer(app);
@@ -30,7 +35,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-session-id'],
-  exposedHeaders: ['Set-Cookie'],
+  exposedHeaders: ['Set-Cookie', 'Idempotent-Replayed'],
 };
 
 app.use(cors(corsOptions));
@@ -90,6 +95,14 @@ const analyticsRoutes = require('./routes/analyticsRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const bannerRoutes = require('./routes/bannerRoutes');
 const breakfastRoutes = require('./routes/breakfastRoutes');
+const kdsRoutes = require('./routes/kdsRoutes')(io);
+const paymentRoutes = require('./routes/paymentRoutes')(io);
+const billRoutes = require('./routes/billRoutes')(io);
+const taxRoutes = require('./routes/taxRoutes');
+const printerRoutes = require('./routes/printerRoutes');
+const deliveryZoneRoutes = require('./routes/deliveryZoneRoutes');
+const deliveryRoutes = require('./routes/deliveryRoutes')(io);
+const tabRoutes = require('./routes/tabRoutes')(io);
 
 app.use('/api', authRoutes);
 app.use('/api', menuRoutes);
@@ -100,6 +113,14 @@ app.use('/api', analyticsRoutes);
 app.use('/api', notificationRoutes);
 app.use('/api', bannerRoutes);
 app.use('/api', breakfastRoutes);
+app.use('/api', kdsRoutes);
+app.use('/api', paymentRoutes);
+app.use('/api', billRoutes);
+app.use('/api', taxRoutes);
+app.use('/api', printerRoutes);
+app.use('/api', deliveryZoneRoutes);
+app.use('/api', deliveryRoutes);
+app.use('/api', tabRoutes);
 
 // Validation middleware
 app.use('/api', (req, res, next) => {
@@ -175,6 +196,17 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
+const getSessionUser = async (sessionId) => {
+  const [sessionData] = await db.query('SELECT data FROM sessions WHERE session_id = ?', [sessionId]);
+  if (sessionData.length === 0) return null;
+  return JSON.parse(sessionData[0].data).user || null;
+};
+
+const getStaffRole = async (sessionId) => {
+  const user = await getSessionUser(sessionId);
+  return user && ['admin', 'server'].includes(user.role) ? user.role : null;
+};
+
 io.on('connection', (socket) => {
   logger.info('New socket connection', { id: socket.id });
 
@@ -183,19 +215,38 @@ io.on('connection', (socket) => {
     logger.info('Socket joined session room', { socketId: socket.id, sessionId });
 
     try {
-      const [sessionData] = await db.query('SELECT data FROM sessions WHERE session_id = ?', [sessionId]);
-      if (sessionData.length > 0) {
-        const session = JSON.parse(sessionData[0].data);
-        if (session.user && ['admin', 'server'].includes(session.user.role)) {
-          socket.join('staff-notifications');
-          logger.info('Socket joined staff-notifications room', { socketId: socket.id, sessionId, role: session.user.role });
-        }
+      const user = await getSessionUser(sessionId);
+      if (user && ['admin', 'server'].includes(user.role)) {
+        socket.join('staff-notifications');
+        logger.info('Socket joined staff-notifications room', { socketId: socket.id, sessionId, role: user.role });
+      } else if (user && user.role === 'driver') {
+        socket.join(driverRoom(user.id));
+        logger.info('Socket joined driver room', { socketId: socket.id, sessionId, driverId: user.id });
       }
     } catch (error) {
       logger.error('Error checking session for staff role', { error: error.message, sessionId });
     }
   });
 
+  socket.on('join-station', async ({ sessionId, stationId } = {}) => {
+    try {
+      const role = await getStaffRole(sessionId);
+      if (!role) {
+        logger.warn('Unauthorized attempt to join station room', { socketId: socket.id, sessionId, stationId });
+        return;
+      }
+      socket.join(stationRoom(stationId));
+      logger.info('Socket joined station room', { socketId: socket.id, sessionId, stationId, role });
+    } catch (error) {
+      logger.error('Error checking session for station room', { error: error.message, sessionId, stationId });
+    }
+  });
+
+  socket.on('leave-station', (stationId) => {
+    socket.leave(stationRoom(stationId));
+    logger.info('Socket left station room', { socketId: socket.id, stationId });
+  });
+
   socket.on('disconnect', () => {
     logger.info('Socket disconnected', { socketId: socket.id });
   });
@@ -206,6 +257,9 @@ server.listen(PORT, '0.0.0.0', async () => {
   try {
     await db.getConnection();
     logger.info(`Server running on port ${PORT}`);
+    await startPrintQueue(db, io).catch(err => logger.error('Failed to start print queue', { error: err.message }));
+    startScheduledOrderRelease(db, io);
+    startIdleTableRelease(db, io);
   } catch (error) {
     logger.error('Failed to connect to database', { error: error.message });
     process.exit(1);
@@ -0,0 +1,202 @@
+const { roundMoney } = require('./money');
+const { ORDER_AMOUNT_DUE_SQL, paymentStatusFor } = require('./payments');
+
+// A bill groups a table's unpaid orders and splits what they still owe into sub-bills:
+// evenly between a number of guests, by assigning each order line to one guest, or by
+// custom amounts. Payments against a sub-bill are allocated to the underlying orders, so
+// order payment_status stays accurate whichever way the table paid.
+const BILL_SPLIT_MODES = ['even', 'lines', 'custom'];
+const BILL_MAX_SPLITS = parseInt(process.env.BILL_MAX_SPLITS) || 20;
+
+// Orders a new bill can cover: the orders on the table's open tab that are neither closed,
+// fully paid, nor already on another open bill, so an earlier seating's leftovers never land
+// on the current guests' bill. Locks them for the caller's transaction.
+const fetchBillableOrders = async (conn, tableId) => {
+  const [orders] = await conn.query(
+    `SELECT o.id, ${ORDER_AMOUNT_DUE_SQL} AS amount_due, o.amount_paid
+     FROM orders o
+     JOIN tabs tb ON o.tab_id = tb.id AND tb.status = 'open'
+     WHERE o.table_id = ? AND o.status NOT IN ('cancelled', 'rejected') AND o.payment_status != 'paid'
+       AND NOT EXISTS (
+         SELECT 1 FROM bill_orders bo JOIN bills b ON bo.bill_id = b.id
+         WHERE bo.order_id = o.id AND b.status = 'open'
+       )
+     ORDER BY o.id
+     FOR UPDATE`,
+    [tableId]
+  );
+  return orders.map(order => ({
+    id: order.id,
+    outstanding: roundMoney(parseFloat(order.amount_due) - parseFloat(order.amount_paid)),
+  }));
+};
+
+// Splits a total into `ways` amounts that differ by at most one cent and add up exactly.
+const splitEvenly = (total, ways) => {
+  const cents = Math.round(total * 100);
+  const base = Math.floor(cents / ways);
+  return Array.from({ length: ways }, (_, index) => (base + (index < cents % ways ? 1 : 0)) / 100);
+};
+
+// Spreads a total over shares in proportion to their weights; the last share takes the rounding
+// remainder, so the shares add up exactly.
+const spreadByWeight = (weights, total) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    const amount = index === weights.length - 1
+      ? roundMoney(total - allocated)
+      : roundMoney(weightTotal > 0 ? weight * total / weightTotal : 0);
+    allocated = roundMoney(allocated + amount);
+    return amount;
+  });
+};
+
+const lineGross = (line) => parseFloat(line.unit_price) * line.quantity;
+
+const fetchOrderLines = async (conn, orderIds) => {
+  const [lines] = await conn.query(
+    'SELECT id, order_id, quantity, unit_price FROM order_items WHERE order_id IN (?) ORDER BY order_id, id',
+    [orderIds]
+  );
+  return lines;
+};
+
+// Prices each order line at its share of what the order still owes, so promotion discounts,
+// service charges, tips and earlier payments are spread over the lines. Shares of one order add up exactly.
+const priceBillLines = async (conn, orders) => {
+  const lines = await fetchOrderLines(conn, orders.map(order => order.id));
+  const priced = [];
+  for (const order of orders) {
+    const orderLines = lines.filter(line => line.order_id === order.id);
+    spreadByWeight(orderLines.map(lineGross), order.outstanding).forEach((amount, index) => {
+      priced.push({ order_item_id: orderLines[index].id, order_id: order.id, amount });
+    });
+  }
+  return priced;
+};
+
+// Shares a loaded bill's net and tax out over its sub-bills, as priceBillLines shares out amounts:
+// for a line split each order's net and tax are spread over its lines by price and each sub-bill
+// gets its lines' part; otherwise the bill's net and tax are spread by sub-bill amount. Resolves
+// to a Map of sub-bill id to { net, tax }, or null when an order has no tax breakdown.
+const allocateBillTax = async (conn, bill) => {
+  const [orders] = await conn.query('SELECT id, net_total, tax_total FROM orders WHERE id IN (?) ORDER BY id', [bill.order_ids]);
+  if (orders.some(order => order.net_total === null || order.tax_total === null)) return null;
+
+  const shares = new Map(bill.sub_bills.map(subBill => [subBill.id, { net: 0, tax: 0 }]));
+  if (bill.split_mode === 'lines') {
+    const subBillByLine = new Map(bill.sub_bills.flatMap(subBill => subBill.lines.map(line => [line.order_item_id, subBill.id])));
+    const lines = await fetchOrderLines(conn, bill.order_ids);
+    for (const order of orders) {
+      const orderLines = lines.filter(line => line.order_id === order.id);
+      const weights = orderLines.map(lineGross);
+      const nets = spreadByWeight(weights, parseFloat(order.net_total));
+      const taxes = spreadByWeight(weights, parseFloat(order.tax_total));
+      orderLines.forEach((line, index) => {
+        const share = shares.get(subBillByLine.get(line.id));
+        if (!share) return;
+        share.net = roundMoney(share.net + nets[index]);
+        share.tax = roundMoney(share.tax + taxes[index]);
+      });
+    }
+    return shares;
+  }
+
+  const weights = bill.sub_bills.map(subBill => subBill.amount);
+  const nets = spreadByWeight(weights, roundMoney(orders.reduce((sum, order) => sum + parseFloat(order.net_total), 0)));
+  const taxes = spreadByWeight(weights, roundMoney(orders.reduce((sum, order) => sum + parseFloat(order.tax_total), 0)));
+  bill.sub_bills.forEach((subBill, index) => shares.set(subBill.id, { net: nets[index], tax: taxes[index] }));
+  return shares;
+};
+
+// Recomputes a sub-bill's amount_paid and payment_status from its completed payments, then
+// settles (or reopens, after a void) its bill. Call it inside the payment's transaction.
+const refreshSubBillPaymentStatus = async (conn, subBillId) => {
+  const [totals] = await conn.query(
+    `SELECT sb.bill_id, sb.amount, COALESCE(SUM(p.amount), 0) AS amount_paid
+     FROM sub_bills sb
+     LEFT JOIN payments p ON p.sub_bill_id = sb.id AND p.status = 'completed'
+     WHERE sb.id = ?
+     GROUP BY sb.id`,
+    [subBillId]
+  );
+  const amountPaid = roundMoney(parseFloat(totals[0].amount_paid));
+  const paymentStatus = paymentStatusFor(amountPaid, parseFloat(totals[0].amount));
+  await conn.query('UPDATE sub_bills SET amount_paid = ?, payment_status = ? WHERE id = ?', [amountPaid, paymentStatus, subBillId]);
+
+  const [unpaid] = await conn.query(
+    "SELECT COUNT(*) AS count FROM sub_bills WHERE bill_id = ? AND payment_status != 'paid'",
+    [totals[0].bill_id]
+  );
+  if (unpaid[0].count === 0) {
+    await conn.query("UPDATE bills SET status = 'settled', settled_at = NOW() WHERE id = ? AND status = 'open'", [totals[0].bill_id]);
+  } else {
+    await conn.query("UPDATE bills SET status = 'open', settled_at = NULL WHERE id = ? AND status = 'settled'", [totals[0].bill_id]);
+  }
+  return totals[0].bill_id;
+};
+
+// Loads a bill with its orders and sub-bills (and, for line splits, each sub-bill's lines).
+const fetchBill = async (conn, billId) => {
+  const [bills] = await conn.query(
+    `SELECT b.*, t.table_number FROM bills b JOIN tables t ON b.table_id = t.id WHERE b.id = ?`,
+    [billId]
+  );
+  if (bills.length === 0) return null;
+  const [orders] = await conn.query('SELECT order_id FROM bill_orders WHERE bill_id = ? ORDER BY order_id', [billId]);
+  const [subBills] = await conn.query('SELECT * FROM sub_bills WHERE bill_id = ? ORDER BY id', [billId]);
+  const [lines] = await conn.query(
+    `SELECT sbl.sub_bill_id, sbl.order_item_id, sbl.amount, oi.order_id, oi.quantity,
+            COALESCE(mi.name, b.name) AS name
+     FROM sub_bill_lines sbl
+     JOIN sub_bills sb ON sbl.sub_bill_id = sb.id
+     JOIN order_items oi ON sbl.order_item_id = oi.id
+     LEFT JOIN menu_items mi ON oi.item_id = mi.id
+     LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+     WHERE sb.bill_id = ?
+     ORDER BY sbl.order_item_id`,
+    [billId]
+  );
+
+  return {
+    ...bills[0],
+    total: parseFloat(bills[0].total),
+    order_ids: orders.map(order => order.order_id),
+    sub_bills: subBills.map(subBill => {
+      const amount = parseFloat(subBill.amount);
+      const amountPaid = parseFloat(subBill.amount_paid);
+      return {
+        ...subBill,
+        amount,
+        amount_paid: amountPaid,
+        outstanding: roundMoney(Math.max(amount - amountPaid, 0)),
+        lines: lines
+          .filter(line => line.sub_bill_id === subBill.id)
+          .map(line => ({
+            order_item_id: line.order_item_id,
+            order_id: line.order_id,
+            name: line.name,
+            quantity: line.quantity,
+            amount: parseFloat(line.amount),
+          })),
+      };
+    }),
+  };
+};
+
+const emitBillUpdate = (io, bill) => {
+  io.to('staff-notifications').emit('billUpdate', bill);
+};
+
+module.exports = {
+  BILL_SPLIT_MODES,
+  BILL_MAX_SPLITS,
+  fetchBillableOrders,
+  splitEvenly,
+  priceBillLines,
+  allocateBillTax,
+  refreshSubBillPaymentStatus,
+  fetchBill,
+  emitBillUpdate,
+};
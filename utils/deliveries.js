@@ -0,0 +1,202 @@
+const { transitionOrderStatus } = require('./orderStatus');
+const { recordOrderEvent } = require('./orderEvents');
+
+// A delivery hands a ready delivery order to a driver and follows it to the door:
+// assigned -> picked_up -> delivered. Delivering also completes the order. Until pickup
+// an order can be handed to another driver; after it, only its driver can move it on.
+const DELIVERY_STATUS_TRANSITIONS = {
+  assigned: ['picked_up'],
+  picked_up: ['delivered'],
+  delivered: [],
+};
+
+const DELIVERY_STATUSES = Object.keys(DELIVERY_STATUS_TRANSITIONS);
+
+// Deliveries a driver is still working on
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up'];
+
+const DELIVERY_TIMESTAMP_COLUMNS = {
+  picked_up: 'picked_up_at',
+  delivered: 'delivered_at',
+};
+
+const driverRoom = (driverId) => `driver-${driverId}`;
+
+const DELIVERY_SELECT = `
+  SELECT d.id, d.order_id, d.driver_id, u.email AS driver_email, d.status, d.assigned_by, d.assigned_at,
+         d.picked_up_at, d.delivered_at, o.session_id, o.delivery_address, o.delivery_postcode,
+         o.delivery_lat, o.delivery_lng, o.customer_name, o.customer_phone
+  FROM deliveries d
+  JOIN orders o ON d.order_id = o.id
+  LEFT JOIN users u ON d.driver_id = u.id`;
+
+const fetchDelivery = async (conn, deliveryId) => {
+  const [rows] = await conn.query(`${DELIVERY_SELECT} WHERE d.id = ?`, [deliveryId]);
+  return rows[0] || null;
+};
+
+const fetchDeliveries = async (conn, { driverId, statuses = ACTIVE_DELIVERY_STATUSES } = {}) => {
+  let query = `${DELIVERY_SELECT} WHERE d.status IN (?)`;
+  const params = [statuses];
+  if (driverId) {
+    query += ' AND d.driver_id = ?';
+    params.push(driverId);
+  }
+  const [rows] = await conn.query(`${query} ORDER BY d.assigned_at, d.id`, params);
+  return rows;
+};
+
+const isDriver = async (conn, userId) => {
+  const [rows] = await conn.query('SELECT role FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].role === 'driver';
+};
+
+// Hands a ready delivery order to a driver, or moves it to another driver before pickup.
+// Resolves to { delivery, previousDriverId } or { status, error }. Expects to run inside a transaction.
+const assignDriver = async (conn, orderId, driverId, userId) => {
+  const [orders] = await conn.query('SELECT id, order_type, status FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (orders.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const order = orders[0];
+  if (order.order_type !== 'delivery') {
+    return { status: 400, error: 'Only delivery orders can be assigned to a driver' };
+  }
+  if (order.status !== 'ready') {
+    return { status: 400, error: `Only ready orders can be assigned to a driver, this order is ${order.status}` };
+  }
+  if (!await isDriver(conn, driverId)) {
+    return { status: 400, error: 'driver_id must be a driver' };
+  }
+
+  const [existing] = await conn.query('SELECT id, driver_id, status FROM deliveries WHERE order_id = ?', [orderId]);
+  let deliveryId;
+  let previousDriverId = null;
+  if (existing.length > 0) {
+    if (existing[0].status !== 'assigned') {
+      return { status: 409, error: 'Order was already picked up by its driver' };
+    }
+    deliveryId = existing[0].id;
+    previousDriverId = existing[0].driver_id;
+    await conn.query(
+      'UPDATE deliveries SET driver_id = ?, assigned_by = ?, assigned_at = NOW() WHERE id = ?',
+      [driverId, userId, deliveryId]
+    );
+  } else {
+    const [result] = await conn.query(
+      'INSERT INTO deliveries (order_id, driver_id, status, assigned_by) VALUES (?, ?, ?, ?)',
+      [orderId, driverId, 'assigned', userId]
+    );
+    deliveryId = result.insertId;
+  }
+  await recordOrderEvent(conn, orderId, 'driver_assigned', {
+    userId,
+    details: { delivery_id: deliveryId, driver_id: driverId, previous_driver_id: previousDriverId },
+  });
+  return { delivery: await fetchDelivery(conn, deliveryId), previousDriverId };
+};
+
+// Moves a driver's delivery one step on. Delivering completes the order too, so the result
+// then carries the updated order. Resolves to { delivery, previousStatus, order? } or
+// { status, error }. Expects to run inside a transaction.
+const advanceDelivery = async (conn, deliveryId, nextStatus, driverId) => {
+  const [rows] = await conn.query('SELECT id, order_id, driver_id, status FROM deliveries WHERE id = ? FOR UPDATE', [deliveryId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Delivery not found' };
+  }
+  const current = rows[0];
+  if (current.driver_id !== driverId) {
+    return { status: 403, error: 'This delivery is assigned to another driver' };
+  }
+  if (!(DELIVERY_STATUS_TRANSITIONS[current.status] || []).includes(nextStatus)) {
+    return { status: 400, error: `Cannot change delivery status from ${current.status} to ${nextStatus}` };
+  }
+
+  let order;
+  if (nextStatus === 'delivered') {
+    const result = await transitionOrderStatus(conn, current.order_id, 'delivered', driverId);
+    if (result.error) return result;
+    order = result.order;
+  }
+  await conn.query(
+    `UPDATE deliveries SET status = ?, ${DELIVERY_TIMESTAMP_COLUMNS[nextStatus]} = NOW() WHERE id = ?`,
+    [nextStatus, deliveryId]
+  );
+  // Delivering is recorded as the order's status change
+  if (nextStatus === 'picked_up') {
+    await recordOrderEvent(conn, current.order_id, 'picked_up', { userId: driverId, details: { delivery_id: deliveryId } });
+  }
+  return { delivery: await fetchDelivery(conn, deliveryId), previousStatus: current.status, order };
+};
+
+// Drops a delivery that has not been completed, for when its order is cancelled
+const withdrawDelivery = async (conn, orderId) => {
+  const [rows] = await conn.query(`${DELIVERY_SELECT} WHERE d.order_id = ? AND d.status IN (?)`, [orderId, ACTIVE_DELIVERY_STATUSES]);
+  if (rows.length === 0) return null;
+  await conn.query('DELETE FROM deliveries WHERE id = ?', [rows[0].id]);
+  return rows[0];
+};
+
+// Stores a driver's location ping and resolves to the deliveries they are carrying, whose
+// customers get to follow it.
+const recordDriverLocation = async (conn, driverId, { lat, lng }) => {
+  const [result] = await conn.query(
+    'INSERT INTO driver_locations (driver_id, lat, lng) VALUES (?, ?, ?)',
+    [driverId, lat, lng]
+  );
+  const [rows] = await conn.query('SELECT recorded_at FROM driver_locations WHERE id = ?', [result.insertId]);
+  const carrying = await fetchDeliveries(conn, { driverId, statuses: ['picked_up'] });
+  return { recordedAt: rows[0].recorded_at, carrying };
+};
+
+// The driver's latest location since they picked the delivery up, or null before pickup
+const latestDriverLocation = async (conn, delivery) => {
+  if (delivery.status !== 'picked_up') return null;
+  const [rows] = await conn.query(
+    `SELECT lat, lng, recorded_at FROM driver_locations
+     WHERE driver_id = ? AND recorded_at >= ?
+     ORDER BY recorded_at DESC, id DESC LIMIT 1`,
+    [delivery.driver_id, delivery.picked_up_at]
+  );
+  if (rows.length === 0) return null;
+  return { lat: parseFloat(rows[0].lat), lng: parseFloat(rows[0].lng), recorded_at: rows[0].recorded_at };
+};
+
+// What the customer sees of a delivery: no driver or address details
+const customerDeliveryPayload = (delivery) => ({
+  orderId: delivery.order_id.toString(),
+  delivery_id: delivery.id,
+  status: delivery.status,
+  assigned_at: delivery.assigned_at,
+  picked_up_at: delivery.picked_up_at,
+  delivered_at: delivery.delivered_at,
+});
+
+// Tells the customer's session room, staff and the driver that a delivery changed. A driver
+// the delivery was taken from hears about it with status 'unassigned'.
+const emitDeliveryUpdate = (io, delivery, { previousDriverId } = {}) => {
+  if (delivery.session_id) {
+    io.to(delivery.session_id).emit('deliveryUpdate', customerDeliveryPayload(delivery));
+  }
+  const payload = { ...delivery, session_id: undefined };
+  io.to('staff-notifications').emit('deliveryUpdate', payload);
+  io.to(driverRoom(delivery.driver_id)).emit('deliveryUpdate', payload);
+  if (previousDriverId && previousDriverId !== delivery.driver_id) {
+    io.to(driverRoom(previousDriverId)).emit('deliveryUpdate', { ...payload, status: 'unassigned' });
+  }
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+  ACTIVE_DELIVERY_STATUSES,
+  driverRoom,
+  fetchDelivery,
+  fetchDeliveries,
+  assignDriver,
+  advanceDelivery,
+  withdrawDelivery,
+  recordDriverLocation,
+  latestDriverLocation,
+  customerDeliveryPayload,
+  emitDeliveryUpdate,
+};
@@ -0,0 +1,133 @@
+const { roundMoney } = require('./money');
+
+// Delivery zones cover an area either as a list of postcodes (a trailing * matches a prefix,
+// e.g. "SW1*") or as a polygon of [lat, lng] points, and set the delivery fee, minimum order
+// value and estimated delivery time there. With no active zone at all, delivery is
+// unrestricted and free, as it was before zones existed.
+const normalizePostcode = (postcode) => String(postcode).toUpperCase().replace(/\s+/g, '');
+
+const postcodeMatches = (patterns, postcode) => patterns.some((pattern) => {
+  const normalized = normalizePostcode(pattern);
+  return normalized.endsWith('*') ? postcode.startsWith(normalized.slice(0, -1)) : postcode === normalized;
+});
+
+// Ray casting: counts how many polygon edges a ray from the point crosses
+const pointInPolygon = ({ lat, lng }, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((lngI > lng) !== (lngJ > lng) && lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const isLocation = (location) => location !== null && typeof location === 'object'
+  && !isNaN(parseFloat(location.lat)) && Math.abs(parseFloat(location.lat)) <= 90
+  && !isNaN(parseFloat(location.lng)) && Math.abs(parseFloat(location.lng)) <= 180;
+
+// mysql2 hands JSON columns back parsed, but older drivers return strings
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const formatZone = (row) => ({
+  ...row,
+  postcodes: parseJsonColumn(row.postcodes),
+  polygon: parseJsonColumn(row.polygon),
+  delivery_fee: parseFloat(row.delivery_fee),
+  min_order_value: parseFloat(row.min_order_value),
+  is_active: Number(row.is_active),
+});
+
+// Checks an admin's zone body and returns the row to store, or { error } when it is invalid
+const parseDeliveryZone = ({ name, postcodes, polygon, delivery_fee, min_order_value, estimated_minutes, is_active }) => {
+  if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    return { error: 'Name is required (at most 100 characters)' };
+  }
+  const hasPostcodes = postcodes !== undefined && postcodes !== null;
+  const hasPolygon = polygon !== undefined && polygon !== null;
+  if (!hasPostcodes && !hasPolygon) {
+    return { error: 'A zone needs a postcodes list or a polygon' };
+  }
+  if (hasPostcodes && (!Array.isArray(postcodes) || postcodes.length === 0
+    || postcodes.some(postcode => typeof postcode !== 'string' || !/^[A-Za-z0-9 ]{1,20}\*?$/.test(postcode.trim())))) {
+    return { error: 'postcodes must be a non-empty array of postcodes, optionally ending in * to match a prefix' };
+  }
+  if (hasPolygon && (!Array.isArray(polygon) || polygon.length < 3
+    || polygon.some(point => !Array.isArray(point) || point.length !== 2 || !isLocation({ lat: point[0], lng: point[1] })))) {
+    return { error: 'polygon must be an array of at least 3 [lat, lng] points' };
+  }
+  const fee = parseFloat(delivery_fee);
+  if (isNaN(fee) || fee < 0) {
+    return { error: 'delivery_fee must be a non-negative number' };
+  }
+  const minimum = min_order_value === undefined || min_order_value === null ? 0 : parseFloat(min_order_value);
+  if (isNaN(minimum) || minimum < 0) {
+    return { error: 'min_order_value must be a non-negative number' };
+  }
+  const minutes = parseInt(estimated_minutes);
+  if (isNaN(minutes) || minutes <= 0) {
+    return { error: 'estimated_minutes must be a positive integer' };
+  }
+  return {
+    name: name.trim(),
+    postcodes: hasPostcodes ? JSON.stringify(postcodes.map(postcode => normalizePostcode(postcode.trim()))) : null,
+    polygon: hasPolygon ? JSON.stringify(polygon.map(([lat, lng]) => [parseFloat(lat), parseFloat(lng)])) : null,
+    delivery_fee: roundMoney(fee),
+    min_order_value: roundMoney(minimum),
+    estimated_minutes: minutes,
+    is_active: is_active === undefined ? true : is_active === true || is_active === 'true',
+  };
+};
+
+// Finds the active zone covering a postcode or { lat, lng } location, the cheapest when
+// zones overlap. Resolves to { configured: false } when there are no active zones.
+const findDeliveryZone = async (conn, { postcode, location }) => {
+  const [rows] = await conn.query('SELECT * FROM delivery_zones WHERE is_active = TRUE ORDER BY delivery_fee, id');
+  if (rows.length === 0) return { configured: false, zone: null };
+  const normalized = postcode ? normalizePostcode(postcode) : null;
+  const point = isLocation(location) ? { lat: parseFloat(location.lat), lng: parseFloat(location.lng) } : null;
+  const zone = rows.map(formatZone).find(candidate => (
+    (normalized && candidate.postcodes && postcodeMatches(candidate.postcodes, normalized))
+    || (point && candidate.polygon && pointInPolygon(point, candidate.polygon))
+  ));
+  return { configured: true, zone: zone || null };
+};
+
+// Prices delivery for an order whose goods come to goodsTotal. Resolves to { delivery }, where
+// delivery is null when zones are not in use, or to { status, error } when the order cannot
+// be delivered there.
+const resolveDelivery = async (conn, { postcode, location }, goodsTotal) => {
+  if (location !== undefined && location !== null && !isLocation(location)) {
+    return { status: 400, error: 'delivery_location must be { lat, lng }' };
+  }
+  const { configured, zone } = await findDeliveryZone(conn, { postcode, location });
+  if (!configured) return { delivery: null };
+  if (!postcode && !location) {
+    return { status: 400, error: 'delivery_postcode or delivery_location is required for delivery orders' };
+  }
+  if (!zone) {
+    return { status: 400, error: 'Delivery address is outside our delivery zones' };
+  }
+  if (goodsTotal < zone.min_order_value) {
+    return { status: 400, error: `Minimum order value for delivery to ${zone.name} is ${zone.min_order_value.toFixed(2)}` };
+  }
+  return {
+    delivery: {
+      zone_id: zone.id,
+      zone_name: zone.name,
+      fee: zone.delivery_fee,
+      estimated_minutes: zone.estimated_minutes,
+    },
+  };
+};
+
+module.exports = {
+  normalizePostcode,
+  isLocation,
+  formatZone,
+  parseDeliveryZone,
+  findDeliveryZone,
+  resolveDelivery,
+};
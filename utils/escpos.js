@@ -0,0 +1,100 @@
+// Minimal ESC/POS encoder for 80mm thermal printers (42 columns in font A at normal size).
+// Only the commands every ESC/POS printer understands are used: initialise, bold, alignment,
+// character size, feed and partial cut. Text is sent as plain ASCII.
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ESCPOS_LINE_WIDTH = 42;
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// Printers default to code page 437, so accents are stripped and anything else non-ASCII is replaced.
+const toAscii = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e\n]/g, '?');
+
+// Chainable builder: escpos().align('center').bold().line('Hello').cut().build() returns a Buffer.
+const escpos = () => {
+  const chunks = [Buffer.from([ESC, 0x40])];
+  const builder = {
+    text: (text) => {
+      chunks.push(Buffer.from(toAscii(text), 'ascii'));
+      return builder;
+    },
+    line: (text = '') => builder.text(text).feed(),
+    bold: (on = true) => {
+      chunks.push(Buffer.from([ESC, 0x45, on ? 1 : 0]));
+      return builder;
+    },
+    align: (alignment) => {
+      chunks.push(Buffer.from([ESC, 0x61, ALIGNMENTS[alignment] || 0]));
+      return builder;
+    },
+    // Character width and height multipliers, 1 to 8
+    size: (width = 1, height = width) => {
+      chunks.push(Buffer.from([GS, 0x21, ((width - 1) << 4) | (height - 1)]));
+      return builder;
+    },
+    feed: (lines = 1) => {
+      chunks.push(lines === 1 ? Buffer.from([LF]) : Buffer.from([ESC, 0x64, lines]));
+      return builder;
+    },
+    rule: (char = '-') => builder.line(char.repeat(ESCPOS_LINE_WIDTH)),
+    cut: () => {
+      chunks.push(Buffer.from([ESC, 0x64, 4, GS, 0x56, 0x42, 0]));
+      return builder;
+    },
+    build: () => Buffer.concat(chunks),
+  };
+  return builder;
+};
+
+const ticketDestination = (order) => ({
+  local: `TABLE ${order.table_number || 'N/A'}`,
+  delivery: 'DELIVERY',
+  takeaway: `PICKUP #${order.pickup_number}`,
+}[order.order_type]);
+
+// A kitchen ticket: destination and quantities in double size so they read from a distance.
+// `ticket` is { order_id, order_type, table_number, pickup_number, order_note, station_name, created_at,
+// lines: [{ quantity, name, details }] }. The order note goes at the top, where the cook reads first.
+const kitchenTicket = (ticket, { reprint = false } = {}) => {
+  const doc = escpos().align('center');
+  if (reprint) doc.bold().line('*** REPRINT ***').bold(false);
+  if (ticket.station_name) doc.line(ticket.station_name.toUpperCase());
+  doc.size(2).bold().line(ticketDestination(ticket)).size(1).line(`Order #${ticket.order_id}`).bold(false);
+  doc.line(new Date(ticket.created_at).toLocaleString()).align('left').rule();
+  if (ticket.order_note) doc.bold().line(`NOTE: ${ticket.order_note}`).bold(false).rule();
+  for (const line of ticket.lines) {
+    doc.size(2, 1).bold().line(`${line.quantity} x ${line.name}`).size(1).bold(false);
+    for (const detail of line.details) doc.line(`    ${detail}`);
+  }
+  return doc.rule().cut().build();
+};
+
+// A customer receipt from its text rendering (see utils/receipts.js), with the store name in bold.
+const receiptTicket = (receiptText) => {
+  const [firstLine, ...rest] = receiptText.replace(/\n$/, '').split('\n');
+  return escpos()
+    .bold().line(firstLine).bold(false)
+    .line(rest.join('\n'))
+    .cut()
+    .build();
+};
+
+const testPage = (printer) => escpos()
+  .align('center').size(2).bold().line('TEST PRINT').size(1).bold(false)
+  .line(printer.name)
+  .line(`${printer.host}:${printer.port}`)
+  .line(new Date().toLocaleString())
+  .cut()
+  .build();
+
+module.exports = {
+  ESCPOS_LINE_WIDTH,
+  escpos,
+  kitchenTicket,
+  receiptTicket,
+  testPage,
+};
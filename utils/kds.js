@@ -0,0 +1,138 @@
+// Kitchen display: an approved order is split into one ticket per station. Menu items follow
+// their category's station; breakfasts use their own station, then their category's. Lines
+// with no station go to the default station, or are left off the KDS when there is none.
+const ROUTING_QUERY = `
+  SELECT oi.id AS order_item_id,
+         COALESCE(
+           CASE WHEN oi.item_id IS NOT NULL THEN mc.station_id ELSE COALESCE(b.station_id, bc.station_id) END,
+           (SELECT id FROM stations WHERE is_default = TRUE ORDER BY id LIMIT 1)
+         ) AS station_id
+  FROM order_items oi
+  LEFT JOIN menu_items mi ON oi.item_id = mi.id
+  LEFT JOIN categories mc ON mi.category_id = mc.id
+  LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+  LEFT JOIN categories bc ON b.category_id = bc.id
+  WHERE oi.order_id = ?
+  ORDER BY oi.id
+`;
+
+// Creates the station tickets for an order and returns their ids. Does nothing when the
+// order already has tickets, so re-running it after a failed emit is harmless.
+const createStationTickets = async (conn, orderId) => {
+  const [existing] = await conn.query('SELECT id FROM kds_tickets WHERE order_id = ? LIMIT 1', [orderId]);
+  if (existing.length > 0) return [];
+
+  const [routedLines] = await conn.query(ROUTING_QUERY, [orderId]);
+  const linesByStation = new Map();
+  for (const line of routedLines) {
+    if (!line.station_id) continue;
+    if (!linesByStation.has(line.station_id)) linesByStation.set(line.station_id, []);
+    linesByStation.get(line.station_id).push(line.order_item_id);
+  }
+
+  const ticketIds = [];
+  for (const [stationId, orderItemIds] of linesByStation) {
+    const [ticketResult] = await conn.query(
+      'INSERT INTO kds_tickets (order_id, station_id) VALUES (?, ?)',
+      [orderId, stationId]
+    );
+    await conn.query(
+      'INSERT INTO kds_ticket_lines (ticket_id, order_item_id) VALUES ?',
+      [orderItemIds.map(orderItemId => [ticketResult.insertId, orderItemId])]
+    );
+    ticketIds.push(ticketResult.insertId);
+  }
+  return ticketIds;
+};
+
+// Loads tickets with their lines. Filter by ticketIds, or by stationId and optional status.
+const fetchStationTickets = async (conn, { ticketIds, stationId, status, limit = 100 }) => {
+  const conditions = [];
+  const params = [];
+  if (ticketIds) {
+    if (ticketIds.length === 0) return [];
+    conditions.push('kt.id IN (?)');
+    params.push(ticketIds);
+  }
+  if (stationId) {
+    conditions.push('kt.station_id = ?');
+    params.push(stationId);
+  }
+  if (status) {
+    conditions.push('kt.status = ?');
+    params.push(status);
+  }
+  params.push(limit);
+
+  // Open tickets are worked oldest first; bumped ones are listed most recent first for recall.
+  const [tickets] = await conn.query(`
+    SELECT kt.id, kt.order_id, kt.station_id, s.name AS station_name, kt.status, kt.created_at, kt.bumped_at,
+           kt.bumped_by, kt.recalled_at, o.order_type, o.pickup_number, o.note AS order_note, t.table_number
+    FROM kds_tickets kt
+    JOIN stations s ON kt.station_id = s.id
+    JOIN orders o ON kt.order_id = o.id
+    LEFT JOIN tables t ON o.table_id = t.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ${status === 'bumped' ? 'kt.bumped_at DESC' : 'kt.created_at ASC'}
+    LIMIT ?
+  `, params);
+  if (tickets.length === 0) return [];
+
+  const [lines] = await conn.query(`
+    SELECT ktl.id, ktl.ticket_id, ktl.order_item_id, ktl.status, ktl.updated_at, oi.quantity, oi.note,
+           COALESCE(mi.name, b.name) AS name, mis.name AS supplement_name
+    FROM kds_ticket_lines ktl
+    JOIN order_items oi ON ktl.order_item_id = oi.id
+    LEFT JOIN menu_items mi ON oi.item_id = mi.id
+    LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
+    LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+    WHERE ktl.ticket_id IN (?)
+    ORDER BY ktl.id
+  `, [tickets.map(ticket => ticket.id)]);
+
+  const optionsByItem = new Map();
+  if (lines.length > 0) {
+    const [options] = await conn.query(`
+      SELECT boo.order_item_id, bo.option_name
+      FROM breakfast_order_options boo
+      JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
+      WHERE boo.order_item_id IN (?)
+    `, [lines.map(line => line.order_item_id)]);
+    for (const option of options) {
+      if (!optionsByItem.has(option.order_item_id)) optionsByItem.set(option.order_item_id, []);
+      optionsByItem.get(option.order_item_id).push(option.option_name);
+    }
+  }
+  const linesByTicket = new Map();
+  for (const line of lines) {
+    if (!linesByTicket.has(line.ticket_id)) linesByTicket.set(line.ticket_id, []);
+    linesByTicket.get(line.ticket_id).push({
+      id: line.id,
+      order_item_id: line.order_item_id,
+      name: line.name,
+      quantity: line.quantity,
+      supplement: line.supplement_name,
+      options: optionsByItem.get(line.order_item_id) || [],
+      note: line.note,
+      status: line.status,
+      updated_at: line.updated_at,
+    });
+  }
+
+  return tickets.map(ticket => ({ ...ticket, lines: linesByTicket.get(ticket.id) || [] }));
+};
+
+const stationRoom = (stationId) => `station-${stationId}`;
+
+const emitStationTickets = (io, event, tickets) => {
+  for (const ticket of tickets) {
+    io.to(stationRoom(ticket.station_id)).emit(event, ticket);
+  }
+};
+
+module.exports = {
+  createStationTickets,
+  fetchStationTickets,
+  stationRoom,
+  emitStationTickets,
+};
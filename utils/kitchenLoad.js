@@ -0,0 +1,144 @@
+const logger = require('../logger');
+
+// Kitchen load model behind order ETAs. Each order takes as long as its slowest line
+// (menu_items.prep_minutes / breakfasts.prep_minutes, ORDER_PREP_MINUTES when unset), and the
+// kitchen works on KITCHEN_CONCURRENCY orders at a time. Open orders are laid out over those
+// lanes: orders already preparing keep their lane, the others follow in order, and pre-orders
+// start no earlier than their prep time before scheduled_for. An order that cannot start right
+// away is throttled (its ETA moves back); one that would wait more than KITCHEN_MAX_WAIT_MINUTES
+// for a free lane is refused.
+const DEFAULT_PREP_MINUTES = parseInt(process.env.ORDER_PREP_MINUTES) || 15;
+const KITCHEN_CONCURRENCY = parseInt(process.env.KITCHEN_CONCURRENCY) || 4;
+const KITCHEN_MAX_WAIT_MINUTES = parseInt(process.env.KITCHEN_MAX_WAIT_MINUTES) || 45;
+
+const MINUTE_MS = 60 * 1000;
+
+// ETAs are given to the minute, rounded up
+const toEta = (ms) => new Date(Math.ceil(ms / MINUTE_MS) * MINUTE_MS);
+
+// Open orders the kitchen still has to finish, with their preparation time
+const fetchKitchenQueue = async (conn) => {
+  const [rows] = await conn.query(
+    `SELECT o.id, o.session_id, o.status, o.created_at, o.preparing_at, o.scheduled_for, o.delivery_minutes,
+            MAX(COALESCE(mi.prep_minutes, b.prep_minutes, ?)) AS prep_minutes
+     FROM orders o
+     JOIN order_items oi ON oi.order_id = o.id
+     LEFT JOIN menu_items mi ON oi.item_id = mi.id
+     LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+     WHERE o.status IN ('received', 'preparing')
+     GROUP BY o.id
+     ORDER BY o.status = 'preparing' DESC, COALESCE(o.scheduled_for, o.created_at), o.id`,
+    [DEFAULT_PREP_MINUTES]
+  );
+  return rows;
+};
+
+// Preparation time of a priced order (see utils/orderPricing.js), from the prep times of its lines
+const orderPrepMinutes = async (conn, { items, breakfastItems }) => {
+  const itemIds = items.map(line => line.item_id);
+  const breakfastIds = breakfastItems.map(line => line.breakfast_id);
+  let prepMinutes = 0;
+  if (itemIds.length > 0) {
+    const [rows] = await conn.query('SELECT COALESCE(MAX(COALESCE(prep_minutes, ?)), 0) AS prep_minutes FROM menu_items WHERE id IN (?)', [DEFAULT_PREP_MINUTES, itemIds]);
+    prepMinutes = Math.max(prepMinutes, rows[0].prep_minutes);
+  }
+  if (breakfastIds.length > 0) {
+    const [rows] = await conn.query('SELECT COALESCE(MAX(COALESCE(prep_minutes, ?)), 0) AS prep_minutes FROM breakfasts WHERE id IN (?)', [DEFAULT_PREP_MINUTES, breakfastIds]);
+    prepMinutes = Math.max(prepMinutes, rows[0].prep_minutes);
+  }
+  return prepMinutes || DEFAULT_PREP_MINUTES;
+};
+
+// Lays the queue out over the kitchen's lanes. Returns a Map of order id to { start, readyAt }
+// in milliseconds.
+const scheduleQueue = (queue, now = Date.now()) => {
+  const lanes = new Array(KITCHEN_CONCURRENCY).fill(now);
+  const slots = new Map();
+  for (const order of queue) {
+    const lane = lanes.indexOf(Math.min(...lanes));
+    const prepMs = order.prep_minutes * MINUTE_MS;
+    let start;
+    let readyAt;
+    if (order.status === 'preparing' && order.preparing_at) {
+      // Running late keeps it on the lane until the kitchen marks it ready
+      start = new Date(order.preparing_at).getTime();
+      readyAt = Math.max(start + prepMs, now);
+    } else {
+      const notBefore = order.scheduled_for ? new Date(order.scheduled_for).getTime() - prepMs : now;
+      start = Math.max(lanes[lane], notBefore);
+      readyAt = start + prepMs;
+    }
+    lanes[lane] = Math.max(lanes[lane], readyAt);
+    slots.set(order.id, { start, readyAt });
+  }
+  return slots;
+};
+
+// Resolves to a Map of order id to estimated ready time for every order in the kitchen queue
+const estimateEtas = async (conn) => {
+  const slots = scheduleQueue(await fetchKitchenQueue(conn));
+  const etas = new Map();
+  for (const [orderId, { readyAt }] of slots) {
+    etas.set(orderId, toEta(readyAt));
+  }
+  return etas;
+};
+
+// Where a new order would land in the kitchen queue. Resolves to { eta, waitMinutes, throttled }
+// or, when it would wait longer than KITCHEN_MAX_WAIT_MINUTES to be started, { status, error }.
+// Locks the kitchen queue until the caller's transaction ends, so two orders cannot both take
+// the last free slot: call it first thing in the order's transaction and insert the order in it.
+const estimateNewOrder = async (conn, prepMinutes) => {
+  await conn.query('SELECT id FROM kitchen_queue_lock WHERE id = 1 FOR UPDATE');
+  const now = Date.now();
+  const queue = await fetchKitchenQueue(conn);
+  // Same place fetchKitchenQueue's ORDER BY would give it: after everything due by now
+  const newOrder = { id: null, status: 'received', created_at: new Date(now), prep_minutes: prepMinutes };
+  const position = queue.findIndex(order => order.status !== 'preparing' && new Date(order.scheduled_for || order.created_at).getTime() > now);
+  queue.splice(position === -1 ? queue.length : position, 0, newOrder);
+
+  const { start, readyAt } = scheduleQueue(queue, now).get(null);
+  const waitMinutes = Math.ceil((start - now) / MINUTE_MS);
+  if (waitMinutes > KITCHEN_MAX_WAIT_MINUTES) {
+    return { status: 409, error: 'The kitchen is at capacity right now, please try again later or schedule your order' };
+  }
+  return { eta: toEta(readyAt), waitMinutes, throttled: waitMinutes > 0 };
+};
+
+// Last ETA sent to each order's session, so customers only hear about changes
+const sentEtas = new Map();
+
+// Recalculates the queue's ETAs and sends the ones that moved to their customers as 'orderEta'.
+// Call it whenever an order joins, moves through or leaves the queue. Never throws: an ETA
+// refresh must not fail the request that triggered it.
+const broadcastEtas = async (conn, io) => {
+  try {
+    const queue = await fetchKitchenQueue(conn);
+    const slots = scheduleQueue(queue);
+    const queued = new Set();
+    for (const order of queue) {
+      queued.add(order.id);
+      const eta = toEta(slots.get(order.id).readyAt);
+      if (sentEtas.get(order.id) === eta.getTime()) continue;
+      sentEtas.set(order.id, eta.getTime());
+      if (!order.session_id) continue;
+      io.to(order.session_id).emit('orderEta', {
+        orderId: order.id.toString(),
+        eta,
+        delivery_eta: order.delivery_minutes ? new Date(eta.getTime() + order.delivery_minutes * MINUTE_MS) : null,
+      });
+    }
+    for (const orderId of sentEtas.keys()) {
+      if (!queued.has(orderId)) sentEtas.delete(orderId);
+    }
+  } catch (err) {
+    logger.error('Error broadcasting order ETAs', { error: err.message });
+  }
+};
+
+module.exports = {
+  orderPrepMinutes,
+  estimateEtas,
+  estimateNewOrder,
+  broadcastEtas,
+};
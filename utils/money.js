@@ -0,0 +1,3 @@
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,50 @@
+// Audit trail of what happened to an order after it was placed, read back as its timeline
+// (GET /orders/:id/timeline). user_id is the staff member or driver who acted, null for the
+// customer or the system; details holds what is needed to tell the event apart later.
+const ORDER_EVENT_TYPES = [
+  'created',
+  'released',
+  'approved',
+  'status_changed',
+  'edited',
+  'driver_assigned',
+  'picked_up',
+  'payment_recorded',
+  'payment_voided',
+  'cancelled',
+  'rejected',
+];
+
+// Records an event. Call it with the connection of the transaction that made the change, so
+// the event is kept exactly when the change is.
+const recordOrderEvent = async (conn, orderId, eventType, { userId = null, details = null } = {}) => {
+  await conn.query(
+    'INSERT INTO order_events (order_id, event_type, user_id, details) VALUES (?, ?, ?, ?)',
+    [orderId, eventType, userId, details ? JSON.stringify(details) : null]
+  );
+};
+
+// An order's events, oldest first, with who acted
+const fetchOrderTimeline = async (conn, orderId) => {
+  const [rows] = await conn.query(
+    `SELECT e.id, e.event_type, e.details, e.created_at, e.user_id, u.email AS user_email, u.role AS user_role
+     FROM order_events e
+     LEFT JOIN users u ON e.user_id = u.id
+     WHERE e.order_id = ?
+     ORDER BY e.created_at, e.id`,
+    [orderId]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    event_type: row.event_type,
+    details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details,
+    user: row.user_id ? { id: row.user_id, email: row.user_email, role: row.user_role } : null,
+    created_at: row.created_at,
+  }));
+};
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  recordOrderEvent,
+  fetchOrderTimeline,
+};
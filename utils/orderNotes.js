@@ -0,0 +1,35 @@
+// Special instructions customers attach to a line ("no sugar", "extra hot") or to the whole
+// order. Notes end up on kitchen screens and printed tickets, so they are kept
+// to a single line of plain text: control characters and newlines become spaces, HTML tags and
+// stray angle brackets are dropped, and runs of whitespace are collapsed.
+// Match the order_items.note and orders.note column sizes
+const LINE_NOTE_MAX_LENGTH = 140;
+const ORDER_NOTE_MAX_LENGTH = 280;
+
+const sanitizeNote = (value) => value
+  .replace(/[\u0000-\u001f\u007f]/g, ' ')
+  .replace(/<[^>]*>/g, '')
+  .replace(/[<>]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Returns { note }, with null for a missing or blank note, or { error } when it is not a string
+// or too long once sanitised.
+const parseNote = (value, maxLength, label = 'Note') => {
+  if (value === undefined || value === null) return { note: null };
+  if (typeof value !== 'string') {
+    return { error: `${label} must be a string` };
+  }
+  const note = sanitizeNote(value);
+  if (note.length > maxLength) {
+    return { error: `${label} must be at most ${maxLength} characters` };
+  }
+  return { note: note || null };
+};
+
+module.exports = {
+  LINE_NOTE_MAX_LENGTH,
+  ORDER_NOTE_MAX_LENGTH,
+  sanitizeNote,
+  parseNote,
+};
@@ -0,0 +1,153 @@
+const { taxTotals, fetchOrderItemTaxes } = require('./taxes');
+
+// Order payloads come in two shapes. Version 2 (the default) nests each order's lines,
+// with their supplement, breakfast and breakfast options, under `lines`. Version 1 is the
+// original flat shape built from parallel GROUP_CONCAT columns, kept for older clients:
+// REST callers opt in with ?version=1, socket events follow ORDER_PAYLOAD_VERSION. Line notes
+// never contain newlines (see utils/orderNotes.js), so version 1 joins them with newlines.
+const ORDER_PAYLOAD_VERSIONS = [1, 2];
+const DEFAULT_ORDER_PAYLOAD_VERSION = ORDER_PAYLOAD_VERSIONS.includes(parseInt(process.env.ORDER_PAYLOAD_VERSION))
+  ? parseInt(process.env.ORDER_PAYLOAD_VERSION)
+  : 2;
+
+const FLAT_ORDER_QUERY = `
+  SELECT o.*, t.table_number,
+         GROUP_CONCAT(oi.item_id) AS item_ids,
+         GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN oi.quantity END) AS menu_quantities,
+         GROUP_CONCAT(mi.name) AS item_names, GROUP_CONCAT(mi.image_url) AS image_urls,
+         GROUP_CONCAT(oi.unit_price) AS unit_prices, GROUP_CONCAT(oi.supplement_id) AS supplement_ids,
+         GROUP_CONCAT(mis.name) AS supplement_names, GROUP_CONCAT(mis.additional_price) AS supplement_prices,
+         GROUP_CONCAT(CASE WHEN oi.item_id IS NOT NULL THEN COALESCE(oi.note, '') END SEPARATOR '\\n') AS item_notes,
+         GROUP_CONCAT(DISTINCT oi.breakfast_id) AS breakfast_ids,
+         GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN oi.quantity END) AS breakfast_quantities,
+         GROUP_CONCAT(CASE WHEN oi.breakfast_id IS NOT NULL THEN COALESCE(oi.note, '') END SEPARATOR '\\n') AS breakfast_notes,
+         GROUP_CONCAT(DISTINCT b.name) AS breakfast_names,
+         GROUP_CONCAT(DISTINCT b.image_url) AS breakfast_images,
+         GROUP_CONCAT(boo.breakfast_option_id) AS breakfast_option_ids,
+         GROUP_CONCAT(bo.option_name) AS breakfast_option_names,
+         GROUP_CONCAT(bo.additional_price) AS breakfast_option_prices
+  FROM orders o
+  LEFT JOIN order_items oi ON o.id = oi.order_id
+  LEFT JOIN menu_items mi ON oi.item_id = mi.id
+  LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
+  LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+  LEFT JOIN breakfast_order_options boo ON oi.id = boo.order_item_id
+  LEFT JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
+  LEFT JOIN tables t ON o.table_id = t.id
+`;
+
+const resolveOrderPayloadVersion = (req) => {
+  const requested = parseInt(req.query.version);
+  return ORDER_PAYLOAD_VERSIONS.includes(requested) ? requested : DEFAULT_ORDER_PAYLOAD_VERSION;
+};
+
+const fetchFlatOrders = async (conn, orderIds) => {
+  const [rows] = await conn.query(`${FLAT_ORDER_QUERY} WHERE o.id IN (?) GROUP BY o.id`, [orderIds]);
+  return rows.map(row => ({ ...row, approved: Number(row.approved) }));
+};
+
+const fetchNestedOrders = async (conn, orderIds) => {
+  const [orders] = await conn.query(
+    'SELECT o.*, t.table_number FROM orders o LEFT JOIN tables t ON o.table_id = t.id WHERE o.id IN (?)',
+    [orderIds]
+  );
+  const [lines] = await conn.query(`
+    SELECT oi.id, oi.order_id, oi.item_id, oi.breakfast_id, oi.quantity, oi.unit_price, oi.supplement_id, oi.net_amount, oi.note,
+           mi.name AS item_name, mi.image_url AS item_image_url,
+           mis.name AS supplement_name, mis.additional_price AS supplement_price,
+           b.name AS breakfast_name, b.image_url AS breakfast_image_url
+    FROM order_items oi
+    LEFT JOIN menu_items mi ON oi.item_id = mi.id
+    LEFT JOIN menu_item_supplements mis ON oi.supplement_id = mis.supplement_id AND oi.item_id = mis.menu_item_id
+    LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+    WHERE oi.order_id IN (?)
+    ORDER BY oi.id
+  `, [orderIds]);
+
+  const optionsByLine = new Map();
+  if (lines.length > 0) {
+    const [options] = await conn.query(`
+      SELECT boo.order_item_id, bo.id, bo.group_id, bog.title AS group_title, bo.option_name, bo.additional_price
+      FROM breakfast_order_options boo
+      JOIN breakfast_options bo ON boo.breakfast_option_id = bo.id
+      LEFT JOIN breakfast_option_groups bog ON bo.group_id = bog.id
+      WHERE boo.order_item_id IN (?)
+      ORDER BY boo.order_item_id, bo.group_id
+    `, [lines.map(line => line.id)]);
+    for (const option of options) {
+      if (!optionsByLine.has(option.order_item_id)) optionsByLine.set(option.order_item_id, []);
+      optionsByLine.get(option.order_item_id).push({
+        id: option.id,
+        group_id: option.group_id,
+        group_title: option.group_title,
+        option_name: option.option_name,
+        additional_price: parseFloat(option.additional_price || 0),
+      });
+    }
+  }
+
+  const taxesByLine = await fetchOrderItemTaxes(conn, lines.map(line => line.id));
+
+  const linesByOrder = new Map();
+  for (const line of lines) {
+    if (!linesByOrder.has(line.order_id)) linesByOrder.set(line.order_id, []);
+    const unitPrice = parseFloat(line.unit_price);
+    linesByOrder.get(line.order_id).push({
+      id: line.id,
+      type: line.breakfast_id ? 'breakfast' : 'menu_item',
+      quantity: line.quantity,
+      unit_price: unitPrice,
+      line_total: Math.round(unitPrice * line.quantity * 100) / 100,
+      menu_item: line.item_id ? { id: line.item_id, name: line.item_name, image_url: line.item_image_url } : null,
+      supplement: line.supplement_id
+        ? { id: line.supplement_id, name: line.supplement_name, additional_price: parseFloat(line.supplement_price || 0) }
+        : null,
+      breakfast: line.breakfast_id ? { id: line.breakfast_id, name: line.breakfast_name, image_url: line.breakfast_image_url } : null,
+      options: optionsByLine.get(line.id) || [],
+      note: line.note,
+      // Orders placed before tax handling have no stored breakdown
+      tax: line.net_amount !== null
+        ? { ...taxTotals(taxesByLine.get(line.id) || []), rates: taxesByLine.get(line.id) || [] }
+        : null,
+    });
+  }
+
+  return orders.map(order => ({
+    ...order,
+    approved: Number(order.approved),
+    total_price: parseFloat(order.total_price),
+    discount_amount: order.discount_amount !== null ? parseFloat(order.discount_amount) : null,
+    net_total: order.net_total !== null ? parseFloat(order.net_total) : null,
+    tax_total: order.tax_total !== null ? parseFloat(order.tax_total) : null,
+    service_charge: parseFloat(order.service_charge || 0),
+    delivery_fee: parseFloat(order.delivery_fee || 0),
+    tip_amount: parseFloat(order.tip_amount || 0),
+    amount_paid: parseFloat(order.amount_paid || 0),
+    lines: linesByOrder.get(order.id) || [],
+  }));
+};
+
+// Loads full order payloads for the given ids, in the same order as the ids.
+const fetchOrderPayloads = async (conn, orderIds, version = DEFAULT_ORDER_PAYLOAD_VERSION) => {
+  if (orderIds.length === 0) return [];
+  const orders = version === 1 ? await fetchFlatOrders(conn, orderIds) : await fetchNestedOrders(conn, orderIds);
+  const byId = new Map(orders.map(order => [order.id, order]));
+  return orderIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+const fetchOrderPayload = async (conn, orderId, version) => {
+  const [order] = await fetchOrderPayloads(conn, [orderId], version);
+  return order || null;
+};
+
+// Display name of a nested payload line. A line whose menu item or breakfast has since been
+// deleted has neither left, and is shown under a placeholder.
+const orderLineName = (line) => (line.menu_item || line.breakfast)?.name || 'Item no longer on the menu';
+
+module.exports = {
+  ORDER_PAYLOAD_VERSIONS,
+  resolveOrderPayloadVersion,
+  fetchOrderPayloads,
+  fetchOrderPayload,
+  orderLineName,
+};
@@ -0,0 +1,297 @@
+const logger = require('../logger');
+const { roundMoney } = require('./money');
+const { TAX_PRICING_MODE, fetchDefaultTaxRate, resolveTaxRate, taxLine, sumTaxes, taxTotals } = require('./taxes');
+const { resolveDelivery } = require('./deliveryZones');
+const { LINE_NOTE_MAX_LENGTH, parseNote } = require('./orderNotes');
+
+// Automatic service charges, as a percentage of the discounted total. A rate of 0 turns the
+// charge off. Local orders pay the large-party rate from LARGE_PARTY_SIZE guests upwards.
+const LARGE_PARTY_SIZE = parseInt(process.env.LARGE_PARTY_SIZE) || 8;
+const LARGE_PARTY_SERVICE_CHARGE_PERCENT = parseFloat(process.env.LARGE_PARTY_SERVICE_CHARGE_PERCENT) || 0;
+const DELIVERY_SERVICE_CHARGE_PERCENT = parseFloat(process.env.DELIVERY_SERVICE_CHARGE_PERCENT) || 0;
+
+const TIP_TYPES = ['amount', 'percent'];
+const TIP_MAX_PERCENT = 100;
+
+const serviceChargeFor = ({ order_type, party_size }, total) => {
+  let reason = null;
+  let rate = 0;
+  if (order_type === 'delivery' && DELIVERY_SERVICE_CHARGE_PERCENT > 0) {
+    reason = 'delivery';
+    rate = DELIVERY_SERVICE_CHARGE_PERCENT;
+  } else if (order_type === 'local' && parseInt(party_size) >= LARGE_PARTY_SIZE && LARGE_PARTY_SERVICE_CHARGE_PERCENT > 0) {
+    reason = 'large_party';
+    rate = LARGE_PARTY_SERVICE_CHARGE_PERCENT;
+  }
+  return reason ? { reason, rate, amount: roundMoney(total * rate / 100) } : null;
+};
+
+// Resolves an optional { type: 'amount' | 'percent', value } tip against the discounted total.
+// Resolves to { status, error } when the tip is malformed.
+const resolveTip = (tip, total) => {
+  if (tip === undefined || tip === null) return { tip: null };
+  const value = parseFloat(tip.value);
+  if (!TIP_TYPES.includes(tip.type) || isNaN(value) || value < 0) {
+    return { status: 400, error: `Tip must be { type: ${TIP_TYPES.join(' | ')}, value } with a non-negative value` };
+  }
+  if (tip.type === 'percent' && value > TIP_MAX_PERCENT) {
+    return { status: 400, error: `Tip percentage cannot exceed ${TIP_MAX_PERCENT}` };
+  }
+  const amount = roundMoney(tip.type === 'percent' ? total * value / 100 : value);
+  return { tip: amount > 0 ? { type: tip.type, value, amount } : null };
+};
+
+// Prices an order payload ({ items, breakfastItems, promotion_id, order_type, party_size, tip,
+// delivery_postcode, delivery_location }) from the current menu. This is the single source of
+// truth for order pricing: POST /orders checks the client's prices against it and POST
+// /orders/quote returns it as is. total_price is what the goods cost; the service charge, tip
+// and delivery fee are kept apart from it and only added into amount_due. Resolves to
+// { status, error } when the payload cannot be priced.
+const priceOrder = async (conn, {
+  items, breakfastItems, promotion_id, order_type, party_size, tip, delivery_postcode, delivery_location,
+}, logContext = {}) => {
+  const pricedItems = [];
+  const pricedBreakfasts = [];
+  const defaultTaxRate = await fetchDefaultTaxRate(conn);
+  // Priced parts of each line with their tax rate, taxed once the line's discount is known
+  const taxComponents = new Map();
+
+  if (items && Array.isArray(items)) {
+    for (const item of items) {
+      const { item_id, quantity, supplement_id } = item;
+      if (!item_id || isNaN(item_id) || item_id <= 0) {
+        logger.warn('Invalid item_id', { item_id, ...logContext });
+        return { status: 400, error: `Invalid item_id: ${item_id}` };
+      }
+      if (!quantity || isNaN(quantity) || quantity <= 0) {
+        logger.warn('Invalid quantity', { item_id, quantity, ...logContext });
+        return { status: 400, error: `Invalid quantity for item ${item_id}` };
+      }
+      const { note, error: noteError } = parseNote(item.note, LINE_NOTE_MAX_LENGTH, `Note for item ${item_id}`);
+      if (noteError) {
+        logger.warn('Invalid line note', { item_id, ...logContext });
+        return { status: 400, error: noteError };
+      }
+
+      const [menuItem] = await conn.query(
+        `SELECT mi.name, mi.availability, mi.regular_price, mi.sale_price, c.tax_rate_id, tr.rate AS tax_rate
+         FROM menu_items mi
+         LEFT JOIN categories c ON mi.category_id = c.id
+         LEFT JOIN tax_rates tr ON c.tax_rate_id = tr.id
+         WHERE mi.id = ?`,
+        [item_id]
+      );
+      if (menuItem.length === 0 || !menuItem[0].availability) {
+        logger.warn('Item unavailable', { item_id, ...logContext });
+        return { status: 400, error: `Item ${item_id} is unavailable` };
+      }
+      const basePrice = menuItem[0].sale_price !== null ? parseFloat(menuItem[0].sale_price) : parseFloat(menuItem[0].regular_price);
+      const itemTaxRate = resolveTaxRate(menuItem[0].tax_rate_id, menuItem[0].tax_rate, defaultTaxRate);
+      const components = [{ ...itemTaxRate, amount: basePrice * quantity }];
+
+      let supplement = null;
+      if (supplement_id) {
+        const [supplementRows] = await conn.query(
+          `SELECT mis.name, mis.additional_price, s.tax_rate_id, tr.rate AS tax_rate
+           FROM menu_item_supplements mis
+           LEFT JOIN supplements s ON mis.supplement_id = s.id
+           LEFT JOIN tax_rates tr ON s.tax_rate_id = tr.id
+           WHERE mis.menu_item_id = ? AND mis.supplement_id = ?`,
+          [item_id, supplement_id]
+        );
+        if (supplementRows.length === 0) {
+          logger.warn('Invalid supplement', { item_id, supplement_id, ...logContext });
+          return { status: 400, error: `Invalid supplement ID ${supplement_id} for item ${item_id}` };
+        }
+        supplement = {
+          supplement_id: parseInt(supplement_id),
+          name: supplementRows[0].name,
+          additional_price: parseFloat(supplementRows[0].additional_price),
+        };
+        components.push({
+          ...resolveTaxRate(supplementRows[0].tax_rate_id, supplementRows[0].tax_rate, itemTaxRate),
+          amount: supplement.additional_price * quantity,
+        });
+      }
+
+      const unitPrice = basePrice + (supplement ? supplement.additional_price : 0);
+      const line = {
+        item_id: parseInt(item_id),
+        name: menuItem[0].name,
+        quantity: parseInt(quantity),
+        base_price: basePrice,
+        supplement,
+        unit_price: unitPrice,
+        line_total: unitPrice * quantity,
+        note,
+      };
+      taxComponents.set(line, components);
+      pricedItems.push(line);
+    }
+  }
+
+  if (breakfastItems && Array.isArray(breakfastItems)) {
+    for (const item of breakfastItems) {
+      const { breakfast_id, quantity, option_ids } = item;
+      if (!breakfast_id || isNaN(breakfast_id) || breakfast_id <= 0) {
+        logger.warn('Invalid breakfast_id', { breakfast_id, ...logContext });
+        return { status: 400, error: `Invalid breakfast_id: ${breakfast_id}` };
+      }
+      if (!quantity || isNaN(quantity) || quantity <= 0) {
+        logger.warn('Invalid quantity', { breakfast_id, quantity, ...logContext });
+        return { status: 400, error: `Invalid quantity for breakfast ${breakfast_id}` };
+      }
+      if (option_ids && !Array.isArray(option_ids)) {
+        logger.warn('Invalid option_ids format', { breakfast_id, option_ids, ...logContext });
+        return { status: 400, error: `Option IDs for breakfast ${breakfast_id} must be an array` };
+      }
+      const { note, error: noteError } = parseNote(item.note, LINE_NOTE_MAX_LENGTH, `Note for breakfast ${breakfast_id}`);
+      if (noteError) {
+        logger.warn('Invalid line note', { breakfast_id, ...logContext });
+        return { status: 400, error: noteError };
+      }
+
+      const [breakfast] = await conn.query(
+        `SELECT b.name, b.availability, b.price, b.tax_rate_id, btr.rate AS tax_rate,
+                c.tax_rate_id AS category_tax_rate_id, ctr.rate AS category_tax_rate
+         FROM breakfasts b
+         LEFT JOIN tax_rates btr ON b.tax_rate_id = btr.id
+         LEFT JOIN categories c ON b.category_id = c.id
+         LEFT JOIN tax_rates ctr ON c.tax_rate_id = ctr.id
+         WHERE b.id = ?`,
+        [breakfast_id]
+      );
+      if (breakfast.length === 0 || !breakfast[0].availability) {
+        logger.warn('Breakfast unavailable', { breakfast_id, ...logContext });
+        return { status: 400, error: `Breakfast ${breakfast_id} is unavailable` };
+      }
+      const basePrice = parseFloat(breakfast[0].price);
+
+      const [groups] = await conn.query('SELECT id FROM breakfast_option_groups WHERE breakfast_id = ?', [breakfast_id]);
+      let options = [];
+      if (groups.length > 0) {
+        if (!option_ids || option_ids.length === 0) {
+          logger.warn('No options provided but groups exist', { breakfast_id, groupCount: groups.length, ...logContext });
+          return { status: 400, error: `Must select one option from each of the ${groups.length} option groups for breakfast ${breakfast_id}` };
+        }
+        const [optionRows] = await conn.query(
+          'SELECT id, group_id, option_name, additional_price FROM breakfast_options WHERE breakfast_id = ? AND id IN (?)',
+          [breakfast_id, option_ids]
+        );
+        if (optionRows.length !== option_ids.length) {
+          logger.warn('Invalid breakfast options', { breakfast_id, option_ids, ...logContext });
+          return { status: 400, error: `Invalid option IDs for breakfast ${breakfast_id}` };
+        }
+        const selectedGroups = new Set(optionRows.map(opt => opt.group_id));
+        if (selectedGroups.size !== groups.length) {
+          logger.warn('Missing options for groups', { breakfast_id, selectedGroups: [...selectedGroups], groupCount: groups.length, ...logContext });
+          return { status: 400, error: `Must select one option from each of the ${groups.length} option groups for breakfast ${breakfast_id}` };
+        }
+        options = optionRows.map(opt => ({
+          id: opt.id,
+          group_id: opt.group_id,
+          option_name: opt.option_name,
+          additional_price: parseFloat(opt.additional_price || 0),
+        }));
+      } else if (option_ids && option_ids.length > 0) {
+        logger.warn('Options provided but no groups exist', { breakfast_id, option_ids, ...logContext });
+        return { status: 400, error: `No option groups defined for breakfast ${breakfast_id}, but options provided` };
+      }
+
+      const optionsPrice = options.reduce((sum, opt) => sum + opt.additional_price, 0);
+      const unitPrice = basePrice + optionsPrice;
+      const breakfastTaxRate = resolveTaxRate(
+        breakfast[0].tax_rate_id,
+        breakfast[0].tax_rate,
+        resolveTaxRate(breakfast[0].category_tax_rate_id, breakfast[0].category_tax_rate, defaultTaxRate)
+      );
+      const line = {
+        breakfast_id: parseInt(breakfast_id),
+        name: breakfast[0].name,
+        quantity: parseInt(quantity),
+        base_price: basePrice,
+        options,
+        options_price: optionsPrice,
+        unit_price: unitPrice,
+        line_total: unitPrice * quantity,
+        note,
+      };
+      taxComponents.set(line, [{ ...breakfastTaxRate, amount: unitPrice * quantity }]);
+      pricedBreakfasts.push(line);
+    }
+  }
+
+  // Promotions discount menu items only: every item for a store-wide promotion, the
+  // matching item for an item-specific one. Breakfasts are never discounted.
+  let promotion = null;
+  if (promotion_id) {
+    const [promo] = await conn.query(
+      'SELECT id, name, discount_percentage, item_id FROM promotions WHERE id = ? AND active = TRUE AND NOW() BETWEEN start_date AND end_date',
+      [promotion_id]
+    );
+    if (promo.length > 0) {
+      promotion = {
+        id: promo[0].id,
+        name: promo[0].name,
+        discount_percentage: parseFloat(promo[0].discount_percentage),
+        item_id: promo[0].item_id,
+      };
+    }
+  }
+
+  for (const line of pricedItems) {
+    const discounted = promotion && (!promotion.item_id || line.item_id === promotion.item_id);
+    line.discount = discounted ? line.line_total * promotion.discount_percentage / 100 : 0;
+  }
+  for (const line of pricedBreakfasts) {
+    line.discount = 0;
+  }
+
+  const lines = [...pricedItems, ...pricedBreakfasts];
+  const subtotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+  const discount = lines.reduce((sum, line) => sum + line.discount, 0);
+  for (const line of lines) {
+    line.total = roundMoney(line.line_total - line.discount);
+    line.line_total = roundMoney(line.line_total);
+    line.discount = roundMoney(line.discount);
+    line.taxes = taxLine(taxComponents.get(line), line.total);
+    Object.assign(line, taxTotals(line.taxes));
+  }
+
+  // total_price is always the gross goods total: with tax-exclusive prices the tax comes on top
+  const taxes = sumTaxes(lines.map(line => line.taxes));
+  const { net, tax, gross } = taxTotals(taxes);
+  const totalPrice = roundMoney(TAX_PRICING_MODE === 'exclusive' ? subtotal - discount + tax : subtotal - discount);
+  const serviceCharge = serviceChargeFor({ order_type, party_size }, totalPrice);
+  const resolvedTip = resolveTip(tip, totalPrice);
+  if (resolvedTip.error) {
+    logger.warn('Invalid tip', { tip, ...logContext });
+    return { status: resolvedTip.status, error: resolvedTip.error };
+  }
+  let delivery = null;
+  if (order_type === 'delivery') {
+    const resolvedDelivery = await resolveDelivery(conn, { postcode: delivery_postcode, location: delivery_location }, totalPrice);
+    if (resolvedDelivery.error) {
+      logger.warn('Order cannot be delivered', { delivery_postcode, delivery_location, error: resolvedDelivery.error, ...logContext });
+      return { status: resolvedDelivery.status, error: resolvedDelivery.error };
+    }
+    delivery = resolvedDelivery.delivery;
+  }
+
+  return {
+    items: pricedItems,
+    breakfastItems: pricedBreakfasts,
+    subtotal: roundMoney(subtotal),
+    promotion,
+    discount: roundMoney(discount),
+    tax: { mode: TAX_PRICING_MODE, net_total: net, tax_total: tax, gross_total: gross, rates: taxes },
+    total_price: totalPrice,
+    service_charge: serviceCharge,
+    tip: resolvedTip.tip,
+    delivery,
+    amount_due: roundMoney(totalPrice + (serviceCharge ? serviceCharge.amount : 0) + (resolvedTip.tip ? resolvedTip.tip.amount : 0)
+      + (delivery ? delivery.fee : 0)),
+  };
+};
+
+module.exports = { TIP_TYPES, priceOrder };
@@ -0,0 +1,135 @@
+const { recordOrderEvent } = require('./orderEvents');
+
+const ORDER_STATUS_TRANSITIONS = {
+  received: ['preparing'],
+  preparing: ['ready'],
+  ready: ['delivered'],
+  delivered: [],
+};
+
+const STATUS_TIMESTAMP_COLUMNS = {
+  preparing: 'preparing_at',
+  ready: 'ready_at',
+  delivered: 'delivered_at',
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Orders in these statuses are still open: they can be cancelled and keep their table occupied.
+const CANCELLABLE_STATUSES = ['received', 'preparing', 'ready'];
+
+const CANCELLATION_REASONS = ['out_of_stock', 'customer_left', 'duplicate', 'other'];
+
+// Every value orders.status can hold, including the ends reached by cancelling or rejecting
+const ALL_ORDER_STATUSES = [...ORDER_STATUSES, 'cancelled', 'rejected'];
+
+const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Moves an order one step through its lifecycle. Resolves to { order, previousStatus }
+// on success, or { status, error } with the HTTP status to answer with when refused.
+// Expects to run inside a transaction, so the change and its event are kept together.
+const transitionOrderStatus = async (conn, orderId, nextStatus, userId) => {
+  const [rows] = await conn.query('SELECT id, status, approved FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const current = rows[0];
+  if (!canTransition(current.status, nextStatus)) {
+    return { status: 400, error: `Cannot change order status from ${current.status} to ${nextStatus}` };
+  }
+  if (!Number(current.approved)) {
+    return { status: 400, error: 'Order must be approved before its status can change' };
+  }
+
+  const timestampColumn = STATUS_TIMESTAMP_COLUMNS[nextStatus];
+  const [result] = await conn.query(
+    `UPDATE orders SET status = ?, ${timestampColumn} = NOW(), status_updated_by = ?, status_updated_at = NOW() WHERE id = ? AND status = ?`,
+    [nextStatus, userId, orderId, current.status]
+  );
+  if (result.affectedRows === 0) {
+    return { status: 409, error: 'Order status was changed by another request' };
+  }
+  await recordOrderEvent(conn, orderId, 'status_changed', { userId, details: { from: current.status, to: nextStatus } });
+
+  const [updated] = await conn.query(
+    'SELECT id, session_id, table_id, status, preparing_at, ready_at, delivered_at, status_updated_by, status_updated_at FROM orders WHERE id = ?',
+    [orderId]
+  );
+  return { order: updated[0], previousStatus: current.status };
+};
+
+// Ends an order as 'cancelled' or 'rejected'. Only unapproved, freshly received orders can be
+// rejected; cancelling works until the order has been delivered. Expects to run inside a transaction.
+const closeOrder = async (conn, orderId, outcome, { reason, note, userId }) => {
+  const [rows] = await conn.query('SELECT id, status, approved, table_id FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const current = rows[0];
+  if (outcome === 'rejected' && (Number(current.approved) || current.status !== 'received')) {
+    return { status: 400, error: 'Only orders awaiting approval can be rejected' };
+  }
+  if (outcome === 'cancelled' && !CANCELLABLE_STATUSES.includes(current.status)) {
+    return { status: 400, error: `Cannot cancel an order that is ${current.status}` };
+  }
+
+  await conn.query(
+    `UPDATE orders SET status = ?, cancellation_reason = ?, cancellation_note = ?, cancelled_at = NOW(), cancelled_by = ?,
+       status_updated_by = ?, status_updated_at = NOW() WHERE id = ?`,
+    [outcome, reason, note || null, userId, userId, orderId]
+  );
+  await recordOrderEvent(conn, orderId, outcome, { userId, details: { from: current.status, reason, note: note || null } });
+
+  const [updated] = await conn.query(
+    'SELECT id, session_id, table_id, status, cancellation_reason, cancellation_note, cancelled_at, cancelled_by FROM orders WHERE id = ?',
+    [orderId]
+  );
+  return { order: updated[0], previousStatus: current.status };
+};
+
+const orderStatusPayload = (order, previousStatus) => ({
+  orderId: order.id.toString(),
+  status: order.status,
+  previous_status: previousStatus,
+  preparing_at: order.preparing_at,
+  ready_at: order.ready_at,
+  delivered_at: order.delivered_at,
+  updated_by: order.status_updated_by,
+  updated_at: order.status_updated_at,
+});
+
+const emitOrderStatusUpdate = (io, order, previousStatus) => {
+  const payload = orderStatusPayload(order, previousStatus);
+  if (order.session_id) {
+    io.to(order.session_id).emit('orderStatusUpdate', payload);
+  }
+  io.to('staff-notifications').emit('orderStatusUpdate', payload);
+};
+
+// Several updates at once, from a bulk action: each customer still gets their own
+// orderStatusUpdate, staff get them together as one orderStatusUpdates array.
+const emitOrderStatusUpdates = (io, updates) => {
+  const payloads = updates.map(({ order, previousStatus }) => {
+    const payload = orderStatusPayload(order, previousStatus);
+    if (order.session_id) {
+      io.to(order.session_id).emit('orderStatusUpdate', payload);
+    }
+    return payload;
+  });
+  if (payloads.length > 0) {
+    io.to('staff-notifications').emit('orderStatusUpdates', payloads);
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  CANCELLABLE_STATUSES,
+  CANCELLATION_REASONS,
+  ALL_ORDER_STATUSES,
+  canTransition,
+  transitionOrderStatus,
+  closeOrder,
+  emitOrderStatusUpdate,
+  emitOrderStatusUpdates,
+};
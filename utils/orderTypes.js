@@ -0,0 +1,23 @@
+// Local orders are served at a table, delivery orders go to an address, and takeaway orders
+// are collected at the counter by a named customer who is called by their pickup number.
+const ORDER_TYPES = ['local', 'delivery', 'takeaway'];
+
+const CUSTOMER_PHONE_PATTERN = /^\+?[0-9 ()-]{6,30}$/;
+
+// Hands out the next pickup number of the given day (today by default), starting at 1 each
+// day. Call it inside the order's transaction: the counter row stays locked until commit.
+const nextPickupNumber = async (conn, day = new Date()) => {
+  await conn.query(
+    `INSERT INTO pickup_counters (counter_date, last_number) VALUES (DATE(?), 1)
+     ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+    [day]
+  );
+  const [rows] = await conn.query('SELECT last_number FROM pickup_counters WHERE counter_date = DATE(?)', [day]);
+  return rows[0].last_number;
+};
+
+module.exports = {
+  ORDER_TYPES,
+  CUSTOMER_PHONE_PATTERN,
+  nextPickupNumber,
+};
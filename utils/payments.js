@@ -0,0 +1,62 @@
+const { roundMoney } = require('./money');
+
+const PAYMENT_METHODS = ['cash', 'card'];
+const PAYMENT_STATUSES = ['unpaid', 'partially_paid', 'paid'];
+
+// What an order owes: the goods plus its service charge, delivery fee and any tip added when
+// ordering. Tips given at payment time are stored on the payment and never count towards this.
+const ORDER_AMOUNT_DUE_SQL = '(o.total_price + o.service_charge + o.delivery_fee + o.tip_amount)';
+
+const paymentStatusFor = (amountPaid, totalPrice) => {
+  if (amountPaid <= 0) return 'unpaid';
+  return amountPaid + 0.005 >= totalPrice ? 'paid' : 'partially_paid';
+};
+
+// Recomputes orders.amount_paid and orders.payment_status from the order's completed
+// payments. Call it inside the transaction that recorded or voided a payment.
+const refreshOrderPaymentStatus = async (conn, orderId) => {
+  const [totals] = await conn.query(
+    `SELECT o.total_price, ${ORDER_AMOUNT_DUE_SQL} AS amount_due, o.session_id, o.table_id, COALESCE(SUM(p.amount), 0) AS amount_paid
+     FROM orders o
+     LEFT JOIN payments p ON p.order_id = o.id AND p.status = 'completed'
+     WHERE o.id = ?
+     GROUP BY o.id`,
+    [orderId]
+  );
+  const amountDue = roundMoney(parseFloat(totals[0].amount_due));
+  const amountPaid = roundMoney(parseFloat(totals[0].amount_paid));
+  const paymentStatus = paymentStatusFor(amountPaid, amountDue);
+  await conn.query('UPDATE orders SET amount_paid = ?, payment_status = ? WHERE id = ?', [amountPaid, paymentStatus, orderId]);
+  return {
+    orderId,
+    session_id: totals[0].session_id,
+    table_id: totals[0].table_id,
+    total_price: parseFloat(totals[0].total_price),
+    amount_due: amountDue,
+    amount_paid: amountPaid,
+    outstanding: roundMoney(Math.max(amountDue - amountPaid, 0)),
+    payment_status: paymentStatus,
+  };
+};
+
+const emitPaymentUpdate = (io, summary) => {
+  const payload = {
+    orderId: summary.orderId.toString(),
+    payment_status: summary.payment_status,
+    amount_paid: summary.amount_paid,
+    outstanding: summary.outstanding,
+  };
+  if (summary.session_id) {
+    io.to(summary.session_id).emit('paymentUpdate', payload);
+  }
+  io.to('staff-notifications').emit('paymentUpdate', payload);
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  ORDER_AMOUNT_DUE_SQL,
+  paymentStatusFor,
+  refreshOrderPaymentStatus,
+  emitPaymentUpdate,
+};
@@ -0,0 +1,241 @@
+const net = require('net');
+const logger = require('../logger');
+const { fetchStationTickets } = require('./kds');
+const { fetchOrderPayload, orderLineName } = require('./orderPayload');
+const { buildReceipt, renderText } = require('./receipts');
+const { kitchenTicket, receiptTicket } = require('./escpos');
+
+// Print jobs are stored as ready-to-send ESC/POS bytes and sent to network printers over raw
+// TCP (port 9100) by a background loop. A failed send is retried with exponential backoff
+// until PRINT_MAX_ATTEMPTS, after which the job is marked failed and can be reprinted by staff.
+const PRINTER_ROLES = ['kitchen', 'receipt'];
+const PRINT_JOB_TYPES = ['kitchen', 'receipt', 'test'];
+const PRINT_JOB_STATUSES = ['queued', 'printing', 'printed', 'failed'];
+
+const PRINTER_TIMEOUT_MS = parseInt(process.env.PRINTER_TIMEOUT_MS) || 5000;
+const PRINT_MAX_ATTEMPTS = parseInt(process.env.PRINT_MAX_ATTEMPTS) || 5;
+const PRINT_RETRY_BASE_SECONDS = parseInt(process.env.PRINT_RETRY_BASE_SECONDS) || 5;
+const PRINT_RETRY_MAX_SECONDS = parseInt(process.env.PRINT_RETRY_MAX_SECONDS) || 300;
+const PRINT_QUEUE_INTERVAL_MS = parseInt(process.env.PRINT_QUEUE_INTERVAL_MS) || 2000;
+const PRINT_QUEUE_BATCH_SIZE = 20;
+
+// Opens a connection, writes the bytes and resolves once they are flushed and the printer hangs up.
+// Some printers never close their end: once everything is written the timeout counts as done.
+// A printer that hangs up before the bytes are flushed fails the send, so the job is retried.
+const sendToPrinter = (host, port, data, timeoutMs = PRINTER_TIMEOUT_MS) => new Promise((resolve, reject) => {
+  let written = false;
+  const socket = net.createConnection({ host, port });
+  socket.setTimeout(timeoutMs);
+  socket.on('connect', () => socket.end(data, () => { written = true; }));
+  socket.on('timeout', () => {
+    if (written) {
+      socket.destroy();
+      resolve();
+    } else {
+      socket.destroy(new Error(`Printer at ${host}:${port} timed out`));
+    }
+  });
+  socket.on('error', reject);
+  socket.on('close', (hadError) => {
+    if (hadError) return;
+    if (written) {
+      resolve();
+    } else {
+      reject(new Error(`Printer at ${host}:${port} closed the connection before the job was sent`));
+    }
+  });
+});
+
+const retryDelaySeconds = (attempts) => Math.min(PRINT_RETRY_BASE_SECONDS * 2 ** (attempts - 1), PRINT_RETRY_MAX_SECONDS);
+
+const enqueuePrintJob = async (conn, { printerId, orderId = null, jobType, payload, reprintOf = null, userId = null }) => {
+  const [result] = await conn.query(
+    `INSERT INTO print_jobs (printer_id, order_id, job_type, payload, reprint_of, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [printerId, orderId, jobType, payload, reprintOf, userId]
+  );
+  return result.insertId;
+};
+
+const fetchActivePrinters = async (conn, role) => {
+  const [printers] = await conn.query(
+    'SELECT id, name, station_id FROM printers WHERE role = ? AND is_active = TRUE ORDER BY id',
+    [role]
+  );
+  return printers;
+};
+
+// What is printed under a kitchen ticket line: its supplement or breakfast options, then the customer's note
+const lineDetails = (supplement, options, note) => [
+  ...(supplement ? [`+ ${supplement}`] : options.map(option => `+ ${option}`)),
+  ...(note ? [`! ${note}`] : []),
+];
+
+// Queues the kitchen tickets of an approved order and returns the new job ids. Each station
+// ticket goes to the kitchen printers of its station, or to the printers without a station
+// when it has none. An order with no station tickets prints whole on the printers without a station.
+const queueKitchenTickets = async (conn, orderId, { reprint = false, userId = null } = {}) => {
+  const printers = await fetchActivePrinters(conn, 'kitchen');
+  if (printers.length === 0) return [];
+  const catchAll = printers.filter(printer => !printer.station_id);
+
+  const [ticketRows] = await conn.query('SELECT id FROM kds_tickets WHERE order_id = ? ORDER BY id', [orderId]);
+  const tickets = (await fetchStationTickets(conn, { ticketIds: ticketRows.map(row => row.id) })).map(ticket => ({
+    ...ticket,
+    lines: ticket.lines.map(line => ({
+      quantity: line.quantity,
+      name: line.name,
+      details: lineDetails(line.supplement, line.options, line.note),
+    })),
+  }));
+  if (tickets.length === 0) {
+    const order = await fetchOrderPayload(conn, orderId, 2);
+    if (!order) return [];
+    tickets.push({
+      order_id: order.id,
+      order_type: order.order_type,
+      table_number: order.table_number,
+      pickup_number: order.pickup_number,
+      order_note: order.note,
+      created_at: order.created_at,
+      station_id: null,
+      lines: order.lines.map(line => ({
+        quantity: line.quantity,
+        name: orderLineName(line),
+        details: lineDetails(line.supplement?.name, line.options.map(option => option.option_name), line.note),
+      })),
+    });
+  }
+
+  const jobIds = [];
+  for (const ticket of tickets) {
+    const stationPrinters = printers.filter(printer => ticket.station_id && printer.station_id === ticket.station_id);
+    const payload = kitchenTicket(ticket, { reprint });
+    for (const printer of stationPrinters.length > 0 ? stationPrinters : catchAll) {
+      jobIds.push(await enqueuePrintJob(conn, { printerId: printer.id, orderId, jobType: 'kitchen', payload, userId }));
+    }
+  }
+  return jobIds;
+};
+
+// Queues an order's customer receipt on the given printer, or on the first active receipt printer.
+// Returns { jobId } or { status, error } when there is nothing to print on.
+const queueReceipt = async (conn, orderId, { printerId = null, userId = null } = {}) => {
+  const printers = await fetchActivePrinters(conn, 'receipt');
+  const printer = printerId ? printers.find(candidate => candidate.id === printerId) : printers[0];
+  if (!printer) {
+    return { status: 400, error: printerId ? 'Receipt printer not found or inactive' : 'No active receipt printer configured' };
+  }
+  const receipt = await buildReceipt(conn, orderId);
+  if (!receipt) return { status: 404, error: 'Order not found' };
+  const jobId = await enqueuePrintJob(conn, {
+    printerId: printer.id,
+    orderId,
+    jobType: 'receipt',
+    payload: receiptTicket(renderText(receipt)),
+    userId,
+  });
+  return { jobId };
+};
+
+const emitPrintJobUpdate = (io, job) => {
+  io.to('staff-notifications').emit('printJobUpdate', job);
+};
+
+// Sends every due job once, oldest first. Jobs are claimed by flipping them to 'printing'
+// so a job is never sent twice, even if a previous run is somehow still going.
+const processPrintQueue = async (conn, io) => {
+  const [jobs] = await conn.query(
+    `SELECT pj.id, pj.printer_id, pj.order_id, pj.job_type, pj.payload, pj.attempts, p.name AS printer_name, p.host, p.port
+     FROM print_jobs pj
+     JOIN printers p ON pj.printer_id = p.id
+     WHERE pj.status = 'queued' AND pj.next_attempt_at <= NOW() AND p.is_active = TRUE
+     ORDER BY pj.id
+     LIMIT ?`,
+    [PRINT_QUEUE_BATCH_SIZE]
+  );
+  for (const job of jobs) {
+    const [claim] = await conn.query("UPDATE print_jobs SET status = 'printing' WHERE id = ? AND status = 'queued'", [job.id]);
+    if (claim.affectedRows === 0) continue;
+
+    const attempts = job.attempts + 1;
+    let sendError = null;
+    try {
+      await sendToPrinter(job.host, job.port, job.payload);
+    } catch (err) {
+      sendError = err;
+    }
+
+    let update;
+    if (!sendError) {
+      await conn.query(
+        "UPDATE print_jobs SET status = 'printed', attempts = ?, last_error = NULL, printed_at = NOW() WHERE id = ?",
+        [attempts, job.id]
+      );
+      update = { status: 'printed', last_error: null };
+      logger.info('Print job printed', { jobId: job.id, printer: job.printer_name, attempts });
+    } else {
+      const lastError = sendError.message.slice(0, 255);
+      if (attempts >= PRINT_MAX_ATTEMPTS) {
+        await conn.query(
+          "UPDATE print_jobs SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?",
+          [attempts, lastError, job.id]
+        );
+        update = { status: 'failed', last_error: lastError };
+        logger.error('Print job failed', { jobId: job.id, printer: job.printer_name, attempts, error: sendError.message });
+      } else {
+        const delay = retryDelaySeconds(attempts);
+        await conn.query(
+          `UPDATE print_jobs SET status = 'queued', attempts = ?, last_error = ?,
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+           WHERE id = ?`,
+          [attempts, lastError, delay, job.id]
+        );
+        logger.warn('Print job will be retried', { jobId: job.id, printer: job.printer_name, attempts, retryInSeconds: delay, error: sendError.message });
+      }
+    }
+    if (update) {
+      emitPrintJobUpdate(io, {
+        id: job.id,
+        printer_id: job.printer_id,
+        order_id: job.order_id,
+        job_type: job.job_type,
+        attempts,
+        ...update,
+      });
+    }
+  }
+};
+
+// Starts the background loop. Jobs left 'printing' by a previous process are requeued first.
+const startPrintQueue = async (conn, io) => {
+  const [requeued] = await conn.query("UPDATE print_jobs SET status = 'queued' WHERE status = 'printing'");
+  if (requeued.affectedRows > 0) {
+    logger.info('Requeued interrupted print jobs', { count: requeued.affectedRows });
+  }
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processPrintQueue(conn, io);
+    } catch (err) {
+      logger.error('Error processing print queue', { error: err.message });
+    } finally {
+      running = false;
+    }
+  }, PRINT_QUEUE_INTERVAL_MS);
+};
+
+module.exports = {
+  PRINTER_ROLES,
+  PRINT_JOB_TYPES,
+  PRINT_JOB_STATUSES,
+  sendToPrinter,
+  enqueuePrintJob,
+  queueKitchenTickets,
+  queueReceipt,
+  emitPrintJobUpdate,
+  processPrintQueue,
+  startPrintQueue,
+};
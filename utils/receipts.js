@@ -0,0 +1,346 @@
+const PDFDocument = require('pdfkit');
+const { roundMoney } = require('./money');
+const { fetchOrderPayload, orderLineName } = require('./orderPayload');
+const { fetchBill, allocateBillTax } = require('./bills');
+
+const RECEIPT_FORMATS = ['txt', 'html', 'pdf'];
+
+// Store header printed on every receipt
+const RECEIPT_STORE = {
+  name: process.env.RECEIPT_STORE_NAME || 'Coffee Shop',
+  address: process.env.RECEIPT_STORE_ADDRESS || '',
+  phone: process.env.RECEIPT_STORE_PHONE || '',
+  tax_id: process.env.RECEIPT_STORE_TAX_ID || '',
+  footer: process.env.RECEIPT_FOOTER || 'Thank you for your visit!',
+};
+const RECEIPT_CURRENCY = process.env.RECEIPT_CURRENCY || '';
+const RECEIPT_TEXT_WIDTH = 42;
+
+const formatMoney = (value) => `${value.toFixed(2)}${RECEIPT_CURRENCY ? ` ${RECEIPT_CURRENCY}` : ''}`;
+
+// Builds the format-independent receipt for an order, or null when the order does not exist.
+const buildReceipt = async (conn, orderId) => {
+  const order = await fetchOrderPayload(conn, orderId, 2);
+  if (!order) return null;
+
+  let promotion = null;
+  if (order.promotion_id) {
+    const [promo] = await conn.query('SELECT name, discount_percentage FROM promotions WHERE id = ?', [order.promotion_id]);
+    if (promo.length > 0) {
+      promotion = { name: promo[0].name, discount_percentage: parseFloat(promo[0].discount_percentage) };
+    }
+  }
+  const [payments] = await conn.query(
+    "SELECT method, amount, tip_amount, amount_tendered, change_given, created_at FROM payments WHERE order_id = ? AND status = 'completed' ORDER BY id",
+    [orderId]
+  );
+
+  const lines = order.lines.map(line => ({
+    name: orderLineName(line),
+    quantity: line.quantity,
+    unit_price: line.unit_price,
+    line_total: line.line_total,
+    details: line.supplement
+      ? [`+ ${line.supplement.name}`]
+      : line.options.map(option => `+ ${option.option_name}`),
+  }));
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+  // Orders from before discount_amount was stored only have the discounted total to go on
+  const discount = order.discount_amount !== null && order.discount_amount !== undefined
+    ? parseFloat(order.discount_amount)
+    : roundMoney(Math.max(subtotal - order.total_price, 0));
+  const serviceCharge = order.service_charge || 0;
+  const tip = order.tip_amount || 0;
+  const deliveryFee = order.delivery_fee || 0;
+  const amountDue = roundMoney(order.total_price + serviceCharge + deliveryFee + tip);
+  const amountPaid = order.amount_paid || 0;
+
+  return {
+    store: RECEIPT_STORE,
+    order_id: order.id,
+    created_at: new Date(order.created_at),
+    order_type: order.order_type,
+    table_number: order.table_number,
+    delivery_address: order.delivery_address,
+    customer_name: order.customer_name,
+    pickup_number: order.pickup_number,
+    lines,
+    subtotal,
+    promotion,
+    discount,
+    tax: order.tax_total !== null ? { net: order.net_total, tax: order.tax_total } : null,
+    total_price: order.total_price,
+    service_charge: serviceCharge,
+    delivery_fee: deliveryFee,
+    tip,
+    amount_due: amountDue,
+    payments: payments.map(payment => ({
+      method: payment.method,
+      amount: parseFloat(payment.amount),
+      tip_amount: parseFloat(payment.tip_amount || 0),
+      amount_tendered: payment.amount_tendered !== null ? parseFloat(payment.amount_tendered) : null,
+      change_given: parseFloat(payment.change_given || 0),
+    })),
+    amount_paid: amountPaid,
+    outstanding: roundMoney(Math.max(amountDue - amountPaid, 0)),
+  };
+};
+
+// Payments of one tender are stored one per order they were allocated to: show them together
+const groupTenders = (payments) => {
+  const tenders = [];
+  for (const payment of payments) {
+    const last = tenders[tenders.length - 1];
+    if (last && last.method === payment.method && last.created_at.getTime() === payment.created_at.getTime()) {
+      last.amount = roundMoney(last.amount + payment.amount);
+      last.tip_amount = roundMoney(last.tip_amount + payment.tip_amount);
+      last.change_given = roundMoney(last.change_given + payment.change_given);
+    } else {
+      tenders.push({ ...payment });
+    }
+  }
+  return tenders;
+};
+
+// Builds the receipt for one sub-bill of a split bill, in the same shape as buildReceipt so the
+// same renderers apply, or null when the sub-bill does not exist. A line split lists the
+// sub-bill's lines at their share of the bill; other splits show the share as a single line.
+// Net and tax are the sub-bill's part as allocated by allocateBillTax.
+const buildSubBillReceipt = async (conn, subBillId) => {
+  const [subBillRows] = await conn.query('SELECT bill_id FROM sub_bills WHERE id = ?', [subBillId]);
+  if (subBillRows.length === 0) return null;
+  const bill = await fetchBill(conn, subBillRows[0].bill_id);
+  const index = bill.sub_bills.findIndex(entry => entry.id === subBillId);
+  const subBill = bill.sub_bills[index];
+  const taxShares = await allocateBillTax(conn, bill);
+  const [payments] = await conn.query(
+    "SELECT method, amount, tip_amount, amount_tendered, change_given, created_at FROM payments WHERE sub_bill_id = ? AND status = 'completed' ORDER BY id",
+    [subBillId]
+  );
+
+  const lines = bill.split_mode === 'lines'
+    ? subBill.lines.map(line => ({
+      name: line.name || 'Item no longer on the menu',
+      quantity: line.quantity,
+      line_total: line.amount,
+      details: [`Order #${line.order_id}`],
+    }))
+    : [{
+      name: `Share ${index + 1} of ${bill.sub_bills.length}`,
+      quantity: 1,
+      line_total: subBill.amount,
+      details: [`Orders ${bill.order_ids.map(orderId => `#${orderId}`).join(', ')}`],
+    }];
+
+  return {
+    store: RECEIPT_STORE,
+    bill_id: bill.id,
+    sub_bill_id: subBill.id,
+    label: subBill.label,
+    created_at: new Date(bill.created_at),
+    table_number: bill.table_number,
+    lines,
+    subtotal: null,
+    discount: 0,
+    tax: taxShares ? taxShares.get(subBill.id) : null,
+    service_charge: 0,
+    delivery_fee: 0,
+    tip: 0,
+    amount_due: subBill.amount,
+    payments: groupTenders(payments.map(payment => ({
+      method: payment.method,
+      amount: parseFloat(payment.amount),
+      tip_amount: parseFloat(payment.tip_amount || 0),
+      amount_tendered: payment.amount_tendered !== null ? parseFloat(payment.amount_tendered) : null,
+      change_given: parseFloat(payment.change_given || 0),
+      created_at: new Date(payment.created_at),
+    }))),
+    amount_paid: subBill.amount_paid,
+    outstanding: subBill.outstanding,
+  };
+};
+
+// The receipt as label/amount rows below the lines, shared by every format. Sub-bill receipts
+// have no subtotal: their share already includes discounts and charges.
+const totalRows = (receipt) => {
+  const rows = receipt.subtotal !== null ? [['Subtotal', receipt.subtotal]] : [];
+  if (receipt.discount > 0) {
+    const label = receipt.promotion
+      ? `${receipt.promotion.name} (-${receipt.promotion.discount_percentage}%)`
+      : 'Discount';
+    rows.push([label, -receipt.discount]);
+  }
+  if (receipt.tax) {
+    rows.push(['Net', receipt.tax.net], ['Tax', receipt.tax.tax]);
+  }
+  if (receipt.service_charge > 0) rows.push(['Service charge', receipt.service_charge]);
+  if (receipt.delivery_fee > 0) rows.push(['Delivery fee', receipt.delivery_fee]);
+  if (receipt.tip > 0) rows.push(['Tip', receipt.tip]);
+  rows.push(['TOTAL', receipt.amount_due]);
+  for (const payment of receipt.payments) {
+    rows.push([`Paid (${payment.method})`, payment.amount]);
+    if (payment.tip_amount > 0) rows.push(['Tip', payment.tip_amount]);
+    if (payment.change_given > 0) rows.push(['Change', payment.change_given]);
+  }
+  if (receipt.payments.length > 0) rows.push(['Balance due', receipt.outstanding]);
+  return rows;
+};
+
+const headerLines = (receipt) => [
+  receipt.store.name,
+  receipt.store.address,
+  receipt.store.phone,
+  receipt.store.tax_id ? `Tax ID: ${receipt.store.tax_id}` : '',
+].filter(Boolean);
+
+const receiptTitle = (receipt) => (receipt.sub_bill_id
+  ? `Bill #${receipt.bill_id} - ${receipt.label}`
+  : `Order #${receipt.order_id}`);
+
+const orderLines = (receipt) => (receipt.sub_bill_id ? [
+  receiptTitle(receipt),
+  receipt.created_at.toLocaleString(),
+  `Table ${receipt.table_number}`,
+] : [
+  receiptTitle(receipt),
+  receipt.created_at.toLocaleString(),
+  {
+    local: `Table ${receipt.table_number || 'N/A'}`,
+    delivery: `Delivery: ${receipt.delivery_address}`,
+    takeaway: `Takeaway - pickup #${receipt.pickup_number}${receipt.customer_name ? ` (${receipt.customer_name})` : ''}`,
+  }[receipt.order_type],
+]);
+
+const padRow = (left, right, width = RECEIPT_TEXT_WIDTH) => {
+  const space = Math.max(width - left.length - right.length, 1);
+  return `${left}${' '.repeat(space)}${right}`;
+};
+
+const center = (text, width = RECEIPT_TEXT_WIDTH) => {
+  const padding = Math.max(Math.floor((width - text.length) / 2), 0);
+  return `${' '.repeat(padding)}${text}`;
+};
+
+const renderText = (receipt) => {
+  const rule = '-'.repeat(RECEIPT_TEXT_WIDTH);
+  const output = [
+    ...headerLines(receipt).map(line => center(line)),
+    rule,
+    ...orderLines(receipt),
+    rule,
+  ];
+  for (const line of receipt.lines) {
+    output.push(padRow(`${line.quantity} x ${line.name}`, formatMoney(line.line_total)));
+    for (const detail of line.details) output.push(`    ${detail}`);
+  }
+  output.push(rule);
+  for (const [label, amount] of totalRows(receipt)) {
+    output.push(padRow(label, formatMoney(amount)));
+  }
+  output.push(rule, center(receipt.store.footer));
+  return `${output.join('\n')}\n`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderHtml = (receipt) => {
+  const lineRows = receipt.lines.map(line => `
+      <tr>
+        <td>${line.quantity} &times; ${escapeHtml(line.name)}${line.details.map(detail => `<div class="detail">${escapeHtml(detail)}</div>`).join('')}</td>
+        <td class="amount">${escapeHtml(formatMoney(line.line_total))}</td>
+      </tr>`).join('');
+  const totals = totalRows(receipt).map(([label, amount]) => `
+      <tr${label === 'TOTAL' ? ' class="total"' : ''}>
+        <td>${escapeHtml(label)}</td>
+        <td class="amount">${escapeHtml(formatMoney(amount))}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Receipt - ${escapeHtml(receiptTitle(receipt))}</title>
+  <style>
+    body { font-family: monospace; max-width: 360px; margin: 0 auto; padding: 16px; }
+    header, footer { text-align: center; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 2px 0; vertical-align: top; }
+    .amount { text-align: right; white-space: nowrap; }
+    .detail { padding-left: 16px; color: #555; }
+    .total td { font-weight: bold; border-top: 1px dashed #000; }
+    hr { border: none; border-top: 1px dashed #000; }
+  </style>
+</head>
+<body>
+  <header>${headerLines(receipt).map(line => `<div>${escapeHtml(line)}</div>`).join('')}</header>
+  <hr>
+  ${orderLines(receipt).map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+  <hr>
+  <table>${lineRows}
+  </table>
+  <hr>
+  <table>${totals}
+  </table>
+  <hr>
+  <footer>${escapeHtml(receipt.store.footer)}</footer>
+</body>
+</html>
+`;
+};
+
+// Renders an 80mm-wide receipt page and resolves to the PDF as a Buffer
+const renderPdf = (receipt) => new Promise((resolve, reject) => {
+  const rowCount = receipt.lines.reduce((sum, line) => sum + 1 + line.details.length, 0) + totalRows(receipt).length;
+  const doc = new PDFDocument({ size: [226, 220 + rowCount * 14], margin: 12 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - 24;
+  const row = (left, right, options = {}) => {
+    const y = doc.y;
+    doc.font(options.bold ? 'Courier-Bold' : 'Courier').fontSize(8);
+    doc.text(left, 12, y, { width: width - 70 });
+    const nextY = doc.y;
+    doc.text(right, 12 + width - 70, y, { width: 70, align: 'right' });
+    doc.y = Math.max(nextY, doc.y);
+  };
+  const rule = () => {
+    doc.moveDown(0.3);
+    doc.moveTo(12, doc.y).lineTo(12 + width, doc.y).dash(2, { space: 2 }).stroke().undash();
+    doc.moveDown(0.3);
+  };
+
+  doc.font('Courier-Bold').fontSize(11).text(receipt.store.name, { align: 'center' });
+  doc.font('Courier').fontSize(8);
+  headerLines(receipt).slice(1).forEach(line => doc.text(line, { align: 'center' }));
+  rule();
+  orderLines(receipt).forEach(line => doc.text(line));
+  rule();
+  for (const line of receipt.lines) {
+    row(`${line.quantity} x ${line.name}`, formatMoney(line.line_total));
+    line.details.forEach(detail => row(`    ${detail}`, ''));
+  }
+  rule();
+  for (const [label, amount] of totalRows(receipt)) {
+    row(label, formatMoney(amount), { bold: label === 'TOTAL' });
+  }
+  rule();
+  doc.font('Courier').fontSize(8).text(receipt.store.footer, 12, doc.y, { width, align: 'center' });
+  doc.end();
+});
+
+module.exports = {
+  RECEIPT_FORMATS,
+  buildReceipt,
+  buildSubBillReceipt,
+  renderText,
+  renderHtml,
+  renderPdf,
+};
@@ -0,0 +1,96 @@
+const { priceOrder } = require('./orderPricing');
+
+// Order fields a reorder carries over from the original; the request can override any of them
+const REORDER_FIELDS = [
+  'order_type', 'table_id', 'delivery_address', 'delivery_postcode', 'delivery_location',
+  'customer_name', 'customer_phone', 'party_size', 'promotion_id', 'tip', 'scheduled_for', 'note',
+];
+
+// Rebuilds a past order as a POST /orders payload: its lines with their supplements, breakfast
+// options and notes, and its order details. Each line is checked against the current menu on
+// its own, so a line that can no longer be ordered (removed from the menu, unavailable, or
+// whose supplement or options changed) is left out and reported in unavailable rather than
+// failing the whole reorder. Resolves to { order, payload, unavailable } or { status, error }.
+const rebuildOrder = async (conn, orderId, overrides = {}, logContext = {}) => {
+  const [orders] = await conn.query(
+    `SELECT id, session_id, order_type, table_id, delivery_address, delivery_postcode, delivery_lat, delivery_lng,
+            customer_name, customer_phone, party_size, note
+     FROM orders WHERE id = ?`,
+    [orderId]
+  );
+  if (orders.length === 0) {
+    return { status: 404, error: 'Order not found' };
+  }
+  const order = orders[0];
+
+  const [lines] = await conn.query(
+    `SELECT oi.id, oi.item_id, oi.breakfast_id, oi.quantity, oi.supplement_id, oi.note,
+            COALESCE(mi.name, b.name) AS name,
+            GROUP_CONCAT(boo.breakfast_option_id ORDER BY boo.breakfast_option_id) AS option_ids
+     FROM order_items oi
+     LEFT JOIN menu_items mi ON oi.item_id = mi.id
+     LEFT JOIN breakfasts b ON oi.breakfast_id = b.id
+     LEFT JOIN breakfast_order_options boo ON boo.order_item_id = oi.id
+     WHERE oi.order_id = ?
+     GROUP BY oi.id
+     ORDER BY oi.id`,
+    [orderId]
+  );
+
+  const items = [];
+  const breakfastItems = [];
+  const unavailable = [];
+  for (const line of lines) {
+    const report = { order_item_id: line.id, item_id: line.item_id, breakfast_id: line.breakfast_id, name: line.name, quantity: line.quantity };
+    if (!line.item_id && !line.breakfast_id) {
+      unavailable.push({ ...report, reason: 'No longer on the menu' });
+      continue;
+    }
+    const rebuilt = line.item_id
+      ? { items: [{ item_id: line.item_id, quantity: line.quantity, supplement_id: line.supplement_id, note: line.note }], breakfastItems: [] }
+      : {
+        items: [],
+        breakfastItems: [{
+          breakfast_id: line.breakfast_id,
+          quantity: line.quantity,
+          option_ids: line.option_ids ? line.option_ids.split(',').map(Number) : [],
+          note: line.note,
+        }],
+      };
+    const priced = await priceOrder(conn, rebuilt, logContext);
+    if (priced.error) {
+      unavailable.push({ ...report, reason: priced.error });
+      continue;
+    }
+    items.push(...rebuilt.items.map((item, index) => ({ ...item, unit_price: priced.items[index].unit_price })));
+    breakfastItems.push(...rebuilt.breakfastItems.map((item, index) => ({ ...item, unit_price: priced.breakfastItems[index].unit_price })));
+  }
+
+  // Table and delivery details only carry over to an order of the same kind
+  const orderType = overrides.order_type || order.order_type;
+  const payload = {
+    order_type: orderType,
+    table_id: orderType === 'local' ? order.table_id : null,
+    delivery_address: orderType === 'delivery' ? order.delivery_address : null,
+    delivery_postcode: orderType === 'delivery' ? order.delivery_postcode : null,
+    delivery_location: orderType === 'delivery' && order.delivery_lat !== null && order.delivery_lng !== null
+      ? { lat: parseFloat(order.delivery_lat), lng: parseFloat(order.delivery_lng) }
+      : null,
+    customer_name: order.customer_name,
+    customer_phone: order.customer_phone,
+    party_size: order.party_size,
+    note: order.note,
+  };
+  for (const field of REORDER_FIELDS) {
+    if (overrides[field] !== undefined) payload[field] = overrides[field];
+  }
+  payload.items = items;
+  payload.breakfastItems = breakfastItems;
+
+  return { order, payload, unavailable };
+};
+
+module.exports = {
+  REORDER_FIELDS,
+  rebuildOrder,
+};
@@ -0,0 +1,145 @@
+const logger = require('../logger');
+const { fetchOrderPayload } = require('./orderPayload');
+const { recordOrderEvent } = require('./orderEvents');
+
+// Scheduled (pre-)orders carry a future scheduled_for pickup or delivery time. They are kept
+// away from staff and the kitchen until SCHEDULE_RELEASE_LEAD_MINUTES before that time, when
+// a background loop releases them as if they had just been placed.
+//
+// Opening hours apply every day the shop is open, in server local time: OPENING_HOURS is
+// "HH:MM-HH:MM" and CLOSED_WEEKDAYS a comma list of weekday numbers (0 is Sunday).
+// Capacity is a maximum number of scheduled orders per SCHEDULE_SLOT_MINUTES slot.
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const [OPENING_TIME, CLOSING_TIME] = (process.env.OPENING_HOURS || '07:00-19:00').split('-').map(parseTime);
+const CLOSED_WEEKDAYS = (process.env.CLOSED_WEEKDAYS || '')
+  .split(',')
+  .filter(day => day.trim() !== '')
+  .map(Number);
+const SCHEDULE_MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30;
+const SCHEDULE_MAX_DAYS_AHEAD = parseInt(process.env.SCHEDULE_MAX_DAYS_AHEAD) || 7;
+const SCHEDULE_SLOT_MINUTES = parseInt(process.env.SCHEDULE_SLOT_MINUTES) || 15;
+const SCHEDULE_SLOT_CAPACITY = parseInt(process.env.SCHEDULE_SLOT_CAPACITY) || 10;
+const SCHEDULE_RELEASE_LEAD_MINUTES = parseInt(process.env.SCHEDULE_RELEASE_LEAD_MINUTES) || 20;
+const SCHEDULE_RELEASE_INTERVAL_MS = parseInt(process.env.SCHEDULE_RELEASE_INTERVAL_MS) || 30000;
+
+// SQL condition for orders staff and the kitchen should see: everything but unreleased pre-orders
+const RELEASED_ORDER_SQL = '(o.scheduled_for IS NULL OR o.released_at IS NOT NULL)';
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const slotStart = (date) => {
+  const start = new Date(date);
+  start.setSeconds(0, 0);
+  start.setMinutes(start.getMinutes() - (start.getMinutes() % SCHEDULE_SLOT_MINUTES));
+  return start;
+};
+
+// Checks a requested scheduled_for time against lead time, opening hours and slot capacity.
+// Returns { scheduledFor } or { status, error }.
+const validateScheduledFor = async (conn, value) => {
+  const scheduledFor = new Date(value);
+  if (typeof value !== 'string' || isNaN(scheduledFor.getTime())) {
+    return { status: 400, error: 'scheduled_for must be a valid date and time' };
+  }
+  const now = Date.now();
+  if (scheduledFor.getTime() < now + SCHEDULE_MIN_LEAD_MINUTES * 60 * 1000) {
+    return { status: 400, error: `Orders can be scheduled from ${SCHEDULE_MIN_LEAD_MINUTES} minutes ahead` };
+  }
+  if (scheduledFor.getTime() > now + SCHEDULE_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return { status: 400, error: `Orders can be scheduled at most ${SCHEDULE_MAX_DAYS_AHEAD} days ahead` };
+  }
+  const minuteOfDay = scheduledFor.getHours() * 60 + scheduledFor.getMinutes();
+  if (CLOSED_WEEKDAYS.includes(scheduledFor.getDay()) || minuteOfDay < OPENING_TIME || minuteOfDay > CLOSING_TIME) {
+    return { status: 400, error: `scheduled_for must fall within opening hours (${formatTime(OPENING_TIME)}-${formatTime(CLOSING_TIME)})` };
+  }
+
+  const start = slotStart(scheduledFor);
+  const [booked] = await conn.query(
+    `SELECT COUNT(*) AS count FROM orders
+     WHERE scheduled_for >= ? AND scheduled_for < DATE_ADD(?, INTERVAL ? MINUTE) AND status NOT IN ('cancelled', 'rejected')`,
+    [start, start, SCHEDULE_SLOT_MINUTES]
+  );
+  if (booked[0].count >= SCHEDULE_SLOT_CAPACITY) {
+    return { status: 409, error: 'The kitchen is fully booked at that time, please choose another time' };
+  }
+  return { scheduledFor };
+};
+
+// Releases every pre-order whose release time has come: staff get the usual newOrder event
+// and notification. Each order is claimed by setting released_at, so it is released only once;
+// the claim, its event and the notification are kept in one transaction. conn is the pool.
+const releaseScheduledOrders = async (conn, io) => {
+  const [due] = await conn.query(
+    `SELECT id, order_type, delivery_address, customer_name, customer_phone, pickup_number, scheduled_for FROM orders
+     WHERE scheduled_for IS NOT NULL AND released_at IS NULL AND status NOT IN ('cancelled', 'rejected')
+       AND scheduled_for <= DATE_ADD(NOW(), INTERVAL ? MINUTE)
+     ORDER BY scheduled_for, id`,
+    [SCHEDULE_RELEASE_LEAD_MINUTES]
+  );
+  for (const order of due) {
+    const pickupTime = new Date(order.scheduled_for).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const message = order.order_type === 'delivery'
+      ? `Scheduled delivery order #${order.id} for ${order.delivery_address} at ${pickupTime}`
+      : `Scheduled takeaway order #${order.id} (pickup #${order.pickup_number}) for ${order.customer_name || order.customer_phone} at ${pickupTime}`;
+    let notification;
+    const connection = await conn.getConnection();
+    try {
+      await connection.beginTransaction();
+      const [claim] = await connection.query('UPDATE orders SET released_at = NOW() WHERE id = ? AND released_at IS NULL', [order.id]);
+      if (claim.affectedRows === 0) {
+        await connection.rollback();
+        continue;
+      }
+      await recordOrderEvent(connection, order.id, 'released', { details: { scheduled_for: order.scheduled_for } });
+      const [notificationResult] = await connection.query(
+        'INSERT INTO notifications (type, reference_id, message) VALUES (?, ?, ?)',
+        ['order', order.id, message]
+      );
+      const [rows] = await connection.query('SELECT * FROM notifications WHERE id = ?', [notificationResult.insertId]);
+      notification = rows[0];
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    const orderDetails = await fetchOrderPayload(conn, order.id);
+    io.to('staff-notifications').emit('newOrder', orderDetails);
+    io.to('staff-notifications').emit('newNotification', {
+      id: notification.id,
+      type: notification.type,
+      reference_id: notification.reference_id,
+      message: notification.message,
+      is_read: Number(notification.is_read),
+      created_at: notification.created_at.toISOString(),
+    });
+    logger.info('Scheduled order released', { orderId: order.id, scheduledFor: order.scheduled_for, notificationId: notification.id });
+  }
+};
+
+const startScheduledOrderRelease = (conn, io) => {
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await releaseScheduledOrders(conn, io);
+    } catch (err) {
+      logger.error('Error releasing scheduled orders', { error: err.message });
+    } finally {
+      running = false;
+    }
+  }, SCHEDULE_RELEASE_INTERVAL_MS);
+};
+
+module.exports = {
+  RELEASED_ORDER_SQL,
+  validateScheduledFor,
+  releaseScheduledOrders,
+  startScheduledOrderRelease,
+};
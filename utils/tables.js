@@ -0,0 +1,115 @@
+const logger = require('../logger');
+const { CANCELLABLE_STATUSES } = require('./orderStatus');
+
+// Occupied tables are freed once their seating is over: automatically when every order is
+// delivered (or cancelled) and everything on the table's tab is paid, after
+// TABLE_IDLE_RELEASE_MINUTES without any order or payment activity, or by hand. Tables held by
+// an upcoming reservation (reserved_until in the future) are only freed by hand.
+const TABLE_IDLE_RELEASE_MINUTES = parseInt(process.env.TABLE_IDLE_RELEASE_MINUTES) || 120;
+const TABLE_IDLE_SWEEP_INTERVAL_MS = parseInt(process.env.TABLE_IDLE_SWEEP_INTERVAL_MS) || 60000;
+
+// Ends the table's seating, so its next order opens a new tab
+const closeOpenTab = async (conn, tableId, userId = null) => {
+  await conn.query(
+    "UPDATE tabs SET status = 'closed', closed_at = NOW(), closed_by = ? WHERE table_id = ? AND status = 'open'",
+    [userId, tableId]
+  );
+};
+
+// Sets an occupied table back to 'available' and closes its open tab. Resolves to true when the
+// table was occupied, so the caller can broadcast tableStatusUpdate; otherwise nothing changes.
+// Expects to run inside a transaction, so the table and its tab are released together.
+const releaseTable = async (conn, tableId, userId = null) => {
+  const [result] = await conn.query(
+    'UPDATE tables SET status = ? WHERE id = ? AND status = ?',
+    ['available', tableId, 'occupied']
+  );
+  if (result.affectedRows === 0) return false;
+  await closeOpenTab(conn, tableId, userId);
+  return true;
+};
+
+// Frees a table once none of its orders are still open and nothing on its open tab is left
+// unpaid. Call it after an order is delivered, cancelled or paid; resolves to true when the
+// table was released.
+const releaseTableIfSettled = async (conn, tableId) => {
+  if (!tableId) return false;
+  const [tables] = await conn.query(
+    'SELECT id FROM tables WHERE id = ? AND status = ? AND (reserved_until IS NULL OR reserved_until < NOW())',
+    [tableId, 'occupied']
+  );
+  if (tables.length === 0) return false;
+  const [openOrders] = await conn.query(
+    'SELECT COUNT(*) AS count FROM orders WHERE table_id = ? AND status IN (?)',
+    [tableId, CANCELLABLE_STATUSES]
+  );
+  if (openOrders[0].count > 0) return false;
+  const [unpaid] = await conn.query(
+    `SELECT COUNT(*) AS count FROM orders o JOIN tabs tb ON o.tab_id = tb.id
+     WHERE tb.table_id = ? AND tb.status = 'open' AND o.status NOT IN ('cancelled', 'rejected') AND o.payment_status != 'paid'`,
+    [tableId]
+  );
+  if (unpaid[0].count > 0) return false;
+  return releaseTable(conn, tableId);
+};
+
+// Frees occupied tables whose open tab has no order in progress and has seen no order or
+// payment activity for TABLE_IDLE_RELEASE_MINUTES, e.g. when nobody recorded the payment.
+// Tables occupied without a tab (seated by hand) are left alone. Resolves to the released table ids.
+const releaseIdleTables = async (conn, io) => {
+  const [idle] = await conn.query(
+    `SELECT t.id,
+            MAX(GREATEST(COALESCE(o.status_updated_at, o.created_at), COALESCE(p.created_at, o.created_at))) AS last_activity
+     FROM tables t
+     JOIN tabs tb ON tb.table_id = t.id AND tb.status = 'open'
+     JOIN orders o ON o.tab_id = tb.id
+     LEFT JOIN payments p ON p.order_id = o.id
+     WHERE t.status = 'occupied' AND (t.reserved_until IS NULL OR t.reserved_until < NOW())
+     GROUP BY t.id
+     HAVING SUM(o.status IN (?)) = 0 AND last_activity < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [CANCELLABLE_STATUSES, TABLE_IDLE_RELEASE_MINUTES]
+  );
+  const released = [];
+  for (const table of idle) {
+    const connection = await conn.getConnection();
+    let tableReleased;
+    try {
+      await connection.beginTransaction();
+      tableReleased = await releaseTable(connection, table.id);
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+    if (!tableReleased) continue;
+    io.emit('tableStatusUpdate', { table_id: table.id, status: 'available' });
+    logger.info('Idle table released', { tableId: table.id, lastActivity: table.last_activity });
+    released.push(table.id);
+  }
+  return released;
+};
+
+const startIdleTableRelease = (conn, io) => {
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await releaseIdleTables(conn, io);
+    } catch (err) {
+      logger.error('Error releasing idle tables', { error: err.message });
+    } finally {
+      running = false;
+    }
+  }, TABLE_IDLE_SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  closeOpenTab,
+  releaseTable,
+  releaseTableIfSettled,
+  releaseIdleTables,
+  startIdleTableRelease,
+};
@@ -0,0 +1,87 @@
+const { roundMoney } = require('./money');
+const { ORDER_AMOUNT_DUE_SQL } = require('./payments');
+const { CANCELLABLE_STATUSES } = require('./orderStatus');
+const { closeOpenTab, releaseTable } = require('./tables');
+
+// A tab groups the orders of one seating at a table. The table's first order opens it, later
+// orders from the table join it, and it closes once everything on it is served and paid (see
+// utils/tables.js), or when staff close it, which frees the table for the next guests. A table
+// has at most one open tab.
+
+// Finds the table's open tab or opens one, and resolves to { tabId, opened }. Locks the table
+// row so concurrent first orders share a tab. Call it inside the order's transaction.
+const joinOrOpenTab = async (conn, tableId) => {
+  await conn.query('SELECT id FROM tables WHERE id = ? FOR UPDATE', [tableId]);
+  const [open] = await conn.query("SELECT id FROM tabs WHERE table_id = ? AND status = 'open' ORDER BY id LIMIT 1", [tableId]);
+  if (open.length > 0) return { tabId: open[0].id, opened: false };
+  const [result] = await conn.query('INSERT INTO tabs (table_id) VALUES (?)', [tableId]);
+  return { tabId: result.insertId, opened: true };
+};
+
+// Loads a tab with its orders and running totals. Cancelled and rejected orders are listed
+// but count towards nothing.
+const fetchTab = async (conn, tabId) => {
+  const [tabs] = await conn.query(
+    'SELECT tb.*, t.table_number FROM tabs tb JOIN tables t ON tb.table_id = t.id WHERE tb.id = ?',
+    [tabId]
+  );
+  if (tabs.length === 0) return null;
+  const [orders] = await conn.query(
+    `SELECT o.id, o.status, o.created_at, ${ORDER_AMOUNT_DUE_SQL} AS amount_due, o.amount_paid, o.payment_status
+     FROM orders o
+     WHERE o.tab_id = ?
+     ORDER BY o.id`,
+    [tabId]
+  );
+  const formatted = orders.map(order => ({
+    ...order,
+    amount_due: parseFloat(order.amount_due),
+    amount_paid: parseFloat(order.amount_paid || 0),
+  }));
+  const counted = formatted.filter(order => !['cancelled', 'rejected'].includes(order.status));
+  const total = roundMoney(counted.reduce((sum, order) => sum + order.amount_due, 0));
+  const amountPaid = roundMoney(counted.reduce((sum, order) => sum + order.amount_paid, 0));
+  return {
+    ...tabs[0],
+    orders: formatted,
+    total,
+    amount_paid: amountPaid,
+    outstanding: roundMoney(Math.max(total - amountPaid, 0)),
+  };
+};
+
+// Closes an open tab once none of its orders are still being prepared and everything is paid,
+// and frees its table. Resolves to { tab, tableReleased } or { status, error }. Expects to run
+// inside a transaction.
+const closeTab = async (conn, tabId, userId) => {
+  const [rows] = await conn.query('SELECT id, table_id, status FROM tabs WHERE id = ? FOR UPDATE', [tabId]);
+  if (rows.length === 0) {
+    return { status: 404, error: 'Tab not found' };
+  }
+  if (rows[0].status !== 'open') {
+    return { status: 400, error: 'Tab is already closed' };
+  }
+  const tab = await fetchTab(conn, tabId);
+  if (tab.orders.some(order => CANCELLABLE_STATUSES.includes(order.status))) {
+    return { status: 400, error: 'Tab has orders that are still in progress' };
+  }
+  if (tab.outstanding > 0) {
+    return { status: 400, error: `Tab has ${tab.outstanding.toFixed(2)} outstanding; take payment before closing it` };
+  }
+
+  // The tab closes even when its table was already freed by hand
+  await closeOpenTab(conn, rows[0].table_id, userId);
+  const tableReleased = await releaseTable(conn, rows[0].table_id, userId);
+  return { tab: await fetchTab(conn, tabId), tableReleased };
+};
+
+const emitTabUpdate = (io, tab) => {
+  io.to('staff-notifications').emit('tabUpdate', tab);
+};
+
+module.exports = {
+  joinOrOpenTab,
+  fetchTab,
+  closeTab,
+  emitTabUpdate,
+};
@@ -0,0 +1,98 @@
+const { roundMoney } = require('./money');
+
+// Menu prices are either tax-inclusive (the default: the price on the menu is what the
+// customer pays and the tax is worked out of it) or tax-exclusive (the tax is added on top).
+const TAX_PRICING_MODES = ['inclusive', 'exclusive'];
+const TAX_PRICING_MODE = TAX_PRICING_MODES.includes(process.env.TAX_PRICING_MODE) ? process.env.TAX_PRICING_MODE : 'inclusive';
+
+// Rates are resolved most specific first: a supplement's own rate, then the rate of the
+// item's (or breakfast's) category, then the default rate. Without any of them a line is untaxed.
+const fetchDefaultTaxRate = async (conn) => {
+  const [rows] = await conn.query('SELECT id, rate FROM tax_rates WHERE is_default = TRUE ORDER BY id LIMIT 1');
+  return rows.length > 0 ? { tax_rate_id: rows[0].id, rate: parseFloat(rows[0].rate) } : { tax_rate_id: null, rate: 0 };
+};
+
+const resolveTaxRate = (taxRateId, rate, fallback) => (
+  taxRateId ? { tax_rate_id: taxRateId, rate: parseFloat(rate) } : fallback
+);
+
+// Taxes a line from its priced components ({ tax_rate_id, rate, amount }). The components are
+// scaled to the line's discounted total, with any rounding cent left on the last one, so the
+// breakdown always adds up to the line. Returns one { tax_rate_id, rate, net, tax } per rate.
+const taxLine = (components, lineTotal) => {
+  const undiscounted = components.reduce((sum, component) => sum + component.amount, 0);
+  const byRate = new Map();
+  let allocated = 0;
+  components.forEach((component, index) => {
+    const amount = index === components.length - 1
+      ? roundMoney(lineTotal - allocated)
+      : roundMoney(undiscounted > 0 ? component.amount * lineTotal / undiscounted : 0);
+    allocated = roundMoney(allocated + amount);
+    const tax = roundMoney(TAX_PRICING_MODE === 'inclusive'
+      ? amount * component.rate / (100 + component.rate)
+      : amount * component.rate / 100);
+    const net = TAX_PRICING_MODE === 'inclusive' ? roundMoney(amount - tax) : amount;
+
+    const key = `${component.tax_rate_id}:${component.rate}`;
+    if (!byRate.has(key)) byRate.set(key, { tax_rate_id: component.tax_rate_id, rate: component.rate, net: 0, tax: 0 });
+    const entry = byRate.get(key);
+    entry.net = roundMoney(entry.net + net);
+    entry.tax = roundMoney(entry.tax + tax);
+  });
+  return [...byRate.values()];
+};
+
+// Adds per-rate entries together, e.g. for order totals or lines merged into one order item.
+const sumTaxes = (taxLists) => {
+  const byRate = new Map();
+  for (const entry of taxLists.flat()) {
+    const key = `${entry.tax_rate_id}:${entry.rate}`;
+    if (!byRate.has(key)) byRate.set(key, { tax_rate_id: entry.tax_rate_id, rate: entry.rate, net: 0, tax: 0 });
+    const total = byRate.get(key);
+    total.net = roundMoney(total.net + entry.net);
+    total.tax = roundMoney(total.tax + entry.tax);
+  }
+  return [...byRate.values()];
+};
+
+const taxTotals = (taxes) => {
+  const net = roundMoney(taxes.reduce((sum, entry) => sum + entry.net, 0));
+  const tax = roundMoney(taxes.reduce((sum, entry) => sum + entry.tax, 0));
+  return { net, tax, gross: roundMoney(net + tax) };
+};
+
+// Loads the stored per-rate breakdown of the given order items, keyed by order item id.
+const fetchOrderItemTaxes = async (conn, orderItemIds) => {
+  const taxesByItem = new Map();
+  if (orderItemIds.length === 0) return taxesByItem;
+  const [rows] = await conn.query(
+    `SELECT oit.order_item_id, oit.tax_rate_id, tr.name, oit.rate, oit.net_amount, oit.tax_amount
+     FROM order_item_taxes oit
+     LEFT JOIN tax_rates tr ON oit.tax_rate_id = tr.id
+     WHERE oit.order_item_id IN (?)
+     ORDER BY oit.order_item_id, oit.rate`,
+    [orderItemIds]
+  );
+  for (const row of rows) {
+    if (!taxesByItem.has(row.order_item_id)) taxesByItem.set(row.order_item_id, []);
+    taxesByItem.get(row.order_item_id).push({
+      tax_rate_id: row.tax_rate_id,
+      name: row.name,
+      rate: parseFloat(row.rate),
+      net: parseFloat(row.net_amount),
+      tax: parseFloat(row.tax_amount),
+    });
+  }
+  return taxesByItem;
+};
+
+module.exports = {
+  TAX_PRICING_MODES,
+  TAX_PRICING_MODE,
+  fetchDefaultTaxRate,
+  resolveTaxRate,
+  taxLine,
+  sumTaxes,
+  taxTotals,
+  fetchOrderItemTaxes,
+};